@@ -0,0 +1,875 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for the Emotiv Cortex service, so the BCI path can be worked
+ * on without a headset or the Emotiv app. It speaks the JSON-RPC subset
+ * MindInk uses, streams scripted or random mental command ("com") and
+ * facial expression ("fac") events, and fakes mental command training with
+ * in-memory profiles.
+ * It has no dependencies beyond Node itself.
+ *
+ * Usage:
+ *   node mock-cortex-server.js [options]
+ *
+ *   --port <n>             Port to listen on (default 6868)
+ *   --cert <file>          TLS certificate, serves wss:// together with --key
+ *   --key <file>           TLS private key
+ *   --interval <ms>        Time between random events (default 1000)
+ *   --min-intensity <x>    Lowest random intensity or power (default 0.3)
+ *   --max-intensity <x>    Highest random intensity or power (default 0.9)
+ *   --commands <list>      Comma separated commands to pick from
+ *                          (default neutral,push,pull,lift)
+ *   --expressions <list>   Comma separated facial expressions to pick from
+ *                          (default neutral,blink,winkL,winkR,clench,smile)
+ *   --script <file>        JSON array of events to stream in a loop instead
+ *                          of random ones, e.g.
+ *                          [{ "command": "push", "intensity": 0.8, "delay": 1500 },
+ *                           { "expression": "clench", "power": 0.7 },
+ *                           { "warning": { "code": 142, "message": "..." } },
+ *                           { "error": { "code": -32001, "message": "..." } }]
+ *   --fail <method[:code]> Answer a method with an error (repeatable)
+ *   --no-headset           Report no headsets from queryHeadsets
+ *   --drop-after <ms>      Close each connection this long after it opens
+ *   --training-time <ms>   How long a training trial records (default 8000)
+ *
+ * Point the app at it with index.html?cortex=ws://localhost:6868, or enter
+ * the URL on the login screen. Any client ID and secret are accepted.
+ *
+ * While it runs, type on stdin:
+ *   <command> [intensity]   send one com event, e.g. "push 0.8"
+ *   fac <expression> [power] send one fac event, e.g. "fac winkL"
+ *   error <code> [message]  send an error to every client
+ *   warn <code> [message]   send a warning to every client
+ *   pause / resume          stop or restart the automatic stream
+ *   close                   drop every connection
+ */
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const readline = require("readline");
+
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+const ERROR_INVALID_REQUEST = -32600;
+const ERROR_METHOD_NOT_FOUND = -32601;
+const ERROR_INVALID_PARAMS = -32602;
+const ERROR_NO_HEADSET = -32001;
+const ERROR_INVALID_TOKEN = -32014;
+const ERROR_INVALID_STREAM = -32016;
+const ERROR_INVALID_CREDENTIALS = -32021;
+const ERROR_PROFILE_NOT_FOUND = -32045;
+const ERROR_NO_PROFILE_LOADED = -32046;
+
+const WARNING_HEADSET_DISCOVERY_COMPLETE = 142;
+
+const STREAM_COLUMNS = {
+  com: ["act", "pow"],
+  fac: ["eyeAct", "uAct", "uPow", "lAct", "lPow"],
+  sys: [],
+};
+
+// Facial expressions reported in the eyeAct column; the rest go in lAct
+const EYE_ACTIONS = ["blink", "winkL", "winkR", "lookL", "lookR"];
+
+// Training data by profile name, and the profile loaded on the headset.
+// Shared by every connection so profiles survive reconnects.
+const cortexState = {
+  profiles: new Map(),
+  loadedProfile: null,
+};
+
+const HEADSET = {
+  id: "INSIGHT-MOCK0001",
+  status: "connected",
+  connectedBy: "dongle",
+  customName: "Mock Insight",
+  firmware: "930",
+  motionSensors: [],
+  sensors: [],
+};
+
+/**
+ * @param {string[]} argv
+ * @returns {object}
+ */
+function parseArgs(argv) {
+  const options = {
+    port: 6868,
+    cert: null,
+    key: null,
+    interval: 1000,
+    minIntensity: 0.3,
+    maxIntensity: 0.9,
+    commands: ["neutral", "push", "pull", "lift"],
+    expressions: ["neutral", "blink", "winkL", "winkR", "clench", "smile"],
+    script: null,
+    failures: new Map(),
+    noHeadset: false,
+    dropAfter: null,
+    trainingTime: 8000,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      i += 1;
+      if (i >= argv.length) {
+        throw new Error(`${arg} needs a value`);
+      }
+      return argv[i];
+    };
+    switch (arg) {
+      case "--port":
+        options.port = Number(value());
+        break;
+      case "--cert":
+        options.cert = value();
+        break;
+      case "--key":
+        options.key = value();
+        break;
+      case "--interval":
+        options.interval = Number(value());
+        break;
+      case "--min-intensity":
+        options.minIntensity = Number(value());
+        break;
+      case "--max-intensity":
+        options.maxIntensity = Number(value());
+        break;
+      case "--commands":
+        options.commands = value().split(",");
+        break;
+      case "--expressions":
+        options.expressions = value().split(",");
+        break;
+      case "--script":
+        options.script = JSON.parse(fs.readFileSync(value(), "utf8"));
+        break;
+      case "--fail": {
+        const [method, code] = value().split(":");
+        options.failures.set(method, code ? Number(code) : -32000);
+        break;
+      }
+      case "--no-headset":
+        options.noHeadset = true;
+        break;
+      case "--drop-after":
+        options.dropAfter = Number(value());
+        break;
+      case "--training-time":
+        options.trainingTime = Number(value());
+        break;
+      default:
+        throw new Error(`Unknown option ${arg}`);
+    }
+  }
+  return options;
+}
+
+/**
+ * A minimal server-side WebSocket: text frames, ping and close.
+ */
+class WebSocketConnection {
+  /**
+   * @param {import("net").Socket} socket
+   * @param {(text: string) => void} onMessage
+   * @param {() => void} onClose
+   */
+  constructor(socket, onMessage, onClose) {
+    this.socket = socket;
+    this.onMessage = onMessage;
+    this.buffer = Buffer.alloc(0);
+    this.closed = false;
+    socket.on("data", (chunk) => this.receive(chunk));
+    socket.on("close", () => {
+      this.closed = true;
+      onClose();
+    });
+    socket.on("error", () => socket.destroy());
+  }
+
+  /**
+   * @param {Buffer} chunk
+   */
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    while (this.buffer.length >= 2) {
+      const opcode = this.buffer[0] & 0x0f;
+      const masked = (this.buffer[1] & 0x80) !== 0;
+      let length = this.buffer[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (this.buffer.length < 4) return;
+        length = this.buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this.buffer.length < 10) return;
+        length = Number(this.buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+      const maskLength = masked ? 4 : 0;
+      if (this.buffer.length < offset + maskLength + length) return;
+
+      const mask = this.buffer.subarray(offset, offset + maskLength);
+      const payload = Buffer.from(
+        this.buffer.subarray(offset + maskLength, offset + maskLength + length),
+      );
+      if (masked) {
+        for (let i = 0; i < payload.length; i++) {
+          payload[i] ^= mask[i % 4];
+        }
+      }
+      this.buffer = this.buffer.subarray(offset + maskLength + length);
+
+      if (opcode === 0x1) {
+        this.onMessage(payload.toString("utf8"));
+      } else if (opcode === 0x8) {
+        this.close();
+      } else if (opcode === 0x9) {
+        this.sendFrame(0xa, payload);
+      }
+    }
+  }
+
+  /**
+   * @param {object} message
+   */
+  send(message) {
+    this.sendFrame(0x1, Buffer.from(JSON.stringify(message), "utf8"));
+  }
+
+  /**
+   * @param {number} opcode
+   * @param {Buffer} payload
+   */
+  sendFrame(opcode, payload) {
+    if (this.closed) {
+      return;
+    }
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode;
+      header[1] = 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    this.socket.write(Buffer.concat([header, payload]));
+  }
+
+  close() {
+    if (!this.closed) {
+      this.sendFrame(0x8, Buffer.alloc(0));
+      this.closed = true;
+      this.socket.end();
+    }
+  }
+}
+
+/**
+ * One app connection and its Cortex-side state.
+ */
+class MockCortexClient {
+  /**
+   * @param {WebSocketConnection} connection
+   * @param {object} options
+   */
+  constructor(connection, options) {
+    this.connection = connection;
+    this.options = options;
+    this.cortexToken = null;
+    this.sessionID = null;
+    this.streams = new Set();
+    this.streamTimer = null;
+    this.scriptIndex = 0;
+    this.paused = false;
+    this.trainingTimers = [];
+    this.trainingAction = null;
+  }
+
+  /**
+   * @param {string} text
+   */
+  handleMessage(text) {
+    let request;
+    try {
+      request = JSON.parse(text);
+    } catch (e) {
+      this.sendError(null, -32700, "Parse error");
+      return;
+    }
+    // Valid JSON that is not a request, e.g. null, a number or a batch
+    if (
+      !request ||
+      typeof request !== "object" ||
+      Array.isArray(request) ||
+      typeof request.method !== "string"
+    ) {
+      const id = request && request.id !== undefined ? request.id : null;
+      this.sendError(id, ERROR_INVALID_REQUEST, "Invalid Request");
+      return;
+    }
+    const { id, method, params } = request;
+    log(`<- ${method}`, params === undefined ? "" : JSON.stringify(params));
+
+    if (this.options.failures.has(method)) {
+      const code = this.options.failures.get(method);
+      this.sendError(id, code, `Injected ${method} failure`);
+      return;
+    }
+    const handler = this.methods()[method];
+    if (!handler) {
+      this.sendError(id, ERROR_METHOD_NOT_FOUND, "Method not found");
+      return;
+    }
+    try {
+      const result = handler(params || {});
+      this.connection.send({ id, jsonrpc: "2.0", result });
+    } catch (e) {
+      this.sendError(id, e.code || -32000, e.message);
+    }
+  }
+
+  /**
+   * @returns {Object<string, (params: object) => any>}
+   */
+  methods() {
+    return {
+      requestAccess: () => ({
+        accessGranted: true,
+        message:
+          "The access right to the application has already been granted.",
+      }),
+      queryHeadsets: () => (this.options.noHeadset ? [] : [HEADSET]),
+      controlDevice: (params) => {
+        if (params.command === "refresh") {
+          setTimeout(() => {
+            this.sendWarning(
+              WARNING_HEADSET_DISCOVERY_COMPLETE,
+              "Headset discovery is complete.",
+            );
+          }, 500);
+        } else if (this.options.noHeadset || params.headset !== HEADSET.id) {
+          throw rpcError(ERROR_NO_HEADSET, "No headset connected.");
+        }
+        return {
+          command: params.command,
+          message: "Start connecting to device.",
+        };
+      },
+      authorize: (params) => {
+        if (!params.clientId || !params.clientSecret) {
+          throw rpcError(
+            ERROR_INVALID_CREDENTIALS,
+            "Invalid client credentials.",
+          );
+        }
+        this.cortexToken = `mock-token-${crypto.randomBytes(8).toString("hex")}`;
+        return { cortexToken: this.cortexToken };
+      },
+      createSession: (params) => {
+        this.checkToken(params);
+        if (this.options.noHeadset || params.headset !== HEADSET.id) {
+          throw rpcError(ERROR_NO_HEADSET, "No headset connected.");
+        }
+        this.sessionID = crypto.randomUUID();
+        return {
+          id: this.sessionID,
+          status: "activated",
+          headset: HEADSET,
+          owner: "mock",
+          started: new Date().toISOString(),
+          streams: [],
+        };
+      },
+      subscribe: (params) => this.subscribe(params),
+      queryProfile: (params) => {
+        this.checkToken(params);
+        return Array.from(cortexState.profiles.keys()).map((name) => ({
+          name,
+          uuid: `mock-${name}`,
+          readOnly: false,
+          eegChannels: [],
+        }));
+      },
+      getCurrentProfile: (params) => {
+        this.checkToken(params);
+        return {
+          name: cortexState.loadedProfile,
+          loadedByThisApp: cortexState.loadedProfile !== null,
+        };
+      },
+      setupProfile: (params) => this.setupProfile(params),
+      training: (params) => this.training(params),
+      getTrainedSignatureActions: (params) => {
+        this.checkToken(params);
+        const name = params.profile || cortexState.loadedProfile;
+        const profile = cortexState.profiles.get(name);
+        if (!profile) {
+          throw rpcError(ERROR_NO_PROFILE_LOADED, "No profile loaded.");
+        }
+        const trainedActions = Object.entries(profile).map(
+          ([action, times]) => ({ action, times }),
+        );
+        return {
+          totalTimesTraining: trainedActions.reduce(
+            (sum, { times }) => sum + times,
+            0,
+          ),
+          trainedActions,
+        };
+      },
+      unsubscribe: (params) => {
+        (params.streams || []).forEach((stream) => this.streams.delete(stream));
+        this.updateStreaming();
+        return { success: params.streams || [], failure: [] };
+      },
+    };
+  }
+
+  /**
+   * @param {object | string[]} params
+   */
+  subscribe(params) {
+    // Be lenient with a bare stream list, but say so, since Cortex is not
+    if (Array.isArray(params)) {
+      log("!! subscribe params should be an object, got a stream list");
+      params = { streams: params };
+    } else {
+      this.checkToken(params);
+    }
+    if (!Array.isArray(params.streams)) {
+      throw rpcError(ERROR_INVALID_PARAMS, "Invalid parameters: streams.");
+    }
+    const success = [];
+    const failure = [];
+    params.streams.forEach((stream) => {
+      if (STREAM_COLUMNS[stream]) {
+        this.streams.add(stream);
+        success.push({
+          streamName: stream,
+          cols: STREAM_COLUMNS[stream],
+          sid: this.sessionID,
+        });
+      } else {
+        failure.push({
+          streamName: stream,
+          code: ERROR_INVALID_STREAM,
+          message: "The stream is unavailable or unsupported.",
+        });
+      }
+    });
+    this.updateStreaming();
+    return { success, failure };
+  }
+
+  /**
+   * @param {{cortexToken: string, profile: string, status: string}} params
+   */
+  setupProfile(params) {
+    this.checkToken(params);
+    const { profile, status } = params;
+    const exists = cortexState.profiles.has(profile);
+    switch (status) {
+      case "create":
+        if (!exists) {
+          cortexState.profiles.set(profile, {});
+        }
+        break;
+      case "load":
+        if (!exists) {
+          throw rpcError(ERROR_PROFILE_NOT_FOUND, "Profile does not exist.");
+        }
+        cortexState.loadedProfile = profile;
+        break;
+      case "unload":
+        cortexState.loadedProfile = null;
+        break;
+      case "save":
+        if (cortexState.loadedProfile !== profile) {
+          throw rpcError(ERROR_NO_PROFILE_LOADED, "Profile is not loaded.");
+        }
+        break;
+      case "delete":
+        cortexState.profiles.delete(profile);
+        if (cortexState.loadedProfile === profile) {
+          cortexState.loadedProfile = null;
+        }
+        break;
+      default:
+        throw rpcError(ERROR_INVALID_PARAMS, "Invalid parameters: status.");
+    }
+    return { action: status, name: profile, message: `Profile ${status}d.` };
+  }
+
+  /**
+   * Fake a trial: started now, succeeded after the training time, then
+   * completed or rejected when the app accepts or rejects it.
+   * @param {object} params - cortexToken, session, detection, action, status
+   */
+  training(params) {
+    this.checkToken(params);
+    if (params.session !== this.sessionID) {
+      throw rpcError(ERROR_INVALID_PARAMS, "Invalid parameters: session.");
+    }
+    if (params.detection !== "mentalCommand") {
+      throw rpcError(ERROR_INVALID_PARAMS, "Invalid parameters: detection.");
+    }
+    const { action, status } = params;
+    const later = (delay, event) => {
+      this.trainingTimers.push(
+        setTimeout(() => this.sendSystemEvent(event), delay),
+      );
+    };
+    switch (status) {
+      case "start":
+        this.clearTraining();
+        this.trainingAction = action;
+        later(200, "MC_Started");
+        later(200 + this.options.trainingTime, "MC_Succeeded");
+        break;
+      case "accept": {
+        const profile = cortexState.profiles.get(cortexState.loadedProfile);
+        if (profile) {
+          profile[action] = (profile[action] || 0) + 1;
+        }
+        this.trainingAction = null;
+        later(100, "MC_Completed");
+        break;
+      }
+      case "reject":
+        this.trainingAction = null;
+        later(100, "MC_Rejected");
+        break;
+      case "reset":
+        this.clearTraining();
+        later(100, "MC_Reset");
+        break;
+      case "erase": {
+        const profile = cortexState.profiles.get(cortexState.loadedProfile);
+        if (profile) {
+          delete profile[action];
+        }
+        later(100, "MC_DataErased");
+        break;
+      }
+      default:
+        throw rpcError(ERROR_INVALID_PARAMS, "Invalid parameters: status.");
+    }
+    return {
+      action,
+      status,
+      message: `Set up training ${status} successfully.`,
+    };
+  }
+
+  clearTraining() {
+    this.trainingTimers.forEach((timer) => clearTimeout(timer));
+    this.trainingTimers = [];
+    this.trainingAction = null;
+  }
+
+  /**
+   * @param {string} event - e.g. "MC_Succeeded"
+   */
+  sendSystemEvent(event) {
+    if (!this.streams.has("sys")) {
+      return;
+    }
+    log(`-> sys ${event}`);
+    this.connection.send({
+      sys: ["mentalCommand", event],
+      sid: this.sessionID,
+      time: Date.now() / 1000,
+    });
+  }
+
+  /**
+   * @param {object} params
+   */
+  checkToken(params) {
+    if (!this.cortexToken || params.cortexToken !== this.cortexToken) {
+      throw rpcError(ERROR_INVALID_TOKEN, "Invalid cortex token.");
+    }
+  }
+
+  updateStreaming() {
+    const shouldStream = this.streams.size > 0 && !this.paused;
+    if (shouldStream && !this.streamTimer) {
+      this.scheduleNext();
+    } else if (!shouldStream && this.streamTimer) {
+      clearTimeout(this.streamTimer);
+      this.streamTimer = null;
+    }
+  }
+
+  scheduleNext() {
+    const { script, interval } = this.options;
+    const event = script ? script[this.scriptIndex % script.length] : null;
+    const delay = event && event.delay !== undefined ? event.delay : interval;
+    this.streamTimer = setTimeout(() => {
+      if (event) {
+        this.scriptIndex += 1;
+        this.sendScripted(event);
+      } else {
+        this.sendRandomCommand();
+        this.sendRandomExpression();
+      }
+      this.scheduleNext();
+    }, delay);
+  }
+
+  /**
+   * @param {object} event
+   */
+  sendScripted(event) {
+    if (event.error) {
+      this.sendError(null, event.error.code, event.error.message);
+    } else if (event.warning) {
+      this.sendWarning(event.warning.code, event.warning.message);
+    } else if (event.command) {
+      this.sendCommand(event.command, event.intensity || 0);
+    } else if (event.expression) {
+      this.sendExpression(event.expression, event.power || 0);
+    }
+  }
+
+  sendRandomCommand() {
+    const { commands, minIntensity, maxIntensity } = this.options;
+    const command = commands[Math.floor(Math.random() * commands.length)];
+    const intensity =
+      command === "neutral"
+        ? 0
+        : minIntensity + Math.random() * (maxIntensity - minIntensity);
+    this.sendCommand(command, Number(intensity.toFixed(3)));
+  }
+
+  /**
+   * @param {string} command
+   * @param {number} intensity
+   */
+  sendCommand(command, intensity) {
+    if (!this.streams.has("com")) {
+      return;
+    }
+    log(`-> com ${command} ${intensity}`);
+    this.connection.send({
+      com: [command, intensity],
+      sid: this.sessionID,
+      time: Date.now() / 1000,
+    });
+  }
+
+  sendRandomExpression() {
+    const { expressions, minIntensity, maxIntensity } = this.options;
+    const expression =
+      expressions[Math.floor(Math.random() * expressions.length)];
+    const power = minIntensity + Math.random() * (maxIntensity - minIntensity);
+    this.sendExpression(expression, Number(power.toFixed(3)));
+  }
+
+  /**
+   * @param {string} expression
+   * @param {number} power - Only used for lower face expressions
+   */
+  sendExpression(expression, power) {
+    if (!this.streams.has("fac")) {
+      return;
+    }
+    const isEye = EYE_ACTIONS.includes(expression);
+    const lowerFace = isEye ? "neutral" : expression;
+    log(`-> fac ${expression}${isEye ? "" : ` ${power}`}`);
+    this.connection.send({
+      fac: [
+        isEye ? expression : "neutral",
+        "neutral",
+        0,
+        lowerFace,
+        lowerFace === "neutral" ? 0 : power,
+      ],
+      sid: this.sessionID,
+      time: Date.now() / 1000,
+    });
+  }
+
+  /**
+   * @param {number | string | null} id
+   * @param {number} code
+   * @param {string} message
+   */
+  sendError(id, code, message) {
+    log(`-> error ${code} ${message}`);
+    this.connection.send({ id, jsonrpc: "2.0", error: { code, message } });
+  }
+
+  /**
+   * @param {number} code
+   * @param {string} message
+   */
+  sendWarning(code, message) {
+    log(`-> warning ${code} ${message}`);
+    this.connection.send({ jsonrpc: "2.0", warning: { code, message } });
+  }
+
+  /**
+   * @param {boolean} paused
+   */
+  setPaused(paused) {
+    this.paused = paused;
+    this.updateStreaming();
+  }
+
+  stop() {
+    if (this.streamTimer) {
+      clearTimeout(this.streamTimer);
+      this.streamTimer = null;
+    }
+    this.clearTraining();
+  }
+}
+
+/**
+ * @param {number} code
+ * @param {string} message
+ * @returns {Error}
+ */
+function rpcError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * @param {...any} args
+ */
+function log(...args) {
+  console.log(new Date().toISOString().slice(11, 23), ...args);
+}
+
+/**
+ * @param {Set<MockCortexClient>} clients
+ * @param {string} line
+ */
+function handleConsoleLine(clients, line) {
+  const [word, ...rest] = line.trim().split(/\s+/);
+  if (!word) {
+    return;
+  }
+  const code = Number(rest[0]);
+  const message = rest.slice(1).join(" ");
+  clients.forEach((client) => {
+    switch (word) {
+      case "error":
+        client.sendError(null, code || -32000, message || "Injected error");
+        break;
+      case "warn":
+        client.sendWarning(code || 0, message || "Injected warning");
+        break;
+      case "pause":
+        client.setPaused(true);
+        break;
+      case "resume":
+        client.setPaused(false);
+        break;
+      case "close":
+        client.connection.close();
+        break;
+      case "fac":
+        client.sendExpression(
+          rest[0] || "neutral",
+          rest[1] !== undefined ? Number(rest[1]) : 1,
+        );
+        break;
+      default:
+        client.sendCommand(word, rest[0] !== undefined ? Number(rest[0]) : 1);
+    }
+  });
+  if (clients.size === 0) {
+    log("no clients connected");
+  }
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const clients = new Set();
+
+  const server =
+    options.cert && options.key
+      ? https.createServer({
+          cert: fs.readFileSync(options.cert),
+          key: fs.readFileSync(options.key),
+        })
+      : http.createServer();
+
+  server.on("request", (req, res) => {
+    res.writeHead(426, { "Content-Type": "text/plain" });
+    res.end("Mock Cortex speaks WebSocket only\n");
+  });
+
+  server.on("upgrade", (req, socket) => {
+    const key = req.headers["sec-websocket-key"];
+    if (!key) {
+      socket.destroy();
+      return;
+    }
+    const accept = crypto
+      .createHash("sha1")
+      .update(key + WEBSOCKET_GUID)
+      .digest("base64");
+    socket.write(
+      "HTTP/1.1 101 Switching Protocols\r\n" +
+        "Upgrade: websocket\r\n" +
+        "Connection: Upgrade\r\n" +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`,
+    );
+
+    let client = null;
+    const connection = new WebSocketConnection(
+      socket,
+      (text) => client.handleMessage(text),
+      () => {
+        client.stop();
+        clients.delete(client);
+        log("client disconnected");
+      },
+    );
+    client = new MockCortexClient(connection, options);
+    clients.add(client);
+    log("client connected");
+
+    if (options.dropAfter !== null) {
+      setTimeout(() => connection.close(), options.dropAfter);
+    }
+  });
+
+  server.on("error", (e) => {
+    if (e.code === "EADDRINUSE") {
+      console.error(
+        `Port ${options.port} is in use - is Cortex or another mock running?` +
+          " Pick another with --port.",
+      );
+    } else {
+      console.error(`mock Cortex failed: ${e.message}`);
+    }
+    process.exit(1);
+  });
+
+  server.listen(options.port, () => {
+    const scheme = options.cert && options.key ? "wss" : "ws";
+    log(`mock Cortex listening on ${scheme}://localhost:${options.port}`);
+  });
+
+  readline
+    .createInterface({ input: process.stdin })
+    .on("line", (line) => handleConsoleLine(clients, line));
+}
+
+main();
@@ -1,18 +1,555 @@
-const REQUEST_ACCESS_ID = 1;
-const QUERY_HEADSET_ID = 2;
-const CONTROL_DEVICE_ID = 3;
-const AUTHORISE_ID = 4;
-const CREATE_SESSION_ID = 5;
-const SUB_REQUEST_ID = 6;
+// How long a Cortex request may go unanswered, in ms
+const RPC_TIMEOUT = 10000;
+// Error codes for requests that failed without Cortex answering
+const RPC_ERROR_TIMEOUT = -1;
+const RPC_ERROR_CLOSED = -2;
+const WARNING_CODE_STREAMS_STOPPED = 0;
+const WARNING_CODE_SESSION_CLOSED = 1;
 const WARNING_CODE_HEADSET_DISCOVERY_COMPLETE = 142;
+const DEFAULT_CORTEX_URL = "wss://localhost:6868";
+
+const HEADSET_STATE = {
+  IDLE: "idle",
+  CONNECTING: "connecting",
+  AUTHORISING: "authorising",
+  SESSION_ACTIVE: "session-active",
+  DISCONNECTED: "disconnected",
+  ERROR: "error",
+};
+
+// Reconnect backoff in ms, doubling after each failed attempt
+const RECONNECT_MIN_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+
+const CORTEX_ERROR_MESSAGES = {
+  [-32001]: "No headset connected - check it is switched on and paired",
+  [-32002]: "Invalid Emotiv license",
+  [-32004]: "Headset unavailable - it may be in use by another app",
+  [-32005]: "A session for this headset already exists",
+  [-32012]: "The Cortex session is not active yet",
+  [-32014]: "Cortex token is invalid - reconnecting for a new one",
+  [-32015]: "Cortex token expired - reconnecting for a new one",
+  [-32016]: "Cortex does not offer the requested data stream",
+  [-32021]: "Invalid client ID or secret - check your Cortex credentials",
+  [-32024]: "Emotiv license expired",
+  [-32033]: "Not logged in - log in to your EmotivID in the Emotiv app",
+  [-32102]: "MindInk is not approved yet - approve it in the Emotiv app",
+};
+
+// Errors that retrying cannot fix without the user changing something
+const FATAL_CORTEX_ERRORS = [-32002, -32021, -32024];
+
+// Cortex mental commands a participant may have trained, besides neutral
+const MENTAL_COMMANDS = [
+  "push",
+  "pull",
+  "lift",
+  "drop",
+  "left",
+  "right",
+  "rotateLeft",
+  "rotateRight",
+  "rotateClockwise",
+  "rotateCounterClockwise",
+  "rotateForwards",
+  "rotateReverse",
+  "disappear",
+];
+
+// What a mental command can do in the menu. A slot picks the nth entry on
+// the current menu page.
+const NAVIGATION_ROLES = [
+  { id: "next", name: "Next entry" },
+  { id: "select", name: "Select entry" },
+  { id: "back", name: "Back" },
+  { id: "slot1", name: "1st entry" },
+  { id: "slot2", name: "2nd entry" },
+  { id: "slot3", name: "3rd entry" },
+  { id: "slot4", name: "4th entry" },
+];
+const SLOT_ROLE_PREFIX = "slot";
+// Roles that run a BINDABLE_ACTIONS entry directly, e.g. "action:undo"
+const ACTION_ROLE_PREFIX = "action:";
+
+// One command is kept for going back out of a submenu
+const DEFAULT_COMMAND_MAPPING = {
+  push: "slot1",
+  pull: "slot2",
+  lift: "slot3",
+  drop: "back",
+};
+
+// Entries per menu page when no slot commands are mapped
+const MENU_PAGE_SIZE = 4;
+// An open menu goes back to the top after this long without a command, in ms
+const MENU_INACTIVITY_TIMEOUT = 10000;
+
+const BRUSH_SIZES = [
+  { name: "Thin", size: 2 },
+  { name: "Medium", size: 5 },
+  { name: "Thick", size: 10 },
+];
+
+/**
+ * @typedef {object} Brush
+ * @property {string} preset - The BRUSH_PRESETS key last picked
+ * @property {number} size - Line width in canvas pixels
+ * @property {number} opacity - 0 to 1
+ * @property {"round" | "butt" | "square"} cap
+ * @property {boolean} smooth - Curve through the points instead of lines
+ */
+
+const BRUSH_PRESETS = {
+  pen: { name: "Pen", size: 2, opacity: 1, cap: "round" },
+  marker: { name: "Marker", size: 8, opacity: 0.9, cap: "round" },
+  pencil: { name: "Pencil", size: 1, opacity: 0.6, cap: "round" },
+  highlighter: { name: "Highlighter", size: 18, opacity: 0.3, cap: "butt" },
+};
+const DEFAULT_BRUSH = {
+  preset: "pen",
+  size: 2,
+  opacity: 1,
+  cap: "round",
+  smooth: true,
+};
+const BRUSH_OPACITIES = [
+  { name: "Solid", opacity: 1 },
+  { name: "60%", opacity: 0.6 },
+  { name: "30%", opacity: 0.3 },
+];
+// Size step of the [ and ] keys, in canvas pixels
+const BRUSH_SIZE_STEP = 1;
+const MAX_BRUSH_SIZE = 50;
+
+const DEFAULT_PARTICIPANT = "default";
+
+// How FaceTracker turns a face into a pointer position
+const POINTER_MODES = {
+  eyeCorners: "Head position",
+  headPose: "Head pose",
+  gaze: "Gaze",
+};
+const DEFAULT_POINTER_MODE = "eyeCorners";
+const DEFAULT_SCALING_FACTOR = 2.0;
+
+const CAMERA_WIDTH = 320;
+const CAMERA_HEIGHT = 240;
+
+// Face mesh landmarks that stay put as the face moves, for the head pose
+const HEAD_POSE_LANDMARKS = {
+  noseTip: 1,
+  forehead: 10,
+  chin: 152,
+  rightEyeOuter: 33,
+  leftEyeOuter: 263,
+  mouthRight: 61,
+  mouthLeft: 291,
+};
+// Degrees turned from the centre pose that reach the canvas edge, at the
+// default scaling factor
+const HEAD_POSE_RANGE = { yaw: 25, pitch: 18 };
+
+// Eye corners in image order (left to right) and the iris centre of each
+// eye, from the refined face mesh
+const GAZE_EYES = [
+  { start: 33, end: 133, iris: 468 },
+  { start: 362, end: 263, iris: 473 },
+];
+// Gaze calibration targets sit inside this margin of the canvas
+const GAZE_TARGET_MARGIN = 0.1;
+// Time to settle on a target, then time spent sampling it
+const GAZE_SETTLE_TIME = 800;
+const GAZE_SAMPLE_TIME = 1200;
+
+// Ways to move the pen; only the active one draws
+const INPUT_SOURCES = {
+  face: "Face",
+  mouse: "Mouse",
+  touch: "Touch",
+  pen: "Pen",
+};
+const DEFAULT_INPUT_SOURCE = "face";
+
+// Pointer smoothing stages a FilterChain can stack. Parameters are in
+// canvas fractions and seconds, so they hold for any canvas size.
+const FILTER_STAGES = {
+  kalman: {
+    name: "Kalman (position)",
+    params: {
+      processNoise: { label: "Process noise", value: 0.01, step: 0.005 },
+      measurementNoise: { label: "Measurement noise", value: 0.1, step: 0.05 },
+    },
+  },
+  velocityKalman: {
+    name: "Kalman (constant velocity)",
+    params: {
+      processNoise: { label: "Acceleration noise", value: 1, step: 0.5 },
+      measurementNoise: {
+        label: "Measurement noise",
+        value: 0.0001,
+        step: 0.0001,
+      },
+    },
+  },
+  oneEuro: {
+    name: "One Euro",
+    params: {
+      minCutoff: { label: "Min cutoff (Hz)", value: 1, step: 0.1 },
+      beta: { label: "Speed coefficient", value: 5, step: 0.5 },
+      derivativeCutoff: { label: "Speed cutoff (Hz)", value: 1, step: 0.1 },
+    },
+  },
+  ema: {
+    name: "Moving average",
+    params: {
+      alpha: { label: "Responsiveness", value: 0.25, step: 0.05 },
+    },
+  },
+  clamp: {
+    name: "Step clamp",
+    params: {
+      maxStep: { label: "Max step per frame", value: 0.06, step: 0.01 },
+    },
+  },
+};
+// The smoothing FaceTracker always had
+const DEFAULT_FILTER_CHAIN = [
+  { type: "kalman", params: {} },
+  { type: "ema", params: {} },
+  { type: "clamp", params: {} },
+];
+// Frames of raw and filtered pointer the tuning panel plots
+const FILTER_TRACE_LENGTH = 180;
+
+const DEFAULT_DWELL_SETTINGS = { enabled: false, dwellTime: 1000 };
+// Controls the head cursor can click by resting on them
+const DWELL_TARGETS = [
+  "#controls button",
+  "#templates-panel button",
+  "#calibration-button-container button",
+  '#controls label.checkbox-row:has(input[type="checkbox"])',
+].join(", ");
+
+// Per-participant numbers in the settings panel; value is the default
+const SETTING_FIELDS = {
+  scalingFactor: {
+    label: "Head sensitivity",
+    value: DEFAULT_SCALING_FACTOR,
+    min: 0.5,
+    max: 10,
+    step: 0.5,
+  },
+  actionDelay: {
+    label: "Headset action delay (ms)",
+    value: 1000,
+    min: 0,
+    max: 5000,
+    step: 100,
+  },
+  commandThreshold: {
+    label: "Mental command threshold",
+    value: 0.5,
+    min: 0,
+    max: 1,
+    step: 0.05,
+  },
+  brushSize: {
+    label: "Brush size",
+    value: DEFAULT_BRUSH.size,
+    min: 1,
+    max: MAX_BRUSH_SIZE,
+    step: 1,
+  },
+  eraserSize: { label: "Eraser size", value: 30, min: 5, max: 100, step: 5 },
+  fillTolerance: {
+    label: "Fill tolerance (%)",
+    value: 10,
+    min: 0,
+    max: 100,
+    step: 5,
+  },
+  timerSeconds: {
+    label: "Timer length (s)",
+    value: 60,
+    min: 10,
+    max: 600,
+    step: 10,
+  },
+  // Seconds left at which the countdown flashes and beeps; 0 for none
+  firstWarningSeconds: {
+    label: "First warning (s left)",
+    value: 30,
+    min: 0,
+    max: 600,
+    step: 5,
+  },
+  finalWarningSeconds: {
+    label: "Final warning (s left)",
+    value: 10,
+    min: 0,
+    max: 600,
+    step: 5,
+  },
+};
+
+/**
+ * @typedef {object} AnalogSettings
+ * @property {boolean} enabled
+ * @property {string} command - The mental command whose intensity is read
+ * @property {string} target - An ANALOG_TARGETS key
+ * @property {string} curve - An ANALOG_CURVES key
+ * @property {number} smoothing - 0 follows the intensity at once, nearer 1
+ *   follows it more slowly
+ * @property {number} min - Value at no intensity
+ * @property {number} max - Value at full intensity
+ */
+
+// Parameters the intensity of a mental command can drive
+const ANALOG_TARGETS = {
+  brushSize: { name: "Brush size", min: 1, max: MAX_BRUSH_SIZE },
+  brushOpacity: { name: "Brush opacity (%)", min: 5, max: 100 },
+  eraserSize: { name: "Eraser size", min: 5, max: 100 },
+  cursorSpeed: { name: "Cursor speed (x)", min: 0.25, max: 4 },
+};
+// Shape intensity, 0 to 1, into how far along the min-max range to go
+const ANALOG_CURVES = {
+  linear: { name: "Linear", shape: (x) => x },
+  gentle: { name: "Gentle start", shape: (x) => x * x },
+  quick: { name: "Quick start", shape: (x) => Math.sqrt(x) },
+  sCurve: { name: "S-curve", shape: (x) => x * x * (3 - 2 * x) },
+};
+const DEFAULT_ANALOG_SETTINGS = {
+  enabled: false,
+  command: "lift",
+  target: "brushSize",
+  curve: "linear",
+  smoothing: 0.7,
+  min: 2,
+  max: 20,
+};
 
 const COLOR_BLACK = "#000000";
 const COLOR_RED = "#ff0000";
 const COLOR_GREEN = "#00ff00";
+const COLOR_BLUE = "#0000ff";
 const COLOR_CURSOR = "red";
 const COLOR_ERASE = "rgba(0,0,0,1)";
 const COLOR_ERASER_CURSOR = "rgba(255,255,255,0.75)";
 
+// Keybinds that pick each colour button's colour
+const COLOR_KEYS = {
+  [COLOR_RED]: "1",
+  [COLOR_GREEN]: "2",
+  [COLOR_BLUE]: "3",
+  [COLOR_BLACK]: "4",
+};
+
+// Actions other inputs can be bound to, each run through its keybind
+const BINDABLE_ACTIONS = [
+  { id: "toggleDrawing", name: "Toggle Drawing", key: "d" },
+  { id: "startDrawing", name: "Start Drawing", key: "s" },
+  { id: "stopDrawing", name: "Stop Drawing", key: "x" },
+  { id: "toggleEraser", name: "Toggle Eraser", key: "e" },
+  { id: "undo", name: "Undo", key: "z" },
+  { id: "redo", name: "Redo", key: "y" },
+  { id: "clear", name: "Clear Canvas", key: "c" },
+  { id: "red", name: "Red", key: "1" },
+  { id: "green", name: "Green", key: "2" },
+  { id: "blue", name: "Blue", key: "3" },
+  { id: "black", name: "Black", key: "4" },
+  { id: "fill", name: "Fill Region", key: "f" },
+  { id: "acceptShape", name: "Use Suggested Shape", key: "a" },
+  { id: "dismissShape", name: "Keep My Stroke", key: "n" },
+  { id: "nextBrush", name: "Next Brush", key: "b" },
+  { id: "brushBigger", name: "Bigger Brush", key: "]" },
+  { id: "brushSmaller", name: "Smaller Brush", key: "[" },
+  { id: "export", name: "Export Drawing", key: "p" },
+  { id: "cancelMenu", name: "Cancel Menu", key: "Escape" },
+];
+
+// Bindable expressions from the Cortex "fac" stream. Eye actions carry no
+// power, so only their debounce applies.
+const FACIAL_EXPRESSIONS = {
+  blink: { name: "Blink", eye: true },
+  winkL: { name: "Wink Left", eye: true },
+  winkR: { name: "Wink Right", eye: true },
+  clench: { name: "Clench", eye: false },
+  smile: { name: "Smile", eye: false },
+};
+
+// Mental commands the training screen offers; Cortex wants neutral first
+const TRAINING_ACTIONS = ["neutral", "push", "pull", "lift"];
+// How long Cortex records a training trial, in ms
+const TRAINING_DURATION = 8000;
+
+// Blinks are mostly involuntary, so they start unbound
+const DEFAULT_EXPRESSION_BINDINGS = {
+  blink: { action: "", threshold: 0, debounce: 1000 },
+  winkL: { action: "undo", threshold: 0, debounce: 1000 },
+  winkR: { action: "", threshold: 0, debounce: 1000 },
+  clench: { action: "toggleDrawing", threshold: 0.5, debounce: 1500 },
+  smile: { action: "", threshold: 0.5, debounce: 1500 },
+};
+
+// Templates TemplateManager can draw an outline for
+const TEMPLATES = ["star", "rectangle", "circle", "parallelogram"];
+const TEMPLATE_COLOR = "#ddd";
+const TEMPLATE_LINE_WIDTH = 3;
+const TEMPLATE_LINE_DASH = [10, 5];
+
+const DRAWING_FORMAT = "mindink-drawing";
+const DRAWING_FORMAT_VERSION = 1;
+
+// Spacing in pixels of the outline samples used for coverage scoring
+const SCORE_SAMPLE_SPACING = 2;
+
+// How a suggested stroke is shown before it is accepted
+const PREVIEW_LINE_DASH = [8, 6];
+const PREVIEW_OPACITY = 0.5;
+// What shape assist does with a finished stroke that looks like a shape
+const SHAPE_ASSIST_MODES = {
+  off: "Off",
+  suggest: "Suggest",
+  auto: "Automatic",
+};
+const DEFAULT_SHAPE_ASSIST = "off";
+// Shape fits are judged in shares of the stroke's bounding box diagonal: the
+// mean distance of the stroke from the shape, how far it strays from a
+// straight edge before that is a corner, and the gap between its ends that
+// still counts as closed
+const SHAPE_FIT_TOLERANCE = 0.05;
+const SHAPE_CORNER_TOLERANCE = 0.08;
+const SHAPE_CLOSED_GAP = 0.2;
+// Strokes with a smaller bounding box diagonal, in pixels, are left alone
+const SHAPE_MIN_SIZE = 30;
+// Points a stroke is resampled to, and clean curves are drawn with
+const SHAPE_SAMPLES = 64;
+// Ellipses whose short axis is at least this share of the long one are
+// circles
+const SHAPE_CIRCLE_RATIO = 0.85;
+// Degrees a corner may be off square for four corners to be a rectangle,
+// and a rectangle or line off the axes to be straightened
+const SHAPE_SQUARE_SLACK = 15;
+const SHAPE_MAX_CORNERS = 8;
+
+const SESSION_FORMAT = "mindink-session";
+// Bumped whenever captureState changes shape; other versions do not replay
+const SESSION_FORMAT_VERSION = 2;
+
+const PROFILE_FORMAT = "mindink-profile";
+const PROFILE_FORMAT_VERSION = 1;
+
+// IndexedDB database of saved drawings, for the gallery
+const GALLERY_DB_NAME = "mindink";
+const GALLERY_DB_VERSION = 1;
+const GALLERY_STORE = "drawings";
+const AUTOSAVE_INTERVAL = 10000;
+const THUMBNAIL_WIDTH = 240;
+
+const LOG_FORMAT = "mindink-log";
+const LOG_FORMAT_VERSION = 1;
+// CSV columns every log record has, ahead of the type-specific ones
+const LOG_COLUMNS = ["time", "t", "type"];
+// Records kept before the oldest are dropped, about an hour of cursor samples
+const MAX_LOG_RECORDS = 100000;
+
+const STUDY_FORMAT = "mindink-study-results";
+const STUDY_FORMAT_VERSION = 1;
+// Pause between study trials unless the study sets one, in seconds
+const DEFAULT_REST_SECONDS = 10;
+
+// Face mesh landmarks the pointer pipeline reads. Session recordings keep only
+// these, so any landmark a pointer mode starts using must be added here.
+const TRACKED_LANDMARKS = [
+  33, 133, 362, 263, 468, 473, 1, 10, 152, 61, 291,
+];
+
+// Session, file and calibration keys act outside the drawing and are not
+// replayed
+const UNRECORDED_KEYS = ["r", "o", "p", "F1"];
+const REPLAY_BATCH_SIZE = 500;
+
+// Input types that take typed text, so keys pressed in them are not keybinds
+const TEXT_INPUT_TYPES = [
+  "text",
+  "number",
+  "password",
+  "search",
+  "email",
+  "url",
+  "tel",
+];
+
+/**
+ * Milliseconds since the epoch. While a session replays this is the recorded
+ * time of the event being replayed, so timing logic sees what it saw live.
+ * @returns {number}
+ */
+function appNow() {
+  if (isReplaying()) {
+    return window.sessionPlayer.clock;
+  }
+  return Date.now();
+}
+
+/**
+ * @returns {boolean}
+ */
+function isReplaying() {
+  return Boolean(window.sessionPlayer && window.sessionPlayer.isPlaying);
+}
+
+/**
+ * Sliders, checkboxes and selects keep focus after a click but take no
+ * typing, so keybinds still work while they have it.
+ * @param {EventTarget | null} target
+ * @returns {boolean} Whether keys pressed there type into a form field
+ */
+function isTextEntry(target) {
+  if (!target) {
+    return false;
+  }
+  if (target.tagName === "INPUT") {
+    return TEXT_INPUT_TYPES.includes(target.type);
+  }
+  return target.tagName === "TEXTAREA" || Boolean(target.isContentEditable);
+}
+
+/**
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * @param {string} dataURL
+ * @param {string} fileName
+ */
+async function downloadDataURL(dataURL, fileName) {
+  const blob = await (await fetch(dataURL)).blob();
+  downloadBlob(blob, fileName);
+}
+
+/**
+ * @param {IDBRequest} request
+ * @returns {Promise<any>} The request's result
+ */
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
 class KalmanFilter {
   /**
    * @param {number} processNoise - Process noise covariance
@@ -22,6 +559,7 @@ class KalmanFilter {
   constructor(processNoise = 0.01, measurementNoise = 0.1, initialState = 0) {
     this.processNoise = processNoise;
     this.measurementNoise = measurementNoise;
+    this.initialState = initialState;
     this.state = initialState;
     this.uncertainty = 1.0;
   }
@@ -47,14 +585,528 @@ class KalmanFilter {
    * Reset the filter to initial state
    */
   reset() {
-    this.state = 0;
+    this.state = this.initialState;
     this.uncertainty = 1.0;
   }
 }
 
+/**
+ * Add a stroke's path: a Catmull-Rom spline through the points when smooth,
+ * straight lines between them otherwise.
+ * @param {{moveTo: Function, lineTo: Function, bezierCurveTo: Function}} path
+ *   A canvas context, or anything with the same path methods
+ * @param {{x: number, y: number}[]} points
+ * @param {boolean} smooth
+ */
+function traceStroke(path, points, smooth) {
+  path.moveTo(points[0].x, points[0].y);
+  for (let i = 1; i < points.length; i++) {
+    const from = points[i - 1];
+    const to = points[i];
+    if (!smooth) {
+      path.lineTo(to.x, to.y);
+      continue;
+    }
+    // The ends repeat their point, so the curve starts and stops on them
+    const before = points[i - 2] || from;
+    const after = points[i + 1] || to;
+    path.bezierCurveTo(
+      from.x + (to.x - before.x) / 6,
+      from.y + (to.y - before.y) / 6,
+      to.x - (after.x - from.x) / 6,
+      to.y - (after.y - from.y) / 6,
+      to.x,
+      to.y,
+    );
+  }
+}
+
+/**
+ * @param {{x: number, y: number}[]} points
+ * @param {boolean} smooth
+ * @returns {string} SVG path data matching traceStroke
+ */
+function strokePathData(points, smooth) {
+  const commands = [];
+  const format = (...values) => values.map((value) => value.toFixed(2));
+  traceStroke(
+    {
+      moveTo: (...xy) => commands.push(`M${format(...xy).join(",")}`),
+      lineTo: (...xy) => commands.push(`L${format(...xy).join(",")}`),
+      bezierCurveTo: (...xys) => commands.push(`C${format(...xys).join(",")}`),
+    },
+    points,
+    smooth,
+  );
+  return commands.join(" ");
+}
+
+/**
+ * Stroke fields can come from an imported file, so they are escaped before
+ * going into SVG markup.
+ * @param {any} value
+ * @returns {string} The value, safe inside a double-quoted attribute
+ */
+function svgAttribute(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Pixels 4-connected to the seed whose colour is close to the seed's.
+ * @param {ImageData} imageData
+ * @param {number} seedX - Pixel column
+ * @param {number} seedY - Pixel row
+ * @param {number} tolerance - Largest difference in any RGBA channel, 0-255
+ * @param {Uint8ClampedArray} [walls] - RGBA data; pixels with any alpha
+ *   there are never filled
+ * @returns {Uint8Array | null} 1 for each filled pixel, or null when the
+ *   seed is off the image or on a wall
+ */
+function floodFillMask(imageData, seedX, seedY, tolerance, walls) {
+  const { width, height, data } = imageData;
+  if (seedX < 0 || seedY < 0 || seedX >= width || seedY >= height) {
+    return null;
+  }
+  const seed = seedY * width + seedX;
+  const isWall = (index) => Boolean(walls) && walls[index * 4 + 3] > 0;
+  if (isWall(seed)) {
+    return null;
+  }
+  const seedColor = data.slice(seed * 4, seed * 4 + 4);
+  const matches = (index) => {
+    if (isWall(index)) {
+      return false;
+    }
+    for (let channel = 0; channel < 4; channel++) {
+      const difference = data[index * 4 + channel] - seedColor[channel];
+      if (Math.abs(difference) > tolerance) {
+        return false;
+      }
+    }
+    return true;
+  };
+
+  const mask = new Uint8Array(width * height);
+  mask[seed] = 1;
+  const stack = [seed];
+  const visit = (index) => {
+    if (!mask[index] && matches(index)) {
+      mask[index] = 1;
+      stack.push(index);
+    }
+  };
+  while (stack.length > 0) {
+    const index = stack.pop();
+    const x = index % width;
+    if (x > 0) {
+      visit(index - 1);
+    }
+    if (x < width - 1) {
+      visit(index + 1);
+    }
+    if (index >= width) {
+      visit(index - width);
+    }
+    if (index < width * (height - 1)) {
+      visit(index + width);
+    }
+  }
+  return mask;
+}
+
+/**
+ * @typedef {object} FilterStage
+ * @property {string} type - A FILTER_STAGES key
+ * @property {Object<string, number>} params - Missing ones take defaults
+ */
+
+/**
+ * @param {string} type - A FILTER_STAGES key
+ * @returns {Object<string, number>}
+ */
+function filterDefaults(type) {
+  const params = {};
+  for (const [name, param] of Object.entries(FILTER_STAGES[type].params)) {
+    params[name] = param.value;
+  }
+  return params;
+}
+
+/**
+ * @param {FilterStage} stage
+ * @returns {object} With update(point, t), reset(), getState() and
+ *   setState(state)
+ */
+function createFilter({ type, params }) {
+  switch (type) {
+    case "kalman":
+      return new PositionKalmanFilter(params);
+    case "velocityKalman":
+      return new VelocityKalmanFilter(params);
+    case "oneEuro":
+      return new OneEuroFilter(params);
+    case "ema":
+      return new EmaFilter(params);
+    case "clamp":
+      return new StepClampFilter(params);
+  }
+  throw new Error(`Unknown filter stage: ${type}`);
+}
+
+/**
+ * The KalmanFilter above on each axis: a constant position model.
+ */
+class PositionKalmanFilter {
+  /**
+   * @param {{processNoise: number, measurementNoise: number}} params
+   */
+  constructor({ processNoise, measurementNoise }) {
+    this.x = new KalmanFilter(processNoise, measurementNoise);
+    this.y = new KalmanFilter(processNoise, measurementNoise);
+  }
+
+  /**
+   * @param {{x: number, y: number}} point
+   * @returns {{x: number, y: number}}
+   */
+  update(point) {
+    return { x: this.x.update(point.x), y: this.y.update(point.y) };
+  }
+
+  reset() {
+    this.x.reset();
+    this.y.reset();
+  }
+
+  getState() {
+    return { x: { ...this.x }, y: { ...this.y } };
+  }
+
+  /**
+   * @param {object} state - From getState
+   */
+  setState(state) {
+    Object.assign(this.x, state.x);
+    Object.assign(this.y, state.y);
+  }
+}
+
+/**
+ * Kalman filter tracking position and velocity on each axis, so it follows
+ * steady movement without the lag of a position-only model.
+ */
+class VelocityKalmanFilter {
+  /**
+   * @param {{processNoise: number, measurementNoise: number}} params -
+   *   Acceleration noise density, and variance of a measured position
+   */
+  constructor({ processNoise, measurementNoise }) {
+    this.processNoise = processNoise;
+    this.measurementNoise = measurementNoise;
+    this.reset();
+  }
+
+  reset() {
+    this.axes = null;
+    this.lastTime = null;
+  }
+
+  /**
+   * @param {{x: number, y: number}} point
+   * @param {number} t - Milliseconds
+   * @returns {{x: number, y: number}}
+   */
+  update(point, t) {
+    if (!this.axes) {
+      this.axes = [point.x, point.y].map((position) => ({
+        position,
+        velocity: 0,
+        covariance: [this.measurementNoise, 0, 1],
+      }));
+      this.lastTime = t;
+      return { ...point };
+    }
+    const dt = Math.max((t - this.lastTime) / 1000, 1e-3);
+    this.lastTime = t;
+    return {
+      x: this.updateAxis(this.axes[0], point.x, dt),
+      y: this.updateAxis(this.axes[1], point.y, dt),
+    };
+  }
+
+  /**
+   * @param {{position: number, velocity: number, covariance: number[]}} axis -
+   *   Covariance is the symmetric matrix as [pp, pv, vv]
+   * @param {number} measured
+   * @param {number} dt - Seconds
+   * @returns {number} Filtered position
+   */
+  updateAxis(axis, measured, dt) {
+    const q = this.processNoise;
+    const [pp, pv, vv] = axis.covariance;
+
+    // Predict
+    axis.position += axis.velocity * dt;
+    const predictedPP =
+      pp + 2 * dt * pv + dt * dt * vv + (q * dt * dt * dt) / 3;
+    const predictedPV = pv + dt * vv + (q * dt * dt) / 2;
+    const predictedVV = vv + q * dt;
+
+    // Correct with the measured position
+    const innovationVariance = predictedPP + this.measurementNoise;
+    const gainP = predictedPP / innovationVariance;
+    const gainV = predictedPV / innovationVariance;
+    const innovation = measured - axis.position;
+    axis.position += gainP * innovation;
+    axis.velocity += gainV * innovation;
+    axis.covariance = [
+      (1 - gainP) * predictedPP,
+      (1 - gainP) * predictedPV,
+      predictedVV - gainV * predictedPV,
+    ];
+    return axis.position;
+  }
+
+  getState() {
+    return JSON.parse(
+      JSON.stringify({ axes: this.axes, lastTime: this.lastTime }),
+    );
+  }
+
+  /**
+   * @param {object} state - From getState
+   */
+  setState(state) {
+    this.axes = state.axes;
+    this.lastTime = state.lastTime;
+  }
+}
+
+/**
+ * One Euro filter (Casiez et al., CHI 2012): smooths hard when the pointer
+ * is slow and less as it speeds up, trading jitter against lag.
+ */
+class OneEuroFilter {
+  /**
+   * @param {{minCutoff: number, beta: number, derivativeCutoff: number}} params
+   */
+  constructor({ minCutoff, beta, derivativeCutoff }) {
+    this.minCutoff = minCutoff;
+    this.beta = beta;
+    this.derivativeCutoff = derivativeCutoff;
+    this.reset();
+  }
+
+  reset() {
+    this.previous = null;
+    this.derivative = { x: 0, y: 0 };
+    this.lastTime = null;
+  }
+
+  /**
+   * @param {number} cutoff - Hz
+   * @param {number} dt - Seconds
+   * @returns {number}
+   */
+  smoothingFactor(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+  }
+
+  /**
+   * @param {{x: number, y: number}} point
+   * @param {number} t - Milliseconds
+   * @returns {{x: number, y: number}}
+   */
+  update(point, t) {
+    if (!this.previous) {
+      this.previous = { ...point };
+      this.lastTime = t;
+      return { ...point };
+    }
+    const dt = Math.max((t - this.lastTime) / 1000, 1e-3);
+    this.lastTime = t;
+    const filtered = {};
+    for (const axis of ["x", "y"]) {
+      const rate = (point[axis] - this.previous[axis]) / dt;
+      const derivativeAlpha = this.smoothingFactor(this.derivativeCutoff, dt);
+      this.derivative[axis] +=
+        derivativeAlpha * (rate - this.derivative[axis]);
+      const speed = Math.abs(this.derivative[axis]);
+      const cutoff = this.minCutoff + this.beta * speed;
+      const alpha = this.smoothingFactor(cutoff, dt);
+      filtered[axis] =
+        this.previous[axis] + alpha * (point[axis] - this.previous[axis]);
+    }
+    this.previous = filtered;
+    return { ...filtered };
+  }
+
+  getState() {
+    return JSON.parse(
+      JSON.stringify({
+        previous: this.previous,
+        derivative: this.derivative,
+        lastTime: this.lastTime,
+      }),
+    );
+  }
+
+  /**
+   * @param {object} state - From getState
+   */
+  setState(state) {
+    Object.assign(this, state);
+  }
+}
+
+class EmaFilter {
+  /**
+   * @param {{alpha: number}} params - 0..1, higher = more responsive
+   */
+  constructor({ alpha }) {
+    this.alpha = alpha;
+    this.reset();
+  }
+
+  reset() {
+    this.smoothed = null;
+  }
+
+  /**
+   * @param {{x: number, y: number}} point
+   * @returns {{x: number, y: number}}
+   */
+  update(point) {
+    if (!this.smoothed) {
+      this.smoothed = { ...point };
+    } else {
+      this.smoothed = {
+        x: this.smoothed.x + this.alpha * (point.x - this.smoothed.x),
+        y: this.smoothed.y + this.alpha * (point.y - this.smoothed.y),
+      };
+    }
+    return { ...this.smoothed };
+  }
+
+  getState() {
+    return { smoothed: this.smoothed && { ...this.smoothed } };
+  }
+
+  /**
+   * @param {object} state - From getState
+   */
+  setState(state) {
+    this.smoothed = state.smoothed;
+  }
+}
+
+/**
+ * Limits how far the pointer moves per frame, to stop tracking spikes.
+ */
+class StepClampFilter {
+  /**
+   * @param {{maxStep: number}} params - Fraction of the canvas per frame
+   */
+  constructor({ maxStep }) {
+    this.maxStep = maxStep;
+    this.reset();
+  }
+
+  reset() {
+    this.previous = null;
+  }
+
+  /**
+   * @param {{x: number, y: number}} point
+   * @returns {{x: number, y: number}}
+   */
+  update(point) {
+    if (this.previous) {
+      const clamp = (value, previous) =>
+        Math.min(
+          Math.max(value, previous - this.maxStep),
+          previous + this.maxStep,
+        );
+      point = {
+        x: clamp(point.x, this.previous.x),
+        y: clamp(point.y, this.previous.y),
+      };
+    }
+    this.previous = { ...point };
+    return { ...point };
+  }
+
+  getState() {
+    return { previous: this.previous && { ...this.previous } };
+  }
+
+  /**
+   * @param {object} state - From getState
+   */
+  setState(state) {
+    this.previous = state.previous;
+  }
+}
+
+/**
+ * Filter stages applied in order to the pointer, in canvas fractions.
+ */
+class FilterChain {
+  /**
+   * @param {FilterStage[]} stages
+   */
+  constructor(stages) {
+    this.stages = stages
+      .filter((stage) => FILTER_STAGES[stage.type])
+      .map((stage) => ({
+        type: stage.type,
+        params: { ...filterDefaults(stage.type), ...stage.params },
+      }));
+    this.filters = this.stages.map(createFilter);
+  }
+
+  /**
+   * @param {{x: number, y: number}} point
+   * @param {number} t - Milliseconds
+   * @returns {{x: number, y: number}}
+   */
+  update(point, t) {
+    return this.filters.reduce((filtered, filter) =>
+      filter.update(filtered, t), point);
+  }
+
+  reset() {
+    this.filters.forEach((filter) => filter.reset());
+  }
+
+  /**
+   * @returns {object[]}
+   */
+  getState() {
+    return this.filters.map((filter) => filter.getState());
+  }
+
+  /**
+   * @param {object[]} state - From getState on a chain of the same stages
+   */
+  setState(state) {
+    this.reset();
+    if (Array.isArray(state) && state.length === this.filters.length) {
+      state.forEach((filterState, i) => this.filters[i].setState(filterState));
+    }
+  }
+}
+
 class CredentialManager {
   constructor() {
     this.storageKey = "cortex_credentials";
+    this.socketURLKey = "cortex_socket_url";
+    this.profileKey = "cortex_profile";
   }
 
   /**
@@ -89,6 +1141,44 @@ class CredentialManager {
   hasCredentials() {
     return this.getCredentials() !== null;
   }
+
+  /**
+   * The Cortex socket to connect to. A `?cortex=` query parameter wins over
+   * the stored URL, e.g. to point at mock-cortex-server.js.
+   * @returns {string}
+   */
+  getSocketURL() {
+    const fromQuery = new URLSearchParams(window.location.search).get("cortex");
+    return (
+      fromQuery || localStorage.getItem(this.socketURLKey) || DEFAULT_CORTEX_URL
+    );
+  }
+
+  /**
+   * @param {string} socketURL - Empty to go back to the default
+   */
+  saveSocketURL(socketURL) {
+    if (socketURL && socketURL !== DEFAULT_CORTEX_URL) {
+      localStorage.setItem(this.socketURLKey, socketURL);
+    } else {
+      localStorage.removeItem(this.socketURLKey);
+    }
+  }
+
+  /**
+   * The Cortex training profile to load once a session is open.
+   * @returns {string | null}
+   */
+  getProfileName() {
+    return localStorage.getItem(this.profileKey);
+  }
+
+  /**
+   * @param {string} profileName
+   */
+  saveProfileName(profileName) {
+    localStorage.setItem(this.profileKey, profileName);
+  }
 }
 
 class LoginManager {
@@ -102,6 +1192,11 @@ class LoginManager {
     this.loginOverlay = document.getElementById("login-overlay");
     this.loginForm = document.getElementById("login-form");
     this.clearCredentialsBtn = document.getElementById("clear-credentials");
+    this.socketURLInput = document.getElementById("cortex-url");
+    if (this.socketURLInput) {
+      this.socketURLInput.placeholder = DEFAULT_CORTEX_URL;
+      this.socketURLInput.value = this.credentialManager.getSocketURL();
+    }
 
     this.setupEventListeners();
     this.checkCredentials();
@@ -138,6 +1233,9 @@ class LoginManager {
     }
 
     this.credentialManager.saveCredentials(clientID, clientSecret);
+    if (this.socketURLInput) {
+      this.credentialManager.saveSocketURL(this.socketURLInput.value.trim());
+    }
     this.hideLoginForm();
     this.onLoginSuccess();
   }
@@ -155,149 +1253,374 @@ class LoginManager {
   }
 }
 
+class CortexError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} code - Cortex error code, or one of the RPC_ERROR_* codes
+   * @param {string} method - The JSON-RPC method that failed
+   * @param {any} [data]
+   */
+  constructor(message, code, method, data) {
+    super(message);
+    this.name = "CortexError";
+    this.code = code;
+    this.method = method;
+    this.data = data;
+  }
+}
+
 class Headset {
   /**
    * @param {{clientID: string, clientSecret: string}} user
    * @param {string} socketURL
    * @param {string[]} streams
+   * @param {string | null} [profileName] - Training profile to load
    */
-  constructor(user, socketURL, streams) {
+  constructor(user, socketURL, streams, profileName = null) {
     this.user = user;
     this.socketURL = socketURL;
     this.streams = streams;
+    this.profileName = profileName;
     this.socket = undefined;
     this.connected = false;
-    this.handlers = new Map();
+    this.nextRequestID = 1;
+    this.pending = new Map();
+    this.streamHandlers = new Map();
     this.sessionID = undefined;
     this.authToken = undefined;
     this.headsetID = undefined;
-    this.commandHandler = undefined;
+    this.state = HEADSET_STATE.IDLE;
+    this.stateMessage = "";
+    this.stateHandler = undefined;
+    this.reconnectDelay = RECONNECT_MIN_DELAY;
+    this.reconnectTimer = null;
+    this.shouldReconnect = true;
   }
 
   /**
-   * @param {number} id
+   * Send a JSON-RPC request and wait for its reply.
    * @param {string} method
    * @param {object} params
+   * @param {number} [timeout] - ms before giving up on the reply
+   * @returns {Promise<any>} The reply's result
    */
-  request(id, method, params) {
-    const payload = {
-      jsonrpc: "2.0",
-      id: id,
-      method: method,
-      params: params,
-    };
-    this.socket.send(JSON.stringify(payload));
+  call(method, params, timeout = RPC_TIMEOUT) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+        reject(
+          new CortexError("Not connected to Cortex", RPC_ERROR_CLOSED, method),
+        );
+        return;
+      }
+
+      const id = this.nextRequestID++;
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(
+          new CortexError(
+            `Cortex did not answer ${method} in time`,
+            RPC_ERROR_TIMEOUT,
+            method,
+          ),
+        );
+      }, timeout);
+      this.pending.set(id, { method, resolve, reject, timer });
+
+      const payload = {
+        jsonrpc: "2.0",
+        id: id,
+        method: method,
+        params: params,
+      };
+      this.socket.send(JSON.stringify(payload));
+    });
   }
 
   /**
-   * @param {(command: string, intensity: number) => void} handler
+   * @param {{id: number, result?: any, error?: {code: number, message: string, data?: any}}} message
    */
-  handleCommand(handler) {
-    this.commandHandler = handler;
+  settle(message) {
+    const request = this.pending.get(message.id);
+    if (!request) {
+      console.warn("reply to unknown request", message.id);
+      return;
+    }
+    this.pending.delete(message.id);
+    clearTimeout(request.timer);
+
+    if (message.error) {
+      const { code, data } = message.error;
+      request.reject(
+        new CortexError(message.error.message, code, request.method, data),
+      );
+    } else {
+      request.resolve(message.result);
+    }
   }
 
   /**
-   * @param {string} id
-   * @param {(data: any) => void} handler
+   * Reject every request still waiting for a reply.
+   * @param {CortexError} error
    */
-  addHandler(id, handler) {
-    this.handlers.set(id, handler);
+  rejectPending(error) {
+    for (const request of this.pending.values()) {
+      clearTimeout(request.timer);
+      request.reject(error);
+    }
+    this.pending.clear();
   }
 
   /**
-   * @param {string} id
+   * @param {string} stream - Cortex stream name, e.g. "com"
+   * @param {(data: any[], time: number) => void} handler
+   */
+  onStream(stream, handler) {
+    this.streamHandlers.set(stream, handler);
+  }
+
+  /**
+   * @param {{sid: string, time: number}} message
+   */
+  routeStream(message) {
+    if (this.sessionID && message.sid && message.sid !== this.sessionID) {
+      return;
+    }
+    let routed = false;
+    for (const [stream, handler] of this.streamHandlers) {
+      if (message[stream] !== undefined) {
+        handler(message[stream], message.time);
+        routed = true;
+      }
+    }
+    if (!routed) {
+      console.debug("unhandled stream message:", message);
+    }
+  }
+
+  /**
+   * @param {(command: string, intensity: number) => void} handler
+   */
+  handleCommand(handler) {
+    this.onStream("com", ([command, intensity]) => handler(command, intensity));
+  }
+
+  /**
+   * @param {(sample: FacialExpressionSample) => void} handler
+   */
+  handleFacialExpression(handler) {
+    this.onStream("fac", ([eyeAct, uAct, uPow, lAct, lPow]) =>
+      handler({ eyeAct, uAct, uPow, lAct, lPow }),
+    );
+  }
+
+  /**
+   * @param {(detection: string, event: string) => void} handler
+   */
+  handleSystemEvent(handler) {
+    this.onStream("sys", ([detection, event]) => handler(detection, event));
+  }
+
+  /**
+   * @param {(state: string, message: string) => void} handler
+   */
+  handleStateChange(handler) {
+    this.stateHandler = handler;
+  }
+
+  /**
+   * @param {string} state - One of HEADSET_STATE
+   * @param {string} message - Shown to the user
    */
-  removeHandler(id) {
-    this.handlers.delete(id);
+  setState(state, message) {
+    this.state = state;
+    this.stateMessage = message;
+    console.log(`headset state: ${state} - ${message}`);
+    if (this.stateHandler != undefined) {
+      this.stateHandler(state, message);
+    }
   }
 
   /**
    * @param {string[]} streams
    */
-  subscribe(streams) {
+  async subscribe(streams) {
     const params = {
       cortexToken: this.authToken,
       session: this.sessionID,
       streams: streams,
     };
-    this.request(SUB_REQUEST_ID, "subscribe", streams);
+    const result = await this.call("subscribe", params);
+    // Only mental commands are needed to draw; the app carries on without
+    // facial expressions or training events
+    for (const { streamName, message } of result["failure"] || []) {
+      if (streamName === "com") {
+        throw new Error(`Could not subscribe to ${streamName}: ${message}`);
+      }
+      console.warn(`Could not subscribe to ${streamName}:`, message);
+    }
   }
 
-  createSession() {
-    this.addHandler(CREATE_SESSION_ID, (data) => {
-      this.sessionID = data["result"]["id"];
-      console.log("session id", this.sessionID);
-      this.subscribe(this.streams);
-    });
+  async createSession() {
     const params = {
       cortexToken: this.authToken,
       headset: this.headsetID,
       status: "active",
     };
-    this.request(CREATE_SESSION_ID, "createSession", params);
+    const session = await this.call("createSession", params);
+    this.sessionID = session["id"];
+    console.log("session id", this.sessionID);
   }
 
-  authorise() {
-    this.addHandler(AUTHORISE_ID, (data) => {
-      this.authToken = data["result"]["cortexToken"];
-      console.log("auth token", this.authToken);
-      this.createSession();
-    });
+  async authorise() {
     const params = {
       clientId: this.user.clientID,
       clientSecret: this.user.clientSecret,
     };
-    this.request(AUTHORISE_ID, "authorize", params);
+    const result = await this.call("authorize", params);
+    this.authToken = result["cortexToken"];
+    console.log("auth token", this.authToken);
   }
 
-  controlDevice() {
-    this.addHandler(CONTROL_DEVICE_ID, (_) => {
-      console.log("connected");
-      this.authorise();
-    });
+  async controlDevice() {
     const params = { command: "connect", headset: this.headsetID };
-    this.request(CONTROL_DEVICE_ID, "controlDevice", params);
+    await this.call("controlDevice", params);
+    console.log("connected");
   }
 
-  getCredentials() {
-    this.addHandler(QUERY_HEADSET_ID, (data) => {
-      if (data["result"].length > 0) {
-        const headset = data["result"][0];
-        if (headset["status"] == "connected") {
-          this.connected = true;
-        }
-        this.headsetID = headset["id"];
-        console.log("headset id", this.headsetID);
-        this.controlDevice();
-      } else {
-        this.connected = false;
-        console.error("no headset connected");
-      }
+  async getCredentials() {
+    const headsets = await this.call("queryHeadsets", {});
+    if (headsets.length == 0) {
+      this.connected = false;
+      // Ask Cortex to scan so the headset can be found on the next attempt
+      this.call("controlDevice", { command: "refresh" }).catch(() => {});
+      throw new Error("No headset found - check it is switched on and in range");
+    }
+
+    const headset = headsets[0];
+    this.connected = headset["status"] == "connected";
+    this.headsetID = headset["id"];
+    console.log("headset id", this.headsetID);
+  }
+
+  async authenticate() {
+    const params = {
+      clientId: this.user.clientID,
+      clientSecret: this.user.clientSecret,
+    };
+    const result = await this.call("requestAccess", params);
+    if (result["accessGranted"] === false) {
+      throw new Error("Approve MindInk in the Emotiv app to continue");
+    }
+  }
+
+  /**
+   * @returns {Promise<string[]>} Names of the training profiles Cortex has
+   */
+  async queryProfiles() {
+    const profiles = await this.call("queryProfile", {
+      cortexToken: this.authToken,
     });
+    return profiles.map((profile) => profile["name"]);
+  }
 
-    this.request(QUERY_HEADSET_ID, "queryHeadsets", {});
+  /**
+   * @param {string} profile
+   * @param {"create"|"load"|"unload"|"save"} status
+   */
+  setupProfile(profile, status) {
+    const params = {
+      cortexToken: this.authToken,
+      headset: this.headsetID,
+      profile: profile,
+      status: status,
+    };
+    return this.call("setupProfile", params);
   }
 
   /**
-   * @param {string[]} streams
+   * Load a training profile onto the headset, creating it if it is new.
+   * @param {string} profile
    */
-  authenticate() {
-    this.addHandler(REQUEST_ACCESS_ID, (_) => {
-      this.getCredentials();
+  async loadProfile(profile) {
+    const current = await this.call("getCurrentProfile", {
+      cortexToken: this.authToken,
+      headset: this.headsetID,
     });
+    if (current["name"] !== profile) {
+      if (current["name"]) {
+        await this.setupProfile(current["name"], "unload");
+      }
+      const profiles = await this.queryProfiles();
+      if (!profiles.includes(profile)) {
+        await this.setupProfile(profile, "create");
+      }
+      await this.setupProfile(profile, "load");
+    }
+    this.profileName = profile;
+    console.log("profile", profile);
+  }
+
+  /**
+   * @param {string} action - Mental command, e.g. "push"
+   * @param {"start"|"accept"|"reject"|"reset"|"erase"} status
+   */
+  train(action, status) {
     const params = {
-      clientId: this.user.clientID,
-      clientSecret: this.user.clientSecret,
+      cortexToken: this.authToken,
+      session: this.sessionID,
+      detection: "mentalCommand",
+      action: action,
+      status: status,
     };
-    this.request(REQUEST_ACCESS_ID, "requestAccess", params);
+    return this.call("training", params);
+  }
+
+  /**
+   * @returns {Promise<Object<string, number>>} Trials saved per action
+   */
+  async getTrainedActions() {
+    const result = await this.call("getTrainedSignatureActions", {
+      cortexToken: this.authToken,
+      detection: "mentalCommand",
+      session: this.sessionID,
+    });
+    return Object.fromEntries(
+      result["trainedActions"].map(({ action, times }) => [action, times]),
+    );
+  }
+
+  /**
+   * Run the whole Cortex handshake, from access request to subscription.
+   */
+  async openSession() {
+    this.sessionID = undefined;
+    await this.authenticate();
+    await this.getCredentials();
+    await this.controlDevice();
+    await this.authorise();
+    await this.createSession();
+    if (this.profileName) {
+      await this.loadProfile(this.profileName);
+    }
+    await this.subscribe(this.streams);
   }
 
   connect() {
-    this.socket = new WebSocket(this.socketURL);
-    this.socket.addEventListener("message", ({ data }) => {
+    this.shouldReconnect = true;
+    this.clearReconnectTimer();
+    this.setState(HEADSET_STATE.CONNECTING, `Connecting to ${this.socketURL}`);
+
+    let opened = false;
+    const socket = new WebSocket(this.socketURL);
+    this.socket = socket;
+    socket.addEventListener("message", ({ data }) => {
       const message = JSON.parse(data);
-      if (message.warning) {
+      if (message.id != undefined) {
+        console.debug("received reply:", message);
+        this.settle(message);
+      } else if (message.warning) {
         console.warn("warning:", message.warning.code, message.warning.message);
+        this.handleWarning(message.warning);
       } else if (message.error) {
         console.error(
           "error:",
@@ -305,26 +1628,147 @@ class Headset {
           message.error.message,
           message.error.data,
         );
+        this.handleError(
+          new CortexError(
+            message.error.message,
+            message.error.code,
+            undefined,
+            message.error.data,
+          ),
+        );
       } else {
-        console.debug("received message:", message);
-        const message_id = message["id"];
-
-        if (message_id == undefined) {
-          if (this.commandHandler != undefined) {
-            const command = message["com"][0];
-            const intensity = message["com"][1];
-            this.commandHandler(command, intensity);
-          }
-        } else if (this.handlers.has(message_id)) {
-          const handler = this.handlers.get(message_id);
-          handler(message);
-        }
+        this.routeStream(message);
       }
     });
-    this.socket.addEventListener("open", () => {
-      this.authenticate();
+    socket.addEventListener("open", () => {
+      opened = true;
+      this.setState(HEADSET_STATE.AUTHORISING, "Authorising with Cortex");
+      this.openSession().then(
+        () => {
+          this.reconnectDelay = RECONNECT_MIN_DELAY;
+          this.setState(
+            HEADSET_STATE.SESSION_ACTIVE,
+            this.profileName
+              ? `Headset connected, profile ${this.profileName}`
+              : "Headset connected",
+          );
+        },
+        (error) => {
+          // Closing the socket already reported why
+          if (error.code !== RPC_ERROR_CLOSED) {
+            this.handleError(error);
+          }
+        },
+      );
+    });
+    let closed = false;
+    const onClose = () => {
+      // A newer socket may already have replaced this one
+      if (closed || this.socket !== socket) {
+        return;
+      }
+      closed = true;
+      this.connected = false;
+      // An error, or Cortex closing the session, already said why
+      if (
+        this.state !== HEADSET_STATE.ERROR &&
+        this.state !== HEADSET_STATE.DISCONNECTED
+      ) {
+        this.setState(
+          HEADSET_STATE.DISCONNECTED,
+          opened
+            ? "Connection to Cortex lost"
+            : `Cannot reach Cortex at ${this.socketURL} - is it running?`,
+        );
+      }
+      this.rejectPending(
+        new CortexError("Connection to Cortex closed", RPC_ERROR_CLOSED),
+      );
+      this.scheduleReconnect();
+    };
+    socket.addEventListener("close", onClose);
+    // Not every WebSocket implementation follows a failed handshake with close
+    socket.addEventListener("error", () => {
+      if (!opened) {
+        onClose();
+      }
     });
   }
+
+  /**
+   * @param {{code: number, message: string}} warning
+   */
+  handleWarning(warning) {
+    // Cortex stopped the streams or closed the session on its side
+    if (
+      warning.code === WARNING_CODE_STREAMS_STOPPED ||
+      warning.code === WARNING_CODE_SESSION_CLOSED
+    ) {
+      this.setState(HEADSET_STATE.DISCONNECTED, "Cortex closed the session");
+      this.closeSocket();
+    }
+  }
+
+  /**
+   * @param {Error|CortexError} error
+   */
+  handleError(error) {
+    const isCortexError = error instanceof CortexError;
+    const readable =
+      (isCortexError && CORTEX_ERROR_MESSAGES[error.code]) || error.message;
+    if (isCortexError && FATAL_CORTEX_ERRORS.includes(error.code)) {
+      // Retrying will not help until the user fixes something
+      this.shouldReconnect = false;
+    }
+    this.fail(readable);
+  }
+
+  /**
+   * Show an error and start over, unless retrying has been ruled out.
+   * @param {string} message
+   */
+  fail(message) {
+    this.setState(HEADSET_STATE.ERROR, message);
+    this.closeSocket();
+  }
+
+  closeSocket() {
+    if (this.socket && this.socket.readyState <= WebSocket.OPEN) {
+      this.socket.close();
+    }
+  }
+
+  scheduleReconnect() {
+    if (!this.shouldReconnect || this.reconnectTimer) {
+      return;
+    }
+    const delay = this.reconnectDelay;
+    this.reconnectDelay = Math.min(delay * 2, RECONNECT_MAX_DELAY);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+    if (this.stateHandler != undefined) {
+      this.stateHandler(
+        this.state,
+        `${this.stateMessage} - retrying in ${Math.round(delay / 1000)} s`,
+      );
+    }
+  }
+
+  clearReconnectTimer() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+  }
+
+  disconnect() {
+    this.shouldReconnect = false;
+    this.clearReconnectTimer();
+    this.closeSocket();
+    this.setState(HEADSET_STATE.DISCONNECTED, "Disconnected");
+  }
 }
 
 class CanvasDrawing {
@@ -336,14 +1780,36 @@ class CanvasDrawing {
     this.ctx = this.canvas.getContext("2d");
     this.isDrawing = false;
     this.isErasing = false;
+    this.isHovering = false;
     this.lastX = 0;
     this.lastY = 0;
     this.currentColor = COLOR_BLACK;
+    // The drawing is the list of strokes; the canvas is only a rendering of it
+    this.strokes = [];
+    this.currentStroke = null;
     this.undoStack = [];
     this.redoStack = [];
+    // Counts changes to the drawing, so autosave can tell when there are any
+    this.revision = 0;
     this.cursor = this.createCursor();
-    this.brushSize = 2;
+    this.brushPreset = DEFAULT_BRUSH.preset;
+    this.brushSize = DEFAULT_BRUSH.size;
+    this.brushOpacity = DEFAULT_BRUSH.opacity;
+    this.lineCap = DEFAULT_BRUSH.cap;
+    this.smoothStrokes = DEFAULT_BRUSH.smooth;
+    this.brushListeners = [];
+    this.brushSizeListeners = [];
+    this.strokeListeners = [];
+    this.previewStroke = null;
     this.eraserSize = 30;
+    this.fillTolerance = SETTING_FIELDS.fillTolerance.value;
+    this.fillStopsAtTemplate = true;
+    // What each fill painted and the strokes it was flooded over, so it is
+    // only flooded again once those change. Also read by the SVG export.
+    this.fillImages = new WeakMap();
+    // Finished strokes, so a frame only has to draw the one in progress
+    this.inkLayer = document.createElement("canvas");
+    this.inkCtx = this.inkLayer.getContext("2d");
 
     this.resizeCanvas();
     this.setupEventListeners();
@@ -368,1336 +1834,8008 @@ class CanvasDrawing {
   }
 
   resizeCanvas() {
-    this.canvas.width = window.innerWidth - 320;
-    this.canvas.height = window.innerHeight;
+    this.setCanvasSize(window.innerWidth - 320, window.innerHeight);
   }
 
-  saveCanvasState() {
-    this.redoStack = [];
-    try {
-      const snapshot = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-      this.undoStack.push(snapshot);
-    } catch (e) {
-      console.error("Failed to capture canvas state:", e);
+  /**
+   * Resize the canvas and stretch the strokes with it, since stroke
+   * coordinates are in canvas pixels.
+   * @param {number} width
+   * @param {number} height
+   */
+  setCanvasSize(width, height) {
+    const scaleX = this.canvas.width > 0 ? width / this.canvas.width : 1;
+    const scaleY = this.canvas.height > 0 ? height / this.canvas.height : 1;
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.scaleStrokes(scaleX, scaleY);
+    this.render();
+  }
+
+  /**
+   * @param {number} scaleX
+   * @param {number} scaleY
+   */
+  scaleStrokes(scaleX, scaleY) {
+    if (scaleX === 1 && scaleY === 1) {
+      return;
+    }
+    // Strokes are shared between the document and the history entries
+    const strokes = new Set(this.strokes);
+    for (const entry of [...this.undoStack, ...this.redoStack]) {
+      if (entry.stroke) {
+        strokes.add(entry.stroke);
+      }
+      if (entry.type === "replace") {
+        entry.strokes.forEach((stroke) => strokes.add(stroke));
+        entry.replacement.forEach((stroke) => strokes.add(stroke));
+      }
+    }
+    if (this.currentStroke) {
+      strokes.add(this.currentStroke);
+    }
+    strokes.forEach((stroke) => {
+      stroke.points.forEach((point) => {
+        point.x *= scaleX;
+        point.y *= scaleY;
+      });
+    });
+    this.lastX *= scaleX;
+    this.lastY *= scaleY;
+  }
+
+  beginStroke() {
+    const now = appNow();
+    this.currentStroke = {
+      points: [{ x: this.lastX, y: this.lastY, t: now }],
+      color: this.isErasing ? COLOR_ERASE : this.currentColor,
+      width: this.isErasing ? this.eraserSize : this.brushSize,
+      opacity: this.isErasing ? 1 : this.brushOpacity,
+      cap: this.isErasing ? "round" : this.lineCap,
+      smooth: this.smoothStrokes,
+      isEraser: this.isErasing,
+      startTime: now,
+      endTime: now,
+    };
+  }
+
+  /**
+   * @returns {object | null} The stroke, unless there was none to keep
+   */
+  endStroke() {
+    const stroke = this.currentStroke;
+    if (!stroke) {
+      return null;
     }
-    if (this.undoStack.length > 20) {
-      this.undoStack.shift();
+    this.currentStroke = null;
+    // A stroke that never moved leaves no ink
+    if (stroke.points.length < 2) {
+      return null;
     }
+    stroke.endTime = appNow();
+    this.strokes.push(stroke);
+    this.renderStroke(this.inkCtx, stroke);
+    this.pushHistory({ type: "stroke", stroke });
+    return stroke;
+  }
+
+  /**
+   * @param {{type: "stroke", stroke: object} | {type: "replace", strokes: object[], replacement: object[]}} entry
+   */
+  pushHistory(entry) {
+    this.undoStack.push(entry);
+    this.redoStack = [];
+    this.revision += 1;
   }
 
   undo() {
     if (window.countdownController && window.countdownController.shouldBlockInputs()) {
       return;
     }
-    if (this.undoStack.length > 0) {
-      try {
-        const current = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-        this.redoStack.push(current);
-      } catch (e) {
-        console.error("Failed to capture current state for redo:", e);
+    this.endStroke();
+    // Every change to the strokes goes through the history, so an entry's
+    // stroke should still be there. One that is not is skipped, so the press
+    // undoes the next entry instead of removing some other stroke.
+    let entry = this.undoStack.pop();
+    while (
+      entry &&
+      entry.type === "stroke" &&
+      !this.strokes.includes(entry.stroke)
+    ) {
+      entry = this.undoStack.pop();
+    }
+    if (entry) {
+      if (entry.type === "stroke") {
+        this.strokes.splice(this.strokes.lastIndexOf(entry.stroke), 1);
+      } else if (entry.type === "replace") {
+        this.strokes = entry.strokes;
       }
-      const previousState = this.undoStack.pop();
-      this.restoreCanvasState(previousState);
+      this.redoStack.push(entry);
+      this.render();
+    }
+    if (this.isDrawing) {
+      this.beginStroke();
     }
   }
 
-    redo() {
+  redo() {
     if (window.countdownController && window.countdownController.shouldBlockInputs()) {
       return;
     }
-    if (this.redoStack.length > 0) {
-      try {
-        const current = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-        this.undoStack.push(current);
-      } catch (e) {
-        console.error("Failed to capture current state for undo:", e);
+    this.endStroke();
+    const entry = this.redoStack.pop();
+    if (entry) {
+      if (entry.type === "stroke") {
+        this.strokes.push(entry.stroke);
+      } else if (entry.type === "replace") {
+        this.strokes = entry.replacement;
       }
-      const nextState = this.redoStack.pop();
-      this.restoreCanvasState(nextState);
+      this.undoStack.push(entry);
+      this.render();
+    }
+    if (this.isDrawing) {
+      this.beginStroke();
     }
   }
 
   /**
-   * @param {string} dataURL
+   * Re-render the whole canvas from the stroke list.
    */
-  restoreCanvasState(state) {
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-    if (state instanceof ImageData) {
-      // If dimensions match, draw directly; otherwise scale via an offscreen canvas
-      if (state.width === this.canvas.width && state.height === this.canvas.height) {
-        this.ctx.putImageData(state, 0, 0);
-      } else {
-        const off = document.createElement("canvas");
-        off.width = state.width;
-        off.height = state.height;
-        const offCtx = off.getContext("2d");
-        offCtx.putImageData(state, 0, 0);
-        this.ctx.drawImage(off, 0, 0, this.canvas.width, this.canvas.height);
-      }
-    } else if (typeof state === "string") {
-      // Backwards compatibility if any old data URLs are present
-      const img = new Image();
-      img.onload = () => {
-        this.ctx.drawImage(img, 0, 0);
-      };
-      img.src = state;
-    }
+  render() {
+    this.revision += 1;
+    this.inkLayer.width = this.canvas.width;
+    this.inkLayer.height = this.canvas.height;
+    this.strokes.forEach((stroke) => this.renderStroke(this.inkCtx, stroke));
+    this.renderFrame();
   }
 
   /**
-   * @param {number} x
-   * @param {number} y
+   * The finished strokes plus the one in progress, which is drawn whole each
+   * time so its curve and opacity come out the same as once it is finished.
    */
-  draw(x, y) {
-    if (this.isDrawing) {
-      this.ctx.beginPath();
-      this.ctx.moveTo(this.lastX, this.lastY);
-      this.ctx.lineTo(x, y);
-
-      if (this.isErasing) {
-        this.ctx.globalCompositeOperation = "destination-out";
-        this.ctx.lineWidth = this.eraserSize;
-        this.ctx.strokeStyle = COLOR_ERASE;
-      } else {
-        this.ctx.globalCompositeOperation = "source-over";
-        this.ctx.lineWidth = this.brushSize;
-        this.ctx.strokeStyle = this.currentColor;
-      }
-
-      this.ctx.stroke();
+  renderFrame() {
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.ctx.drawImage(this.inkLayer, 0, 0);
+    if (this.currentStroke) {
+      this.renderStroke(this.ctx, this.currentStroke);
+    }
+    if (this.previewStroke) {
+      this.ctx.save();
+      this.ctx.setLineDash(PREVIEW_LINE_DASH);
+      this.renderStroke(this.ctx, {
+        ...this.previewStroke,
+        opacity: PREVIEW_OPACITY,
+      });
+      this.ctx.restore();
     }
+  }
 
-    this.updateCursor(x, y);
-    this.lastX = x;
-    this.lastY = y;
+  /**
+   * Show a stroke dashed over the drawing without adding it, or stop.
+   * @param {object | null} stroke
+   */
+  setPreview(stroke) {
+    this.previewStroke = stroke;
+    this.renderFrame();
   }
 
   /**
-   * @param {number} x
-   * @param {number} y
+   * @param {(stroke: object) => void} listener - Called with each stroke
+   *   finished by lifting the pen, but not with eraser strokes or ones split
+   *   by a brush change
    */
-  updateCursor(x, y) {
-    const rect = this.canvas.getBoundingClientRect();
-    const scaleX = rect.width / this.canvas.width;
-    const scaleY = rect.height / this.canvas.height;
-    const pageX = rect.left + x * scaleX;
-    const pageY = rect.top + y * scaleY;
-    const scale = (scaleX + scaleY) / 2 || 1;
-    const targetSize = this.isErasing ? this.eraserSize * scale : 10;
-    this.cursor.style.width = `${targetSize}px`;
-    this.cursor.style.height = `${targetSize}px`;
-    this.cursor.style.backgroundColor = this.isErasing
-      ? COLOR_ERASER_CURSOR
-      : COLOR_CURSOR;
-    this.cursor.style.left = pageX - targetSize / 2 + "px";
-    this.cursor.style.top = pageY - targetSize / 2 + "px";
+  onStrokeFinished(listener) {
+    this.strokeListeners.push(listener);
   }
 
-  startDrawing() {
-    if (window.countdownController && window.countdownController.shouldBlockInputs()) {
+  /**
+   * Strokes from before the brush engine have no opacity, cap or smoothing,
+   * and get the defaults.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {object} stroke
+   */
+  renderStroke(ctx, stroke) {
+    if (stroke.fill) {
+      this.renderFill(ctx, stroke);
       return;
     }
-    if (!this.isDrawing) {
-      this.saveCanvasState();
+    const { points } = stroke;
+    if (points.length < 2) {
+      return;
     }
-    this.isDrawing = true;
-    this.updateStatus("Drawing");
+    ctx.save();
+    ctx.globalCompositeOperation = stroke.isEraser
+      ? "destination-out"
+      : "source-over";
+    ctx.globalAlpha = stroke.opacity ?? 1;
+    ctx.lineWidth = stroke.width;
+    ctx.lineCap = stroke.cap || "round";
+    ctx.lineJoin = "round";
+    ctx.strokeStyle = stroke.color;
+    ctx.beginPath();
+    traceStroke(ctx, points, Boolean(stroke.smooth));
+    ctx.stroke();
+    ctx.restore();
   }
 
-  stopDrawing() {
-    this.isDrawing = false;
-    this.updateStatus("Stopped");
-  }
+  /**
+   * A fill floods the region it was made in, going by what is drawn before
+   * it, so it follows the strokes under it when they are undone or erased.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {object} fill
+   * @returns {boolean} Whether there was anywhere to fill
+   */
+  renderFill(ctx, fill) {
+    const { width, height } = ctx.canvas;
+    const index = this.strokes.indexOf(fill);
+    const below =
+      index === -1 ? [...this.strokes] : this.strokes.slice(0, index);
+    const cached = this.fillImages.get(fill);
+    if (
+      cached &&
+      cached.width === width &&
+      cached.height === height &&
+      cached.below.length === below.length &&
+      cached.below.every((stroke, i) => stroke === below[i])
+    ) {
+      if (cached.layer) {
+        ctx.drawImage(cached.layer, 0, 0);
+      }
+      return cached.layer !== null;
+    }
 
-  toggleEraser() {
-    if (window.countdownController && window.countdownController.shouldBlockInputs()) {
-      return;
+    const [seed] = fill.points;
+    const walls = fill.boundary
+      ? this.templateWalls(fill.boundary, width, height)
+      : undefined;
+    const mask = floodFillMask(
+      ctx.getImageData(0, 0, width, height),
+      Math.floor(seed.x),
+      Math.floor(seed.y),
+      (fill.tolerance / 100) * 255,
+      walls,
+    );
+    if (!mask) {
+      this.fillImages.set(fill, { below, width, height, layer: null });
+      return false;
     }
-    this.isErasing = !this.isErasing;
-    if (this.isErasing) {
-      if (!this.isDrawing) {
-        this.saveCanvasState();
+
+    // One pixel more all round covers the anti-aliased edges of the ink
+    const layer = document.createElement("canvas");
+    layer.width = width;
+    layer.height = height;
+    const layerCtx = layer.getContext("2d");
+    const image = layerCtx.createImageData(width, height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const index = y * width + x;
+        if (
+          mask[index] ||
+          (x > 0 && mask[index - 1]) ||
+          (x < width - 1 && mask[index + 1]) ||
+          (y > 0 && mask[index - width]) ||
+          (y < height - 1 && mask[index + width])
+        ) {
+          image.data[index * 4 + 3] = 255;
+        }
       }
-      this.isDrawing = true;
-      this.updateStatus("Erasing");
-    } else {
-      this.isDrawing = false;
-      this.updateStatus("Stopped");
     }
+    layerCtx.putImageData(image, 0, 0);
+    layerCtx.globalCompositeOperation = "source-in";
+    layerCtx.fillStyle = fill.color;
+    layerCtx.fillRect(0, 0, width, height);
+    this.fillImages.set(fill, { below, width, height, layer });
+    ctx.drawImage(layer, 0, 0);
+    return true;
   }
 
-  clearCanvas() {
-    if (window.countdownController && window.countdownController.shouldBlockInputs()) {
-      return;
+  /**
+   * @param {string} template
+   * @param {number} width
+   * @param {number} height
+   * @returns {Uint8ClampedArray | undefined} RGBA data with the outline drawn
+   *   solid, so a fill cannot leak through the gaps in its dashes
+   */
+  templateWalls(template, width, height) {
+    const shape = window.templateManager
+      ? window.templateManager.getOutlineShape(template)
+      : null;
+    if (!shape) {
+      return undefined;
     }
-    this.saveCanvasState();
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-    this.updateStatus("Canvas Cleared");
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext("2d");
+    window.templateManager.drawOutline(ctx, shape, false);
+    return ctx.getImageData(0, 0, width, height).data;
   }
 
   /**
-   * @param {string} color
-   * @param {string} name
+   * Flood the region under the cursor with the current colour.
    */
-  setColor(color, name = color) {
+  fill() {
     if (window.countdownController && window.countdownController.shouldBlockInputs()) {
       return;
     }
-    this.currentColor = color;
-    this.updateStatus(`Color changed to ${name}`);
+    this.endStroke();
+    const now = appNow();
+    const fill = {
+      fill: true,
+      points: [{ x: this.lastX, y: this.lastY, t: now }],
+      color: this.currentColor,
+      tolerance: this.fillTolerance,
+      // The template is drawn to this canvas's size, like the strokes
+      boundary:
+        this.fillStopsAtTemplate && window.templateManager
+          ? window.templateManager.currentTemplate
+          : null,
+      isEraser: false,
+      startTime: now,
+      endTime: now,
+    };
+    if (this.renderFill(this.inkCtx, fill)) {
+      this.strokes.push(fill);
+      this.pushHistory({ type: "stroke", stroke: fill });
+      this.renderFrame();
+      this.logDrawing("fill");
+      this.updateStatus("Filled");
+    } else {
+      this.updateStatus("Nothing to fill here");
+    }
+    if (this.isDrawing) {
+      this.beginStroke();
+    }
   }
 
   /**
-   * @param {string} message
+   * The strokes as they would be without any fills, e.g. for scoring how
+   * well the lines follow an outline.
+   * @returns {ImageData}
    */
-  updateStatus(message) {
-    document.getElementById("status").textContent = `Status: ${message}`;
-  }
-
-  setupEventListeners() {
-    window.addEventListener("resize", () => this.resizeCanvas());
+  getStrokeImageData() {
+    const { width, height } = this.canvas;
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext("2d");
+    [...this.strokes, this.currentStroke]
+      .filter((stroke) => stroke && !stroke.fill)
+      .forEach((stroke) => this.renderStroke(ctx, stroke));
+    return ctx.getImageData(0, 0, width, height);
   }
-}
 
-class FaceTracker {
   /**
-   * @param {string} videoId
-   * @param {string} outputCanvasId
-   * @param {CanvasDrawing} drawingCanvas
+   * @param {number} x
+   * @param {number} y
    */
-  constructor(videoId, outputCanvasId, drawingCanvas) {
-    this.video = document.getElementById(videoId);
-    this.outputCanvas = document.getElementById(outputCanvasId);
-    this.outputCtx = this.outputCanvas.getContext("2d");
-    this.drawingCanvas = drawingCanvas;
-    this.scalingFactor = 2.0;
-    this.eyeX = 0;
-    this.eyeY = 0;
-    this.kalmanFilterX = new KalmanFilter();
-    this.kalmanFilterY = new KalmanFilter();
-
-    // Smoothing state to avoid cursor spikes
-    this.smoothedOffsetX = 0;
-    this.smoothedOffsetY = 0;
-    this.prevCanvasX = null;
-    this.prevCanvasY = null;
-    this.emaAlpha = 0.25; // 0..1, higher = more responsive
-    this.maxStepFraction = 0.06; // max fraction of canvas per frame
+  draw(x, y) {
+    if (this.isDrawing && (this.isHovering || !this.currentStroke)) {
+      // Ink resumes from here, not from where the cursor hovered
+      this.endStroke();
+      this.lastX = x;
+      this.lastY = y;
+      this.beginStroke();
+    }
+    this.isHovering = false;
+    if (this.isDrawing && this.currentStroke) {
+      this.currentStroke.points.push({ x, y, t: appNow() });
+      this.renderFrame();
+    }
 
-    this.setupFaceMesh();
-    this.setupCamera();
+    this.updateCursor(x, y);
+    this.lastX = x;
+    this.lastY = y;
   }
 
-  setupFaceMesh() {
-    this.faceMesh = new FaceMesh({
-      locateFile: (file) => {
-        return `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/${file}`;
-      },
-    });
-
-    this.faceMesh.setOptions({
-      maxNumFaces: 1,
-      refineLandmarks: true,
-      minDetectionConfidence: 0.5,
-      minTrackingConfidence: 0.5,
-    });
-
-    this.faceMesh.onResults((results) => this.onResults(results));
+  /**
+   * Move the cursor without leaving ink. The stroke in progress ends, and
+   * draw() starts the next one wherever the cursor is when inking resumes.
+   * @param {number} x
+   * @param {number} y
+   */
+  hover(x, y) {
+    this.endStroke();
+    this.isHovering = true;
+    this.updateCursor(x, y);
+    this.lastX = x;
+    this.lastY = y;
   }
 
-  setupCamera() {
-    this.camera = new Camera(this.video, {
-      onFrame: async () => {
-        await this.faceMesh.send({ image: this.video });
-      },
-      width: 320,
-      height: 240,
-    });
-    this.camera.start();
+  /**
+   * @param {number} x - Canvas pixels
+   * @param {number} y - Canvas pixels
+   * @returns {{pageX: number, pageY: number, scale: number}}
+   */
+  toPagePoint(x, y) {
+    const rect = this.canvas.getBoundingClientRect();
+    const scaleX = rect.width / this.canvas.width;
+    const scaleY = rect.height / this.canvas.height;
+    return {
+      pageX: rect.left + x * scaleX,
+      pageY: rect.top + y * scaleY,
+      scale: (scaleX + scaleY) / 2 || 1,
+    };
   }
 
   /**
-   * @param {any} results
+   * @param {number} x
+   * @param {number} y
    */
-  onResults(results) {
-    // Block drawing if time is up
+  updateCursor(x, y) {
+    const { pageX, pageY, scale } = this.toPagePoint(x, y);
+    const targetSize = this.isErasing ? this.eraserSize * scale : 10;
+    this.cursor.style.width = `${targetSize}px`;
+    this.cursor.style.height = `${targetSize}px`;
+    this.cursor.style.backgroundColor = this.isErasing
+      ? COLOR_ERASER_CURSOR
+      : COLOR_CURSOR;
+    this.cursor.style.left = pageX - targetSize / 2 + "px";
+    this.cursor.style.top = pageY - targetSize / 2 + "px";
+  }
+
+  startDrawing() {
     if (window.countdownController && window.countdownController.shouldBlockInputs()) {
       return;
     }
-    
-    if (results.multiFaceLandmarks && results.multiFaceLandmarks.length > 0) {
-      for (const landmarks of results.multiFaceLandmarks) {
-        const leftEye = landmarks[33];
-        const rightEye = landmarks[133];
-
-        // Calculate average eye position
-        const rawEyeX = (leftEye.x + rightEye.x) / 2;
-        const rawEyeY = (leftEye.y + rightEye.y) / 2;
-
-        // Apply Kalman filtering to smooth the position
-        this.eyeX = this.kalmanFilterX.update(rawEyeX);
-        this.eyeY = this.kalmanFilterY.update(rawEyeY);
-
-        const centerX = this.drawingCanvas.canvas.width / 2;
-        const centerY = this.drawingCanvas.canvas.height / 2;
-
-        // Compute raw offsets from center (-0.5..0.5)
-        const eyeOffsetX = this.eyeX - 0.5;
-        const eyeOffsetY = this.eyeY - 0.5;
-
-        // Per-axis direction-specific scaling without dominance switching
-        let xScaling = this.scalingFactor;
-        let yScaling = this.scalingFactor;
-        if (this.calibrationData && this.calibrationData.directionScaling) {
-          xScaling *= eyeOffsetX < 0
-            ? (this.calibrationData.directionScaling.left || 1.0)
-            : (this.calibrationData.directionScaling.right || 1.0);
-          yScaling *= eyeOffsetY < 0
-            ? (this.calibrationData.directionScaling.up || 1.0)
-            : (this.calibrationData.directionScaling.down || 1.0);
-        }
+    if (!this.isDrawing) {
+      this.isDrawing = true;
+      this.beginStroke();
+      this.logDrawing("start");
+    }
+    this.updateStatus("Drawing");
+  }
 
-        // Offsets scaled
-        let offsetX = eyeOffsetX * xScaling;
-        let offsetY = eyeOffsetY * yScaling;
-
-        // Exponential moving average smoothing
-        this.smoothedOffsetX = this.smoothedOffsetX + this.emaAlpha * (offsetX - this.smoothedOffsetX);
-        this.smoothedOffsetY = this.smoothedOffsetY + this.emaAlpha * (offsetY - this.smoothedOffsetY);
-
-        // Convert to canvas coordinates
-        let canvasX = centerX - this.smoothedOffsetX * this.drawingCanvas.canvas.width;
-        let canvasY = centerY + this.smoothedOffsetY * this.drawingCanvas.canvas.height;
-
-        // Delta clamp to prevent spikes
-        if (this.prevCanvasX !== null && this.prevCanvasY !== null) {
-          const maxStepX = this.drawingCanvas.canvas.width * this.maxStepFraction;
-          const maxStepY = this.drawingCanvas.canvas.height * this.maxStepFraction;
-          const dx = canvasX - this.prevCanvasX;
-          const dy = canvasY - this.prevCanvasY;
-          if (Math.abs(dx) > maxStepX) {
-            canvasX = this.prevCanvasX + Math.sign(dx) * maxStepX;
-          }
-          if (Math.abs(dy) > maxStepY) {
-            canvasY = this.prevCanvasY + Math.sign(dy) * maxStepY;
-          }
-        }
+  stopDrawing() {
+    const stroke = this.endStroke();
+    if (this.isDrawing) {
+      this.logDrawing("stop");
+    }
+    this.isDrawing = false;
+    this.updateStatus("Stopped");
+    if (stroke && !stroke.isEraser) {
+      this.strokeListeners.forEach((listener) => listener(stroke));
+    }
+  }
 
-        this.prevCanvasX = canvasX;
-        this.prevCanvasY = canvasY;
+  /**
+   * @param {string} event
+   */
+  logDrawing(event) {
+    if (window.eventLogger) {
+      window.eventLogger.log("drawing", {
+        event,
+        erasing: this.isErasing,
+        x: this.lastX,
+        y: this.lastY,
+      });
+    }
+  }
 
-        this.drawingCanvas.draw(canvasX, canvasY);
-      }
+  toggleEraser() {
+    if (window.countdownController && window.countdownController.shouldBlockInputs()) {
+      return;
+    }
+    this.endStroke();
+    if (this.isDrawing) {
+      this.logDrawing("stop");
+    }
+    this.isErasing = !this.isErasing;
+    if (this.isErasing) {
+      this.isDrawing = true;
+      this.beginStroke();
+      this.logDrawing("start");
+      this.updateStatus("Erasing");
     } else {
-      // No face detected - could reset filters here if needed
-      // this.resetFilters();
+      this.isDrawing = false;
+      this.updateStatus("Stopped");
+    }
+  }
+
+  clearCanvas() {
+    if (window.countdownController && window.countdownController.shouldBlockInputs()) {
+      return;
     }
+    this.endStroke();
+    if (this.strokes.length > 0) {
+      this.replaceStrokes([]);
+    } else if (this.isDrawing) {
+      this.beginStroke();
+    }
+    this.updateStatus("Canvas Cleared");
   }
 
   /**
-   * @param {number} factor
+   * Swap the whole drawing for another stroke list as one undoable step.
+   * @param {object[]} strokes
    */
-  setScalingFactor(factor) {
-    this.scalingFactor = factor;
+  replaceStrokes(strokes) {
+    this.endStroke();
+    this.pushHistory({
+      type: "replace",
+      strokes: this.strokes,
+      replacement: strokes,
+    });
+    this.strokes = strokes;
+    this.render();
+    if (this.isDrawing) {
+      this.beginStroke();
+    }
   }
 
   /**
-   * Reset the Kalman filters (useful when face tracking is lost and regained)
+   * @param {string} color
+   * @param {string} name
    */
-  resetFilters() {
-    this.kalmanFilterX.reset();
-    this.kalmanFilterY.reset();
+  setColor(color, name = color) {
+    if (window.countdownController && window.countdownController.shouldBlockInputs()) {
+      return;
+    }
+    this.currentColor = color;
+    if (window.eventLogger) {
+      window.eventLogger.log("color", { color, name });
+    }
+    // A stroke has a single colour, so a change mid-stroke starts a new one
+    if (this.isDrawing && !this.isErasing) {
+      this.endStroke();
+      this.beginStroke();
+    }
+    this.updateStatus(`Color changed to ${name}`);
   }
 
-  increaseSensitivity() {
-    this.setScalingFactor(this.scalingFactor + 0.5);
+  /**
+   * @param {number} size - Line width in canvas pixels
+   * @param {string} name
+   */
+  setBrushSize(size, name = `${size}px`) {
+    this.setBrush({ size }, `size ${name}`);
   }
 
-  decreaseSensitivity() {
-    if (this.scalingFactor > 0.5) {
-      this.setScalingFactor(this.scalingFactor - 0.5);
-    }
+  /**
+   * @param {(size: number) => void} listener - Called when the user picks a
+   *   brush size, not when one is restored or driven by analog control
+   */
+  onBrushSizeChange(listener) {
+    this.brushSizeListeners.push(listener);
   }
-}
 
-class KeybindManager {
   /**
-   * @param {CanvasDrawing} drawingCanvas
-   * @param {FaceTracker} faceTracker
+   * @returns {Brush}
    */
-  constructor(drawingCanvas, faceTracker) {
-    this.drawingCanvas = drawingCanvas;
-    this.faceTracker = faceTracker;
-    this.keybinds = new Map();
-    this.setupKeybinds();
-    this.setupEventListeners();
+  getBrush() {
+    return {
+      preset: this.brushPreset,
+      size: this.brushSize,
+      opacity: this.brushOpacity,
+      cap: this.lineCap,
+      smooth: this.smoothStrokes,
+    };
   }
 
-  setupKeybinds() {
-    this.keybinds.set("s", () => this.drawingCanvas.startDrawing());
-    this.keybinds.set("x", () => this.drawingCanvas.stopDrawing());
-    this.keybinds.set("e", () => this.drawingCanvas.toggleEraser());
-    this.keybinds.set("c", () => this.drawingCanvas.clearCanvas());
-
-    this.keybinds.set("z", () => this.drawingCanvas.undo());
-    this.keybinds.set("y", () => this.drawingCanvas.redo());
-
-    this.keybinds.set("1", () => this.setColor(COLOR_RED, "Red"));
-    this.keybinds.set("2", () => this.setColor(COLOR_GREEN, "Green"));
-    this.keybinds.set("4", () => this.setColor(COLOR_BLACK, "Black"));
-
-    // Template keybinds
-    this.keybinds.set("6", () => this.setTemplate("star"));
-    this.keybinds.set("7", () => this.setTemplate("rectangle"));
-    this.keybinds.set("8", () => this.setTemplate("circle"));
-    this.keybinds.set("9", () => this.setTemplate("parallelogram"));
-
-    this.keybinds.set("ArrowUp", () => this.faceTracker.increaseSensitivity());
-    this.keybinds.set("ArrowDown", () =>
-      this.faceTracker.decreaseSensitivity(),
-    );
-
-    this.keybinds.set("Escape", () => {
-      if (window.menuNavigator) {
-        window.menuNavigator.clearSelection();
-      }
-    });
-
-    // Calibration keybind
-    this.keybinds.set("F1", () => {
-      if (window.headCalibration) {
-        window.headCalibration.show();
-      }
-    });
+  /**
+   * @param {(brush: Brush) => void} listener
+   */
+  onBrushChange(listener) {
+    this.brushListeners.push(listener);
   }
 
   /**
-   * @param {string} color
-   * @param {string} name
+   * Use the brush without a status message or a new stroke, e.g. for a
+   * replay.
+   * @param {Partial<Brush>} brush
    */
-  setColor(color, name) {
-    this.drawingCanvas.setColor(color, name);
-    this.updateColorButton(color);
+  applyBrush(brush) {
+    const { preset, size, opacity, cap, smooth } = {
+      ...this.getBrush(),
+      ...brush,
+    };
+    this.brushPreset = preset;
+    this.brushSize = Math.min(Math.max(size, 1), MAX_BRUSH_SIZE);
+    this.brushOpacity = Math.min(Math.max(opacity, 0.05), 1);
+    this.lineCap = cap;
+    this.smoothStrokes = smooth;
+    const current = this.getBrush();
+    this.brushListeners.forEach((listener) => listener(current));
   }
 
   /**
-   * @param {string} color
+   * A brush change the user made, from the keys, menu, panel or a preset.
+   * @param {Partial<Brush>} brush - What changes
+   * @param {string} [description] - For the status line, which is left alone
+   *   without one
    */
-  updateColorButton(color) {
-    const colorButtons = document.querySelectorAll(".color-btn");
-    colorButtons.forEach((btn) => btn.classList.remove("active"));
+  setBrush(brush, description) {
+    const size = this.brushSize;
+    if (!this.changeBrush(brush)) {
+      return;
+    }
+    if (description) {
+      this.updateStatus(`Brush ${description}`);
+    }
+    if (this.brushSize !== size) {
+      this.brushSizeListeners.forEach((listener) => listener(this.brushSize));
+    }
+  }
 
-    const targetButton = document.querySelector(`[data-color="${color}"]`);
-    if (targetButton) {
-      targetButton.classList.add("active");
+  /**
+   * Change the brush while drawing without telling the size listeners, e.g.
+   * for analog control.
+   * @param {Partial<Brush>} brush - What changes
+   * @returns {boolean} Whether the change was allowed
+   */
+  changeBrush(brush) {
+    if (window.countdownController && window.countdownController.shouldBlockInputs()) {
+      return false;
     }
+    this.applyBrush(brush);
+    // A stroke has a single brush, so a change mid-stroke starts a new one
+    if (this.isDrawing && !this.isErasing) {
+      this.endStroke();
+      this.beginStroke();
+    }
+    return true;
   }
 
   /**
-   * @param {string} template
+   * @param {number} size - Eraser width in canvas pixels
    */
-  setTemplate(template) {
-    if (window.templateManager) {
-      window.templateManager.setCurrentTemplate(template);
+  setEraserSize(size) {
+    if (window.countdownController && window.countdownController.shouldBlockInputs()) {
+      return;
+    }
+    this.eraserSize = size;
+    if (this.isDrawing && this.isErasing) {
+      this.endStroke();
+      this.beginStroke();
     }
   }
 
-  setupEventListeners() {
-    document.addEventListener("keydown", (e) => {
-      const handler = this.keybinds.get(e.key);
-      const modifierPressed = e.shiftKey || e.ctrlKey || e.altKey || e.metaKey;
-      if (handler && !modifierPressed) {
-        e.preventDefault();
-        handler();
-      }
-    });
+  /**
+   * @param {string} preset - A BRUSH_PRESETS key
+   */
+  setBrushPreset(preset) {
+    const { name, size, opacity, cap } = BRUSH_PRESETS[preset];
+    this.setBrush({ preset, size, opacity, cap }, `changed to ${name}`);
+  }
 
-    document
-      .getElementById("startBtn")
-      .addEventListener("click", () => this.drawingCanvas.startDrawing());
-    document
-      .getElementById("stopBtn")
-      .addEventListener("click", () => this.drawingCanvas.stopDrawing());
-    document
-      .getElementById("eraserBtn")
-      .addEventListener("click", () => this.drawingCanvas.toggleEraser());
-    document
-      .getElementById("clearBtn")
-      .addEventListener("click", () => this.drawingCanvas.clearCanvas());
-    document
-      .getElementById("undoBtn")
-      .addEventListener("click", () => this.drawingCanvas.undo());
-    document
-      .getElementById("redoBtn")
-      .addEventListener("click", () => this.drawingCanvas.redo());
+  nextBrushPreset() {
+    const presets = Object.keys(BRUSH_PRESETS);
+    const index = presets.indexOf(this.brushPreset);
+    this.setBrushPreset(presets[(index + 1) % presets.length]);
+  }
 
-    const colorButtons = document.querySelectorAll(".color-btn");
-    document.getElementById("blackColor").classList.add("active");
+  /**
+   * @param {number} step - Pixels to add, or take away when negative
+   */
+  changeBrushSize(step) {
+    const size = Math.min(Math.max(this.brushSize + step, 1), MAX_BRUSH_SIZE);
+    this.setBrushSize(size);
+  }
 
-    colorButtons.forEach((button) => {
-      button.addEventListener("click", () => {
-        const color = button.dataset.color;
-        this.drawingCanvas.setColor(color);
-        this.updateColorButton(color);
-      });
-    });
+  /**
+   * @param {string} message
+   */
+  updateStatus(message) {
+    document.getElementById("status").textContent = `Status: ${message}`;
+  }
 
-    // Countdown start button
-    const startBtn = document.getElementById("countdown-start");
-    if (startBtn) {
-      startBtn.addEventListener("click", () => {
-        if (window.countdownController) {
-          window.countdownController.start(60);
-        }
+  setupEventListeners() {
+    window.addEventListener("resize", () => this.resizeCanvas());
+  }
+}
+
+/**
+ * The brush and fill options in the drawing controls.
+ */
+class BrushControls {
+  /**
+   * @param {CanvasDrawing} drawingCanvas
+   */
+  constructor(drawingCanvas) {
+    this.drawingCanvas = drawingCanvas;
+    this.presetSelect = document.getElementById("brushPreset");
+    this.sizeInput = document.getElementById("brushSize");
+    this.opacityInput = document.getElementById("brushOpacity");
+    this.smoothInput = document.getElementById("brushSmooth");
+    this.fillBoundaryInput = document.getElementById("fillBoundary");
+    drawingCanvas.onBrushChange(() => this.updateControls());
+    this.setupEventListeners();
+    this.updateControls();
+  }
+
+  setupEventListeners() {
+    if (this.presetSelect) {
+      this.presetSelect.addEventListener("change", () => {
+        const { size, opacity, cap } = BRUSH_PRESETS[this.presetSelect.value];
+        this.change({ preset: this.presetSelect.value, size, opacity, cap });
       });
     }
+    if (this.sizeInput) {
+      this.sizeInput.addEventListener("change", () =>
+        this.change({ size: Number(this.sizeInput.value) }),
+      );
+    }
+    if (this.opacityInput) {
+      this.opacityInput.addEventListener("change", () =>
+        this.change({ opacity: Number(this.opacityInput.value) / 100 }),
+      );
+    }
+    if (this.smoothInput) {
+      this.smoothInput.addEventListener("change", () =>
+        this.change({ smooth: this.smoothInput.checked }),
+      );
+    }
+    if (this.fillBoundaryInput) {
+      this.fillBoundaryInput.addEventListener("change", () =>
+        this.changeFillBoundary(this.fillBoundaryInput.checked),
+      );
+    }
+  }
 
-    // Countdown reset button
-    const resetBtn = document.getElementById("countdown-reset");
-    if (resetBtn) {
-      resetBtn.addEventListener("click", () => {
-        if (window.countdownController) {
-          window.countdownController.reset(60);
-        }
-      });
+  /**
+   * @param {boolean} stopsAtTemplate
+   */
+  changeFillBoundary(stopsAtTemplate) {
+    if (isReplaying()) {
+      this.updateControls();
+      return;
     }
+    if (window.sessionRecorder) {
+      window.sessionRecorder.record("fillBoundary", { stopsAtTemplate });
+    }
+    this.drawingCanvas.fillStopsAtTemplate = stopsAtTemplate;
+    this.drawingCanvas.updateStatus(
+      stopsAtTemplate
+        ? "Fills stop at the template outline"
+        : "Fills ignore the template outline",
+    );
+  }
 
-    // Calibration button
-    const calibrationBtn = document.getElementById("calibrationBtn");
-    if (calibrationBtn) {
-      calibrationBtn.addEventListener("click", () => {
-        if (window.headCalibration) {
-          window.headCalibration.show();
-        }
-      });
+  /**
+   * Record and use a change made with these controls.
+   * @param {Partial<Brush>} brush
+   */
+  change(brush) {
+    if (isReplaying()) {
+      this.updateControls();
+      return;
+    }
+    if (window.sessionRecorder) {
+      window.sessionRecorder.record("brush", { brush });
+    }
+    this.drawingCanvas.setBrush(brush, "changed");
+    // The change may have been blocked, so show what is in use
+    this.updateControls();
+  }
+
+  updateControls() {
+    const { preset, size, opacity, smooth } = this.drawingCanvas.getBrush();
+    if (this.presetSelect) {
+      this.presetSelect.value = preset;
+    }
+    if (this.sizeInput) {
+      this.sizeInput.value = String(size);
+    }
+    if (this.opacityInput) {
+      this.opacityInput.value = String(Math.round(opacity * 100));
+    }
+    if (this.smoothInput) {
+      this.smoothInput.checked = smooth;
+    }
+    if (this.fillBoundaryInput) {
+      this.fillBoundaryInput.checked = this.drawingCanvas.fillStopsAtTemplate;
     }
   }
 }
 
-class MenuNavigator {
+/**
+ * Offers or makes a clean shape in place of a rough stroke. The original
+ * comes back with undo.
+ */
+class ShapeAssist {
   /**
    * @param {CanvasDrawing} drawingCanvas
+   * @param {ParticipantStore} participants
    */
-  constructor(drawingCanvas) {
+  constructor(drawingCanvas, participants) {
     this.drawingCanvas = drawingCanvas;
-    this.currentMenu = null;
-    this.menuSections = [
-      {
-        id: "drawing-controls",
-        title: "Drawing Controls",
-        actions: [
-          {
-            name: "Start Drawing",
-            action: () => this.drawingCanvas.startDrawing(),
-          },
-          {
-            name: "Stop Drawing",
-            action: () => this.drawingCanvas.stopDrawing(),
-          },
-          {
-            name: "Toggle Eraser",
-            action: () => this.drawingCanvas.toggleEraser(),
-          },
-        ],
-      },
-      {
-        id: "edit-controls",
-        title: "Edit Controls",
-        actions: [
-          { name: "Undo", action: () => this.drawingCanvas.undo() },
-          { name: "Redo", action: () => this.drawingCanvas.redo() },
-          {
-            name: "Clear Canvas",
-            action: () => this.drawingCanvas.clearCanvas(),
-          },
-        ],
-      },
-      {
-        id: "color-controls",
-        title: "Colours",
-        actions: [
-          { name: "Red", action: () => this.setColor(COLOR_RED, "Red") },
-          { name: "Green", action: () => this.setColor(COLOR_GREEN, "Green") },
-          { name: "Black", action: () => this.setColor(COLOR_BLACK, "Black") },
-        ],
-      },
-    ];
-
-    this.setupMenuElements();
+    this.participants = participants;
+    this.mode = this.load();
+    // {stroke, replacement, kind} while a suggestion is waiting
+    this.suggestion = null;
+    this.modeSelect = document.getElementById("shapeAssist");
+    this.banner = document.getElementById("shape-suggestion");
+    this.bannerText = document.getElementById("shape-suggestion-text");
+    drawingCanvas.onStrokeFinished((stroke) => this.handleStroke(stroke));
+    participants.onChange(() => this.apply(this.load()));
+    if (this.modeSelect) {
+      this.modeSelect.addEventListener("change", () =>
+        this.change(this.modeSelect.value),
+      );
+    }
+    this.updateControls();
   }
 
-  setupMenuElements() {
-    this.menuElements = document.querySelectorAll(".menu-section");
-
-    this.menuElements.forEach((element) => {
-      element.classList.remove("selected");
-    });
-
-    this.clearSelection();
+  /**
+   * @returns {string} A SHAPE_ASSIST_MODES key
+   */
+  load() {
+    return this.participants.load("shape_assist", DEFAULT_SHAPE_ASSIST);
   }
 
   /**
-   * @param {string} color
-   * @param {string} name
+   * Use the mode without saving or recording it, e.g. for a replay.
+   * @param {string} mode
    */
-  setColor(color, name) {
-    this.drawingCanvas.setColor(color);
-    this.updateColorButton(color);
-    this.drawingCanvas.updateStatus(`Color changed to ${name}`);
+  apply(mode) {
+    this.mode = mode;
+    this.dismiss();
+    this.updateControls();
   }
 
   /**
-   * @param {string} color
+   * Use and record a mode without saving it, e.g. for a study condition.
+   * @param {string} mode
    */
-  updateColorButton(color) {
-    const colorButtons = document.querySelectorAll(".color-btn");
-    colorButtons.forEach((btn) => btn.classList.remove("active"));
+  use(mode) {
+    if (window.sessionRecorder) {
+      window.sessionRecorder.record("shapeAssist", { mode });
+    }
+    this.apply(mode);
+  }
 
-    const targetButton = document.querySelector(`[data-color="${color}"]`);
-    if (targetButton) {
-      targetButton.classList.add("active");
+  /**
+   * Use, record and save a mode picked by the participant.
+   * @param {string} mode
+   */
+  change(mode) {
+    if (isReplaying()) {
+      this.updateControls();
+      return;
     }
+    this.use(mode);
+    this.participants.save("shape_assist", mode);
+    this.drawingCanvas.updateStatus(
+      `Shape assist: ${SHAPE_ASSIST_MODES[mode]}`,
+    );
   }
 
-  selectMenu(menuIndex) {
-    this.menuElements.forEach((element) => {
-      element.classList.remove("selected");
-    });
+  updateControls() {
+    if (this.modeSelect) {
+      this.modeSelect.value = this.mode;
+    }
+  }
 
-    if (menuIndex >= 0 && menuIndex < this.menuElements.length) {
-      this.currentMenu = menuIndex;
-      this.menuElements[menuIndex].classList.add("selected");
-      const menu = this.menuSections[menuIndex];
-      const actions = menu.actions
-        .map((action, index) => {
-          const command = index === 0 ? "push" : index === 1 ? "pull" : "lift";
-          return `${command}: ${action.name}`;
-        })
-        .join(" | ");
-      this.drawingCanvas.updateStatus(
-        `Headset: Selected ${menu.title} | ${actions}`,
-      );
+  /**
+   * @param {object} stroke - Just finished
+   */
+  handleStroke(stroke) {
+    this.dismiss();
+    if (this.mode === "off") {
+      return;
+    }
+    const shape = recognizeShape(stroke.points);
+    if (!shape) {
+      return;
+    }
+    // Spread the original's timing over the new points
+    const duration = stroke.endTime - stroke.startTime;
+    const last = shape.points.length - 1;
+    const replacement = {
+      ...stroke,
+      points: shape.points.map(({ x, y }, i) => ({
+        x,
+        y,
+        t: stroke.startTime + (last > 0 ? (duration * i) / last : 0),
+      })),
+      smooth: false,
+      shape: shape.kind,
+    };
+    if (this.mode === "auto") {
+      this.replace(stroke, replacement, shape.kind);
+      return;
     }
+    this.suggestion = { stroke, replacement, kind: shape.kind };
+    this.drawingCanvas.setPreview(replacement);
+    if (this.banner) {
+      this.bannerText.textContent = `Looks like a ${shape.kind}`;
+      this.banner.classList.remove("hidden");
+    }
+    this.log("suggested", shape.kind);
   }
 
-  executeAction(actionIndex) {
-    if (
-      this.currentMenu === null ||
-      this.currentMenu >= this.menuSections.length
-    ) {
+  accept() {
+    if (!this.suggestion) {
+      return;
+    }
+    if (window.countdownController && window.countdownController.shouldBlockInputs()) {
       return;
     }
+    const { stroke, replacement, kind } = this.suggestion;
+    this.dismiss();
+    this.replace(stroke, replacement, kind);
+  }
 
-    const menu = this.menuSections[this.currentMenu];
-    if (actionIndex >= 0 && actionIndex < menu.actions.length) {
-      const action = menu.actions[actionIndex];
-      action.action();
-      this.drawingCanvas.updateStatus(
-        `Headset: Executed ${action.name} from ${menu.title}`,
-      );
+  /**
+   * Hide a waiting suggestion, if there is one.
+   * @param {boolean} byUser - Whether the participant turned it down
+   */
+  dismiss(byUser = false) {
+    if (!this.suggestion) {
+      return;
+    }
+    if (byUser) {
+      this.log("dismissed", this.suggestion.kind);
+      this.drawingCanvas.updateStatus("Kept your stroke");
+    }
+    this.suggestion = null;
+    this.drawingCanvas.setPreview(null);
+    if (this.banner) {
+      this.banner.classList.add("hidden");
     }
   }
 
-  handleCommand(command) {
-    if (this.currentMenu === null) {
-      switch (command) {
-        case "push":
-          this.selectMenu(0);
-          break;
-        case "pull":
-          this.selectMenu(1);
-          break;
-        case "lift":
-          this.selectMenu(2);
-          break;
-      }
-    } else {
-      switch (command) {
-        case "push":
-          this.executeAction(0);
-          break;
-        case "pull":
-          this.executeAction(1);
-          break;
-        case "lift":
-          this.executeAction(2);
-          break;
-      }
+  /**
+   * @param {object} stroke
+   * @param {object} replacement
+   * @param {string} kind
+   */
+  replace(stroke, replacement, kind) {
+    const strokes = [...this.drawingCanvas.strokes];
+    const index = strokes.lastIndexOf(stroke);
+    // Undone or cleared since
+    if (index === -1) {
+      return;
     }
+    strokes[index] = replacement;
+    this.drawingCanvas.replaceStrokes(strokes);
+    this.log("applied", kind);
+    this.drawingCanvas.updateStatus(`Stroke made into a ${kind} (undo: z)`);
   }
 
-  clearSelection() {
-    this.currentMenu = null;
-    this.menuElements.forEach((element) => {
-      element.classList.remove("selected");
-    });
+  /**
+   * @param {string} event
+   * @param {string} kind
+   */
+  log(event, kind) {
+    if (window.eventLogger) {
+      window.eventLogger.log("shape", { event, shape: kind, mode: this.mode });
+    }
   }
 }
 
-class HeadsetController {
+class FaceTracker {
   /**
+   * @param {string} videoId
+   * @param {string} outputCanvasId
    * @param {CanvasDrawing} drawingCanvas
-   * @param {CredentialManager} credentialManager
-   * @param {MenuNavigator} menuNavigator
    */
-  constructor(drawingCanvas, credentialManager, menuNavigator) {
+  constructor(videoId, outputCanvasId, drawingCanvas) {
+    this.video = document.getElementById(videoId);
+    this.outputCanvas = document.getElementById(outputCanvasId);
+    this.outputCtx = this.outputCanvas.getContext("2d");
     this.drawingCanvas = drawingCanvas;
-    this.credentialManager = credentialManager;
-    this.menuNavigator = menuNavigator;
-    this.socketURL = "wss://localhost:6868";
-    this.streams = ["com"];
-    this.headset = null;
-    this.lastActionTime = 0;
-    this.actionDelay = 1000;
-  }
+    this.scalingFactor = DEFAULT_SCALING_FACTOR;
+    // Analog control's speed-up on top of the participant's sensitivity
+    this.speedMultiplier = 1;
+    this.sensitivityListeners = [];
+    this.eyeX = 0;
+    this.eyeY = 0;
 
-  initialize() {
-    const credentials = this.credentialManager.getCredentials();
-    if (!credentials) {
-      console.error("No credentials available");
-      return;
-    }
+    // Smoothing to avoid cursor jitter and spikes, whatever the mode
+    this.filterChain = new FilterChain(DEFAULT_FILTER_CHAIN);
+    // Recent raw and filtered pointer positions, for the tuning panel
+    this.trace = [];
+
+    this.pointerMode = DEFAULT_POINTER_MODE;
+    // Fitted by GazeCalibration; gaze mode has no pointer without one
+    this.gazeModel = null;
+    this.gazeFeatures = null;
+    // Head pose mode points relative to the pose it first sees
+    this.headPose = null;
+    this.headPoseCentre = null;
+    // Set by InputManager while the face is the input source
+    this.onPoint = null;
 
-    this.user = credentials;
-    this.headset = new Headset(this.user, this.socketURL, this.streams);
-    this.setupCommandHandler();
-    this.headset.connect();
+    this.setupFaceMesh();
+    this.setupCamera();
   }
 
-  setupCommandHandler() {
-    if (!this.headset) {
-      console.error("Headset not initialized");
-      return;
-    }
+  setupFaceMesh() {
+    this.faceMesh = new FaceMesh({
+      locateFile: (file) => {
+        return `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/${file}`;
+      },
+    });
 
-    this.headset.handleCommand((command, intensity) => {
-      if (intensity <= 0.5) {
-        return;
-      }
+    this.faceMesh.setOptions({
+      maxNumFaces: 1,
+      refineLandmarks: true,
+      minDetectionConfidence: 0.5,
+      minTrackingConfidence: 0.5,
+    });
 
-      const currentTime = Date.now();
-      if (currentTime - this.lastActionTime < this.actionDelay) {
-        console.log(`too soon since last action`);
-        return;
-      }
+    this.faceMesh.onResults((results) => this.handleLiveResults(results));
+  }
 
-      this.lastActionTime = currentTime;
-      this.menuNavigator.handleCommand(command);
-      console.log(`Headset: ${command} command executed`);
-    });
+  /**
+   * @param {any} results
+   */
+  handleLiveResults(results) {
+    if (isReplaying()) {
+      return;
+    }
+    // Time-based filters read the clock, so the replay must see the same time
+    const time = appNow();
+    if (window.sessionRecorder) {
+      window.sessionRecorder.recordFaceFrame(results, time);
+    }
+    this.onResults(results, time);
   }
-}
 
-class TemplateManager {
   /**
-   * @param {HTMLCanvasElement} canvas
-   * @param {CanvasRenderingContext2D} ctx
-   * @param {string} defaultTemplate
+   * State carried from frame to frame, so a replay can start from exactly
+   * where the recording did.
+   * @returns {object}
    */
-  constructor(canvas, ctx, defaultTemplate = "rectangle") {
-    this.canvas = canvas;
-    this.ctx = ctx;
-    this.currentTemplate = defaultTemplate;
-    this.templateButtons = Array.from(
-      document.querySelectorAll(".template-btn"),
-    );
-    this.setupTemplateButtons();
-    this.updateActiveButton();
-    this.drawCurrentTemplate();
+  getFilterState() {
+    return {
+      chain: this.filterChain.getState(),
+      headPoseCentre: this.headPoseCentre,
+    };
   }
 
-  setupTemplateButtons() {
-    this.templateButtons.forEach((btn) => {
-      btn.addEventListener("click", () => {
-        const template = btn.dataset.template;
-        this.setCurrentTemplate(template);
-      });
-    });
+  /**
+   * @param {object} state - From getFilterState
+   */
+  setFilterState(state) {
+    this.filterChain.setState(state.chain);
+    this.headPoseCentre = state.headPoseCentre;
   }
 
-  setCurrentTemplate(template) {
-    if (this.currentTemplate !== template) {
-      this.currentTemplate = template;
-      this.updateActiveButton();
-      this.drawCurrentTemplate();
-    }
+  /**
+   * @param {FilterStage[]} stages
+   */
+  setFilterChain(stages) {
+    this.filterChain = new FilterChain(stages);
   }
 
-  updateActiveButton() {
-    this.templateButtons.forEach((btn) => {
-      btn.classList.toggle(
-        "active",
-        btn.dataset.template === this.currentTemplate,
-      );
+  setupCamera() {
+    this.camera = new Camera(this.video, {
+      onFrame: async () => {
+        await this.faceMesh.send({ image: this.video });
+      },
+      width: CAMERA_WIDTH,
+      height: CAMERA_HEIGHT,
     });
+    this.camera.start();
   }
 
-  drawCurrentTemplate() {
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-    switch (this.currentTemplate) {
-      case "star":
-        this.drawStarOutline();
-        break;
-      case "rectangle":
-        this.drawRectangleOutline();
-        break;
-      case "circle":
-        this.drawCircleOutline();
-        break;
-      case "parallelogram":
-        this.drawParallelogramOutline();
-        break;
+  /**
+   * @param {any} results
+   * @param {number} time - Milliseconds, appNow() when the frame arrived
+   */
+  onResults(results, time = appNow()) {
+    // Block drawing if time is up
+    if (window.countdownController && window.countdownController.shouldBlockInputs()) {
+      return;
     }
-  }
+    
+    if (results.multiFaceLandmarks && results.multiFaceLandmarks.length > 0) {
+      for (const landmarks of results.multiFaceLandmarks) {
+        this.gazeFeatures = irisFeatures(landmarks);
+        const raw = this.pointerPoint(landmarks);
+        if (!raw) {
+          continue;
+        }
+        const point = this.filterChain.update(raw, time);
+        this.trace.push({ raw, filtered: point });
+        if (this.trace.length > FILTER_TRACE_LENGTH) {
+          this.trace.shift();
+        }
 
-  drawStarOutline() {
-    const { canvas, ctx } = this;
-    const centerX = canvas.width / 2;
-    const centerY = canvas.height / 2;
-    const outerRadius = Math.min(canvas.width, canvas.height) * 0.25;
-    const innerRadius = outerRadius * 0.4;
-    const spikes = 5;
-    ctx.save();
-    ctx.strokeStyle = "#ddd";
-    ctx.lineWidth = 3;
-    ctx.setLineDash([10, 5]);
-    ctx.beginPath();
-    for (let i = 0; i < spikes * 2; i++) {
-      const angle = (i * Math.PI) / spikes;
-      const radius = i % 2 === 0 ? outerRadius : innerRadius;
-      const x = centerX + Math.cos(angle - Math.PI / 2) * radius;
-      const y = centerY + Math.sin(angle - Math.PI / 2) * radius;
-      if (i === 0) {
-        ctx.moveTo(x, y);
-      } else {
-        ctx.lineTo(x, y);
+        if (this.onPoint) {
+          const { width, height } = this.drawingCanvas.canvas;
+          if (window.eventLogger) {
+            window.eventLogger.log("cursor", {
+              source: "face",
+              mode: this.pointerMode,
+              rawX: raw.x * width,
+              rawY: raw.y * height,
+              x: point.x * width,
+              y: point.y * height,
+            });
+          }
+          this.onPoint(point.x * width, point.y * height);
+        }
       }
+    } else {
+      // No face detected - could reset filters here if needed
+      // this.resetFilters();
     }
-    ctx.closePath();
-    ctx.stroke();
-    ctx.restore();
   }
 
-  drawRectangleOutline() {
-    const { canvas, ctx } = this;
-    const centerX = canvas.width / 2;
-    const centerY = canvas.height / 2;
-    const width = Math.min(canvas.width, canvas.height) * 0.4;
-    const height = width * 0.6;
-    ctx.save();
-    ctx.strokeStyle = "#ddd";
-    ctx.lineWidth = 3;
-    ctx.setLineDash([10, 5]);
-    ctx.strokeRect(centerX - width / 2, centerY - height / 2, width, height);
-    ctx.restore();
+  /**
+   * @param {object[]} landmarks
+   * @returns {{x: number, y: number} | null} Unfiltered pointer for the mode,
+   *   in canvas fractions
+   */
+  pointerPoint(landmarks) {
+    switch (this.pointerMode) {
+      case "gaze":
+        return this.gazePoint();
+      case "headPose":
+        return this.headPosePoint(landmarks);
+      default:
+        return this.eyeCornerPoint(landmarks);
+    }
   }
 
-  drawCircleOutline() {
-    const { canvas, ctx } = this;
-    const centerX = canvas.width / 2;
-    const centerY = canvas.height / 2;
-    const radius = Math.min(canvas.width, canvas.height) * 0.2;
-    ctx.save();
-    ctx.strokeStyle = "#ddd";
-    ctx.lineWidth = 3;
-    ctx.setLineDash([10, 5]);
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, radius, 0, 2 * Math.PI);
-    ctx.stroke();
-    ctx.restore();
+  /**
+   * The original pointer: where the eye corners sit in the camera image,
+   * so it follows head position.
+   * @param {object[]} landmarks
+   * @returns {{x: number, y: number}} Canvas fractions
+   */
+  eyeCornerPoint(landmarks) {
+    const leftEye = landmarks[33];
+    const rightEye = landmarks[133];
+
+    // Calculate average eye position
+    this.eyeX = (leftEye.x + rightEye.x) / 2;
+    this.eyeY = (leftEye.y + rightEye.y) / 2;
+
+    // Compute raw offsets from center (-0.5..0.5)
+    const eyeOffsetX = this.eyeX - 0.5;
+    const eyeOffsetY = this.eyeY - 0.5;
+
+    // Per-axis direction-specific scaling without dominance switching
+    let xScaling = this.scalingFactor * this.speedMultiplier;
+    let yScaling = this.scalingFactor * this.speedMultiplier;
+    if (this.calibrationData && this.calibrationData.directionScaling) {
+      xScaling *= eyeOffsetX < 0
+        ? (this.calibrationData.directionScaling.left || 1.0)
+        : (this.calibrationData.directionScaling.right || 1.0);
+      yScaling *= eyeOffsetY < 0
+        ? (this.calibrationData.directionScaling.up || 1.0)
+        : (this.calibrationData.directionScaling.down || 1.0);
+    }
+
+    // Offsets scaled, mirrored horizontally like the camera image
+    return {
+      x: 0.5 - eyeOffsetX * xScaling,
+      y: 0.5 + eyeOffsetY * yScaling,
+    };
   }
 
-  drawParallelogramOutline() {
-    const { canvas, ctx } = this;
-    const centerX = canvas.width / 2;
-    const centerY = canvas.height / 2;
-    const width = Math.min(canvas.width, canvas.height) * 0.4;
-    const height = width * 0.5;
-    const skew = width * 0.2;
-    ctx.save();
-    ctx.strokeStyle = "#ddd";
-    ctx.lineWidth = 3;
-    ctx.setLineDash([10, 5]);
-    ctx.beginPath();
-    ctx.moveTo(centerX - width / 2 + skew, centerY - height / 2);
-    ctx.lineTo(centerX + width / 2 + skew, centerY - height / 2);
-    ctx.lineTo(centerX + width / 2 - skew, centerY + height / 2);
-    ctx.lineTo(centerX - width / 2 - skew, centerY + height / 2);
-    ctx.closePath();
-    ctx.stroke();
-    ctx.restore();
+  /**
+   * @returns {{x: number, y: number} | null} Where the person looks, in
+   *   canvas fractions
+   */
+  gazePoint() {
+    if (!this.gazeModel || !this.gazeFeatures) {
+      return null;
+    }
+    return predictGaze(this.gazeModel, this.gazeFeatures);
   }
 
-  redraw() {
-    this.drawCurrentTemplate();
+  /**
+   * Points where the head faces, relative to the centre pose, so leaning
+   * or shifting in the chair does not move the cursor.
+   * @param {object[]} landmarks
+   * @returns {{x: number, y: number} | null} Canvas fractions
+   */
+  headPosePoint(landmarks) {
+    const pose = estimateHeadPose(landmarks);
+    if (!pose) {
+      return null;
+    }
+    this.headPose = pose;
+    if (!this.headPoseCentre) {
+      this.headPoseCentre = { yaw: pose.yaw, pitch: pose.pitch };
+    }
+    const yaw = pose.yaw - this.headPoseCentre.yaw;
+    const pitch = pose.pitch - this.headPoseCentre.pitch;
+
+    // Mirrored like the camera image, so turning right moves right
+    const gain =
+      (this.scalingFactor * this.speedMultiplier) / DEFAULT_SCALING_FACTOR;
+    const offsetX = (yaw / HEAD_POSE_RANGE.yaw) * gain;
+    const offsetY = (pitch / HEAD_POSE_RANGE.pitch) * gain;
+    return { x: (1 - offsetX) / 2, y: (1 - offsetY) / 2 };
   }
 
-  onResize() {
-    this.drawCurrentTemplate();
+  /**
+   * Make the next head pose the one that points at the canvas centre.
+   */
+  recentreHeadPose() {
+    this.headPoseCentre = null;
+  }
+
+  /**
+   * @param {string} mode - A POINTER_MODES key
+   */
+  setPointerMode(mode) {
+    this.pointerMode = POINTER_MODES[mode] ? mode : DEFAULT_POINTER_MODE;
+    // Don't smooth one mode's signal into the other's
+    this.filterChain.reset();
+    this.recentreHeadPose();
+  }
+
+  /**
+   * @param {number} factor
+   */
+  setScalingFactor(factor) {
+    this.scalingFactor = factor;
+  }
+
+  /**
+   * @param {number} multiplier - 1 for the sensitivity alone
+   */
+  setSpeedMultiplier(multiplier) {
+    this.speedMultiplier = multiplier;
+  }
+
+  /**
+   * @param {(factor: number) => void} listener - Called when the user
+   *   changes the sensitivity, not when it is restored
+   */
+  onSensitivityChange(listener) {
+    this.sensitivityListeners.push(listener);
+  }
+
+  /**
+   * @param {number} factor
+   */
+  changeSensitivity(factor) {
+    this.setScalingFactor(factor);
+    this.sensitivityListeners.forEach((listener) => listener(factor));
+  }
+
+  /**
+   * Reset the filters (useful when face tracking is lost and regained)
+   */
+  resetFilters() {
+    this.filterChain.reset();
+  }
+
+  increaseSensitivity() {
+    this.changeSensitivity(this.scalingFactor + 0.5);
+  }
+
+  decreaseSensitivity() {
+    if (this.scalingFactor > 0.5) {
+      this.changeSensitivity(this.scalingFactor - 0.5);
+    }
   }
 }
 
-class HeadCalibration {
-  constructor(faceTracker) {
-    this.faceTracker = faceTracker;
-    this.overlay = document.getElementById("calibration-overlay");
-    this.instructionText = document.getElementById("calibration-instruction-text");
-    this.progressFill = document.getElementById("calibration-progress-fill");
-    this.timerElement = document.getElementById("calibration-timer");
-    this.statusText = document.getElementById("calibration-status-text");
-    this.startBtn = document.getElementById("start-calibration");
-    this.skipBtn = document.getElementById("skip-calibration");
-    
-    // Calibration elements
-    this.directionIndicators = document.getElementById("calibration-direction-indicators");
-    this.directionArrows = {
-      left: document.querySelector(".calibration-direction-arrow.left"),
-      right: document.querySelector(".calibration-direction-arrow.right"),
-      up: document.querySelector(".calibration-direction-arrow.up"),
-      down: document.querySelector(".calibration-direction-arrow.down")
-    };
-    
-    this.isCalibrating = false;
-    this.currentPhase = 'center';
-    this.phaseData = {
-      center: { samples: [], duration: 3000 },
-      left: { samples: [], duration: 2000 },
-      right: { samples: [], duration: 2000 },
-      up: { samples: [], duration: 2000 },
-      down: { samples: [], duration: 2000 }
-    };
-    
-    this.calibrationData = {
-      centerX: 0.5,
-      centerY: 0.5,
-      minX: 0.5,
-      maxX: 0.5,
-      minY: 0.5,
-      maxY: 0.5,
-      rangeX: 0,
-      rangeY: 0
-    };
-    
+/**
+ * @typedef {object} DwellSettings
+ * @property {boolean} enabled
+ * @property {number} dwellTime - Milliseconds on a control before it clicks
+ */
+
+class DwellClicker {
+  /**
+   * @param {CanvasDrawing} drawingCanvas
+   * @param {ParticipantStore} participants
+   */
+  constructor(drawingCanvas, participants) {
+    this.drawingCanvas = drawingCanvas;
+    this.participants = participants;
+    this.settings = this.loadSettings();
+    this.target = null;
+    this.startTime = 0;
+    // A control clicks once per visit; the cursor has to leave and return
+    this.clicked = false;
+    this.ring = this.createRing();
+    this.enabledInput = document.getElementById("dwellEnabled");
+    this.timeSelect = document.getElementById("dwellTime");
+    participants.onChange(() => this.apply(this.loadSettings()));
     this.setupEventListeners();
+    this.updateControls();
+  }
+
+  /**
+   * @returns {DwellSettings}
+   */
+  loadSettings() {
+    return {
+      ...DEFAULT_DWELL_SETTINGS,
+      ...this.participants.load("dwell", {}),
+    };
+  }
+
+  /**
+   * @returns {HTMLDivElement}
+   */
+  createRing() {
+    const ring = document.createElement("div");
+    ring.className = "dwell-ring hidden";
+    document.body.appendChild(ring);
+    return ring;
   }
 
   setupEventListeners() {
-    if (this.startBtn) {
-      this.startBtn.addEventListener("click", () => this.startCalibration());
+    const onChange = () => {
+      if (isReplaying()) {
+        this.updateControls();
+        return;
+      }
+      this.apply({
+        enabled: this.enabledInput.checked,
+        dwellTime: Number(this.timeSelect.value),
+      });
+      this.participants.save("dwell", this.settings);
+      if (window.sessionRecorder) {
+        window.sessionRecorder.record("dwell", { settings: this.settings });
+      }
+      this.drawingCanvas.updateStatus(
+        this.settings.enabled
+          ? `Dwell to click on (${this.settings.dwellTime} ms)`
+          : "Dwell to click off",
+      );
+    };
+    if (this.enabledInput) {
+      this.enabledInput.addEventListener("change", onChange);
     }
-    if (this.skipBtn) {
-      this.skipBtn.addEventListener("click", () => this.skipCalibration());
+    if (this.timeSelect) {
+      this.timeSelect.addEventListener("change", onChange);
     }
   }
 
-  // No camera setup needed - we're tracking the cursor dot instead
+  /**
+   * Use the settings without saving them, e.g. for a replay.
+   * @param {DwellSettings} settings
+   */
+  apply(settings) {
+    this.settings = { ...settings };
+    this.reset();
+    this.updateControls();
+  }
 
-  show() {
-    if (this.overlay) {
-      this.overlay.classList.remove("hidden");
-      console.log("Calibration overlay shown");
-      
-      // Hide start buttons initially
-      const startButtons = document.querySelector('.calibration-start');
-      if (startButtons) {
-        startButtons.style.display = 'flex';
-      }
-      
-      // Ensure cursor is visible when calibration starts
-      setTimeout(() => {
-        if (this.faceTracker.drawingCanvas.cursor) {
-          this.faceTracker.drawingCanvas.cursor.style.display = "block";
-          this.faceTracker.drawingCanvas.cursor.style.zIndex = "9999";
-          console.log("Cursor made visible for calibration");
-        }
-      }, 100);
+  updateControls() {
+    if (this.enabledInput) {
+      this.enabledInput.checked = this.settings.enabled;
+    }
+    if (this.timeSelect) {
+      this.timeSelect.value = String(this.settings.dwellTime);
     }
   }
 
-  hide() {
-    if (this.overlay) {
-      this.overlay.classList.add("hidden");
-      console.log("Calibration overlay hidden");
-      
-      // Hide the canvas overlay
-      const canvasOverlay = document.getElementById("calibration-canvas-overlay");
-      if (canvasOverlay) {
-        canvasOverlay.style.display = "none";
-        console.log("Canvas overlay hidden");
-      }
-    }
+  reset() {
+    this.target = null;
+    this.clicked = false;
+    this.ring.classList.add("hidden");
   }
 
-  startCalibration() {
-    this.isCalibrating = true;
-    this.currentPhase = 'left';
-    if (this.startBtn) this.startBtn.disabled = true;
-    if (this.skipBtn) this.skipBtn.disabled = true;
-    
-    // Hide start buttons
-    const startButtons = document.querySelector('.calibration-start');
-    if (startButtons) {
-      startButtons.style.display = 'none';
+  /**
+   * Follow the head cursor, clicking the control it rests on.
+   * @param {number} x - Canvas pixels
+   * @param {number} y - Canvas pixels
+   * @returns {boolean} Whether the cursor is on a control, so must not ink
+   */
+  update(x, y) {
+    if (!this.settings.enabled) {
+      return false;
     }
-    
-    // Show canvas overlay
-    const canvasOverlay = document.getElementById("calibration-canvas-overlay");
-    if (canvasOverlay) {
-      canvasOverlay.style.display = "flex";
-      console.log("Canvas overlay shown");
+    const { pageX, pageY } = this.drawingCanvas.toPagePoint(x, y);
+    const target = this.targetAt(pageX, pageY);
+    if (target !== this.target) {
+      this.target = target;
+      this.startTime = appNow();
+      this.clicked = false;
+    }
+    if (!target) {
+      this.ring.classList.add("hidden");
+      return false;
     }
-    
-    // Reset all phase data
-    Object.keys(this.phaseData).forEach(phase => {
-      this.phaseData[phase].samples = [];
-    });
-    
-    // Hide direction indicators initially
-    if (this.directionIndicators) this.directionIndicators.classList.add('hidden');
-    
-    // Start with left movement
-    this.calibrateDirection('left');
-  }
 
-  skipCalibration() {
-    this.hide();
-    this.faceTracker.setScalingFactor(2.0);
+    const elapsed = appNow() - this.startTime;
+    const progress = Math.min(elapsed / this.settings.dwellTime, 1);
+    this.showRing(pageX, pageY, progress);
+    if (progress >= 1 && !this.clicked) {
+      this.clicked = true;
+      // A replay already has the events the click produced
+      if (!isReplaying()) {
+        target.click();
+      }
+    }
+    return true;
   }
 
-  // Removed calibrateCenter method - no longer needed
+  /**
+   * @param {number} pageX
+   * @param {number} pageY
+   * @returns {Element | null}
+   */
+  targetAt(pageX, pageY) {
+    const element = document.elementFromPoint(pageX, pageY);
+    const target = element ? element.closest(DWELL_TARGETS) : null;
+    return target && !target.disabled ? target : null;
+  }
 
-  calibrateDirection(direction) {
-    this.currentPhase = direction;
-    if (this.directionIndicators) this.directionIndicators.classList.remove('hidden');
-    
-    // Ensure cursor remains visible during direction calibration
-    if (this.faceTracker.drawingCanvas.cursor) {
-      this.faceTracker.drawingCanvas.cursor.style.display = "block";
-      this.faceTracker.drawingCanvas.cursor.style.zIndex = "9999";
+  /**
+   * @param {number} pageX
+   * @param {number} pageY
+   * @param {number} progress - 0..1
+   */
+  showRing(pageX, pageY, progress) {
+    this.ring.style.left = `${pageX}px`;
+    this.ring.style.top = `${pageY}px`;
+    this.ring.style.setProperty("--progress", progress.toFixed(3));
+    this.ring.classList.toggle("complete", progress >= 1);
+    this.ring.classList.remove("hidden");
+  }
+}
+
+class FaceInputSource {
+  /**
+   * @param {FaceTracker} faceTracker
+   */
+  constructor(faceTracker) {
+    this.faceTracker = faceTracker;
+    // The head cursor clicks controls by dwelling on them instead
+    this.canClick = false;
+  }
+
+  /**
+   * @param {(action: string, x: number, y: number) => void} emit
+   */
+  attach(emit) {
+    this.faceTracker.onPoint = (x, y) => emit("move", x, y);
+  }
+
+  detach() {
+    this.faceTracker.onPoint = null;
+  }
+}
+
+class PointerInputSource {
+  /**
+   * @param {string} pointerType - "mouse", "touch" or "pen"
+   * @param {HTMLCanvasElement} canvas
+   */
+  constructor(pointerType, canvas) {
+    this.pointerType = pointerType;
+    this.canvas = canvas;
+    this.canClick = true;
+    this.emit = null;
+    this.activePointer = null;
+    this.handlers = {
+      pointerdown: (e) => {
+        if (e.button === 0 && this.activePointer === null) {
+          this.activePointer = e.pointerId;
+          this.canvas.setPointerCapture(e.pointerId);
+          this.send("down", e);
+        }
+      },
+      pointermove: (e) => {
+        if (this.activePointer === null || e.pointerId === this.activePointer) {
+          this.send("move", e);
+        }
+      },
+      pointerup: (e) => this.release(e),
+      pointercancel: (e) => this.release(e),
+    };
+  }
+
+  /**
+   * @param {(action: string, x: number, y: number) => void} emit
+   */
+  attach(emit) {
+    this.emit = emit;
+    Object.entries(this.handlers).forEach(([type, handler]) =>
+      this.canvas.addEventListener(type, handler),
+    );
+  }
+
+  detach() {
+    Object.entries(this.handlers).forEach(([type, handler]) =>
+      this.canvas.removeEventListener(type, handler),
+    );
+    // Switching sources mid-stroke lifts the pen, unless a replay took over
+    if (this.activePointer !== null && !isReplaying()) {
+      this.emit("up", this.lastX, this.lastY);
     }
-    
-    // Show only the current direction arrow
-    Object.keys(this.directionArrows).forEach(key => {
-      if (this.directionArrows[key]) {
-        this.directionArrows[key].classList.remove('active');
-      }
-    });
-    if (this.directionArrows[direction]) {
-      this.directionArrows[direction].classList.add('active');
+    this.activePointer = null;
+    this.emit = null;
+  }
+
+  /**
+   * @param {PointerEvent} e
+   */
+  release(e) {
+    if (e.pointerId === this.activePointer) {
+      this.activePointer = null;
+      this.send("up", e);
     }
-    
-    const directionTexts = {
-      left: "Move your head as far LEFT as possible",
-      right: "Move your head as far RIGHT as possible", 
-      up: "Move your head as far UP as possible",
-      down: "Move your head as far DOWN as possible"
+  }
+
+  /**
+   * @param {string} action
+   * @param {PointerEvent} e
+   */
+  send(action, e) {
+    if (e.pointerType !== this.pointerType || isReplaying()) {
+      return;
+    }
+    const rect = this.canvas.getBoundingClientRect();
+    this.lastX = ((e.clientX - rect.left) * this.canvas.width) / rect.width;
+    this.lastY = ((e.clientY - rect.top) * this.canvas.height) / rect.height;
+    this.emit(action, this.lastX, this.lastY);
+  }
+}
+
+class InputManager {
+  /**
+   * @param {CanvasDrawing} drawingCanvas
+   * @param {FaceTracker} faceTracker
+   * @param {ParticipantStore} participants
+   * @param {DwellClicker} dwellClicker
+   */
+  constructor(drawingCanvas, faceTracker, participants, dwellClicker) {
+    this.drawingCanvas = drawingCanvas;
+    this.participants = participants;
+    this.dwellClicker = dwellClicker;
+    const { canvas } = drawingCanvas;
+    this.sources = {
+      face: new FaceInputSource(faceTracker),
+      mouse: new PointerInputSource("mouse", canvas),
+      touch: new PointerInputSource("touch", canvas),
+      pen: new PointerInputSource("pen", canvas),
     };
-    
-    if (this.instructionText) {
-      this.instructionText.textContent = directionTexts[direction];
+    this.sourceId = null;
+    this.sourceSelect = document.getElementById("inputSource");
+    participants.onChange(() => this.apply(this.load()));
+    this.setupEventListeners();
+    this.apply(this.load());
+  }
+
+  /**
+   * @returns {string} An INPUT_SOURCES key
+   */
+  load() {
+    return this.participants.load("input_source", DEFAULT_INPUT_SOURCE);
+  }
+
+  /**
+   * Switch source without saving, e.g. for a replay.
+   * @param {string} sourceId
+   */
+  apply(sourceId) {
+    const id = this.sources[sourceId] ? sourceId : DEFAULT_INPUT_SOURCE;
+    if (id !== this.sourceId) {
+      if (this.sourceId) {
+        this.sources[this.sourceId].detach();
+      }
+      this.sourceId = id;
+      this.sources[id].attach((action, x, y) => this.input(action, x, y));
+      this.dwellClicker.reset();
     }
-    
-    let samples = [];
-    
-    // Collect samples for 3 seconds
-    const directionInterval = setInterval(() => {
-      // Get current cursor position for calibration data
-      const cursor = this.faceTracker.drawingCanvas.cursor;
-      if (cursor && cursor.style.display !== "none") {
-        const rect = this.faceTracker.drawingCanvas.canvas.getBoundingClientRect();
-        const cursorX = parseFloat(cursor.style.left) + parseFloat(cursor.style.width) / 2;
-        const cursorY = parseFloat(cursor.style.top) + parseFloat(cursor.style.height) / 2;
-        
-        // Convert to normalized canvas coordinates
-        const canvasX = (cursorX - rect.left) / rect.width;
-        const canvasY = (cursorY - rect.top) / rect.height;
-        
-        samples.push({
-          x: canvasX,
-          y: canvasY
+    if (this.sourceSelect) {
+      this.sourceSelect.value = id;
+    }
+  }
+
+  setupEventListeners() {
+    if (!this.sourceSelect) {
+      return;
+    }
+    this.sourceSelect.addEventListener("change", () => {
+      if (isReplaying()) {
+        this.apply(this.sourceId);
+        return;
+      }
+      this.apply(this.sourceSelect.value);
+      this.participants.save("input_source", this.sourceId);
+      if (window.sessionRecorder) {
+        window.sessionRecorder.record("inputSource", { source: this.sourceId });
+      }
+      this.drawingCanvas.updateStatus(
+        `Drawing with ${INPUT_SOURCES[this.sourceId]}`,
+      );
+    });
+  }
+
+  /**
+   * From the active source. Face points are replayed from the face frames
+   * that produced them; everything else is recorded here.
+   * @param {string} action - "move", "down" or "up"
+   * @param {number} x - Canvas pixels
+   * @param {number} y - Canvas pixels
+   */
+  input(action, x, y) {
+    if (this.sourceId !== "face") {
+      if (window.sessionRecorder) {
+        window.sessionRecorder.record("input", { action, x, y });
+      }
+      // Pointers are not filtered, so raw and filtered are the same
+      if (window.eventLogger) {
+        window.eventLogger.log("cursor", {
+          source: this.sourceId,
+          action,
+          rawX: x,
+          rawY: y,
+          x,
+          y,
         });
       }
-    }, 100);
-    
-    // Stop collecting after 3 seconds
-    setTimeout(() => {
-      clearInterval(directionInterval);
-      this.phaseData[direction].samples = samples;
-      console.log(`${direction} calibration complete - samples: ${samples.length}`);
-      
-      // Wait 2 seconds before next direction
-      setTimeout(() => {
-        // Move to next direction or complete calibration
-        const directions = ['left', 'right', 'up', 'down'];
-        const currentIndex = directions.indexOf(direction);
-        
-        if (currentIndex < directions.length - 1) {
-          this.calibrateDirection(directions[currentIndex + 1]);
-        } else {
-          this.processCalibrationData();
-        }
-      }, 2000); // 2 second wait
-    }, 3000); // 3 seconds of data collection
+    }
+    this.handle(action, x, y);
   }
 
-  processCalibrationData() {
-    // Hide direction indicators
-    if (this.directionIndicators) this.directionIndicators.classList.add('hidden');
-    
-    console.log(`Processing calibration data - analyzing each direction separately`);
-    
-    // Analyze each direction separately
-    const directions = ['left', 'right', 'up', 'down'];
-    const directionRanges = {};
-    const directionCenters = {};
-    
-    directions.forEach(direction => {
-      const samples = this.phaseData[direction].samples;
-      if (samples.length > 0) {
-        const values = direction === 'left' || direction === 'right' ? 
-          samples.map(s => s.x) : samples.map(s => s.y);
-        
-        const min = Math.min(...values);
-        const max = Math.max(...values);
-        const range = max - min;
-        const center = (min + max) / 2;
-        
-        directionRanges[direction] = range;
-        directionCenters[direction] = center;
-        
-        console.log(`${direction} direction: range=${range.toFixed(3)}, center=${center.toFixed(3)}`);
+  /**
+   * @param {string} action - "move", "down" or "up"
+   * @param {number} x - Canvas pixels
+   * @param {number} y - Canvas pixels
+   */
+  handle(action, x, y) {
+    const { drawingCanvas } = this;
+    const blocked =
+      window.countdownController &&
+      window.countdownController.shouldBlockInputs();
+    // Lifting the pen always ends the stroke, so a press held over pens
+    // away does not draw again once the block lifts
+    if (action === "up") {
+      if (!blocked) {
+        drawingCanvas.draw(x, y);
       }
-    });
-    
-    // Calculate adaptive scaling factors for each direction
-    const targetRange = 0.4; // Target 40% of canvas for full movement
-    const scalingFactors = {};
-    
-    directions.forEach(direction => {
-      const range = directionRanges[direction];
-      if (range > 0) {
-        // If user can reach close to full canvas (0.8+), keep sensitivity normal
-        // If user can't reach full canvas, increase sensitivity
-        if (range >= 0.8) {
-          scalingFactors[direction] = 1.0; // Perfect range, no adjustment needed
+      drawingCanvas.stopDrawing();
+      return;
+    }
+    if (blocked) {
+      return;
+    }
+    switch (action) {
+      case "down":
+        drawingCanvas.draw(x, y);
+        drawingCanvas.startDrawing();
+        break;
+      default:
+        // Resting on a control clicks it rather than inking underneath
+        if (
+          !this.sources[this.sourceId].canClick &&
+          this.dwellClicker.update(x, y)
+        ) {
+          drawingCanvas.hover(x, y);
         } else {
-          // Increase sensitivity based on how much they're missing
-          const missingRange = 0.8 - range;
-          const boostFactor = 1 + (missingRange * 2); // Boost up to 2x for very limited range
-          scalingFactors[direction] = Math.min(boostFactor, 3.0); // Cap at 3x boost
+          drawingCanvas.draw(x, y);
         }
+    }
+  }
+}
+
+class KeybindManager {
+  /**
+   * @param {CanvasDrawing} drawingCanvas
+   * @param {FaceTracker} faceTracker
+   */
+  constructor(drawingCanvas, faceTracker) {
+    this.drawingCanvas = drawingCanvas;
+    this.faceTracker = faceTracker;
+    this.keybinds = new Map();
+    this.setupKeybinds();
+    this.setupEventListeners();
+  }
+
+  setupKeybinds() {
+    this.keybinds.set("s", () => this.drawingCanvas.startDrawing());
+    this.keybinds.set("x", () => this.drawingCanvas.stopDrawing());
+    this.keybinds.set("d", () => {
+      if (this.drawingCanvas.isDrawing) {
+        this.drawingCanvas.stopDrawing();
       } else {
-        scalingFactors[direction] = 2.0; // Default if no data
+        this.drawingCanvas.startDrawing();
       }
-      
-      console.log(`${direction} scaling factor: ${scalingFactors[direction].toFixed(2)}`);
     });
-    
-    // Calculate overall scaling factor (average of all directions)
-    const avgScalingFactor = Object.values(scalingFactors).reduce((sum, factor) => sum + factor, 0) / directions.length;
-    
-    // Store individual direction data for the face tracker
-    this.calibrationData.directionScaling = scalingFactors;
-    this.calibrationData.directionRanges = directionRanges;
-    this.calibrationData.directionCenters = directionCenters;
-    
-    // Calculate overall ranges for display
-    const allSamples = [];
-    Object.keys(this.phaseData).forEach(phase => {
-      if (phase !== 'center') {
-        allSamples.push(...this.phaseData[phase].samples);
+    this.keybinds.set("e", () => this.drawingCanvas.toggleEraser());
+    this.keybinds.set("f", () => this.drawingCanvas.fill());
+    this.keybinds.set("a", () => {
+      if (window.shapeAssist) {
+        window.shapeAssist.accept();
+      }
+    });
+    this.keybinds.set("n", () => {
+      if (window.shapeAssist) {
+        window.shapeAssist.dismiss(true);
+      }
+    });
+    this.keybinds.set("c", () => this.drawingCanvas.clearCanvas());
+
+    this.keybinds.set("z", () => this.drawingCanvas.undo());
+    this.keybinds.set("y", () => this.drawingCanvas.redo());
+
+    this.keybinds.set("p", () => {
+      if (window.drawingExporter) {
+        window.drawingExporter.exportAll();
+      }
+    });
+    this.keybinds.set("o", () => {
+      if (window.drawingExporter) {
+        window.drawingExporter.openImportDialog();
+      }
+    });
+
+    this.keybinds.set("1", () => this.setColor(COLOR_RED, "Red"));
+    this.keybinds.set("2", () => this.setColor(COLOR_GREEN, "Green"));
+    this.keybinds.set("3", () => this.setColor(COLOR_BLUE, "Blue"));
+    this.keybinds.set("4", () => this.setColor(COLOR_BLACK, "Black"));
+
+    this.keybinds.set("b", () => this.drawingCanvas.nextBrushPreset());
+    this.keybinds.set("]", () =>
+      this.drawingCanvas.changeBrushSize(BRUSH_SIZE_STEP),
+    );
+    this.keybinds.set("[", () =>
+      this.drawingCanvas.changeBrushSize(-BRUSH_SIZE_STEP),
+    );
+
+    // Template keybinds
+    this.keybinds.set("6", () => this.setTemplate("star"));
+    this.keybinds.set("7", () => this.setTemplate("rectangle"));
+    this.keybinds.set("8", () => this.setTemplate("circle"));
+    this.keybinds.set("9", () => this.setTemplate("parallelogram"));
+
+    this.keybinds.set("ArrowUp", () => this.faceTracker.increaseSensitivity());
+    this.keybinds.set("ArrowDown", () =>
+      this.faceTracker.decreaseSensitivity(),
+    );
+
+    this.keybinds.set("Escape", () => {
+      if (window.menuNavigator) {
+        window.menuNavigator.clearSelection();
+      }
+    });
+
+    this.keybinds.set("r", () => {
+      if (window.sessionRecorder) {
+        window.sessionRecorder.toggle();
+      }
+    });
+
+    // Calibration keybind
+    this.keybinds.set("F1", () => {
+      if (window.headCalibration) {
+        window.headCalibration.show();
       }
     });
-    
-    if (allSamples.length > 0) {
-      const xValues = allSamples.map(s => s.x);
-      const yValues = allSamples.map(s => s.y);
-      
-      this.calibrationData.minX = Math.min(...xValues);
-      this.calibrationData.maxX = Math.max(...xValues);
-      this.calibrationData.minY = Math.min(...yValues);
-      this.calibrationData.maxY = Math.max(...yValues);
-      
-      this.calibrationData.rangeX = this.calibrationData.maxX - this.calibrationData.minX;
-      this.calibrationData.rangeY = this.calibrationData.maxY - this.calibrationData.minY;
-      
-      this.calibrationData.centerX = (this.calibrationData.minX + this.calibrationData.maxX) / 2;
-      this.calibrationData.centerY = (this.calibrationData.minY + this.calibrationData.maxY) / 2;
-    }
-    
-    this.calibrationData.scalingFactor = avgScalingFactor;
-    
-    console.log(`Overall scaling factor: ${this.calibrationData.scalingFactor.toFixed(2)}`);
-    console.log(`Direction-specific scaling:`, scalingFactors);
-    
-    this.calibrationComplete();
   }
 
-  calibrationComplete() {
-    // Show success state
-    if (this.statusText) {
-      this.statusText.textContent = `Calibration complete! Your movement range: ${(this.calibrationData.rangeX * 100).toFixed(1)}% x ${(this.calibrationData.rangeY * 100).toFixed(1)}%`;
+  /**
+   * @param {string} color
+   * @param {string} name
+   */
+  setColor(color, name) {
+    this.drawingCanvas.setColor(color, name);
+    this.updateColorButton(color);
+  }
+
+  /**
+   * @param {string} color
+   */
+  updateColorButton(color) {
+    const colorButtons = document.querySelectorAll(".color-btn");
+    colorButtons.forEach((btn) => btn.classList.remove("active"));
+
+    const targetButton = document.querySelector(`[data-color="${color}"]`);
+    if (targetButton) {
+      targetButton.classList.add("active");
     }
-    if (this.instructionText) {
-      this.instructionText.textContent = `Optimal sensitivity set to ${this.calibrationData.scalingFactor.toFixed(1)}x. You can adjust this later with the arrow keys.`;
+  }
+
+  /**
+   * @param {string} template
+   */
+  setTemplate(template) {
+    if (window.templateManager) {
+      window.templateManager.setCurrentTemplate(template);
     }
-    if (this.timerElement) this.timerElement.textContent = "✓";
-    if (this.progressFill) this.progressFill.style.width = "100%";
-    
-    // Apply calibration to face tracker
-    this.faceTracker.setScalingFactor(this.calibrationData.scalingFactor);
-    this.faceTracker.calibrationData = this.calibrationData;
-    
-    // Store calibration data
-    this.saveCalibrationData();
-    
-    setTimeout(() => {
+  }
+
+  /**
+   * Run a keybind from live input, recording it if a session is being
+   * recorded. During a replay live input is ignored; Escape stops the replay.
+   * @param {string} key
+   */
+  trigger(key) {
+    if (isReplaying()) {
+      if (key === "Escape") {
+        window.sessionPlayer.stop();
+      }
+      return;
+    }
+    if (window.sessionRecorder && !UNRECORDED_KEYS.includes(key)) {
+      window.sessionRecorder.record("key", { key });
+    }
+    this.runKeybind(key);
+  }
+
+  /**
+   * @param {string} key
+   */
+  runKeybind(key) {
+    const handler = this.keybinds.get(key);
+    if (handler) {
+      handler();
+    }
+  }
+
+  /**
+   * @param {string} id - A BINDABLE_ACTIONS id
+   * @returns {{id: string, name: string, key: string} | undefined} The action
+   *   that ran
+   */
+  runAction(id) {
+    const action = BINDABLE_ACTIONS.find((bindable) => bindable.id === id);
+    if (action) {
+      this.runKeybind(action.key);
+    }
+    return action;
+  }
+
+  setupEventListeners() {
+    document.addEventListener("keydown", (e) => {
+      // Keys typed into a form field are text, not commands
+      if (isTextEntry(e.target)) {
+        return;
+      }
+      const handler = this.keybinds.get(e.key);
+      const modifierPressed = e.shiftKey || e.ctrlKey || e.altKey || e.metaKey;
+      if (handler && !modifierPressed) {
+        e.preventDefault();
+        this.trigger(e.key);
+      }
+    });
+
+    // Buttons go through their keybind so they are recorded the same way
+    const buttonKeys = {
+      startBtn: "s",
+      stopBtn: "x",
+      eraserBtn: "e",
+      fillBtn: "f",
+      shapeAcceptBtn: "a",
+      shapeDismissBtn: "n",
+      clearBtn: "c",
+      undoBtn: "z",
+      redoBtn: "y",
+      exportBtn: "p",
+      importBtn: "o",
+      recordBtn: "r",
+    };
+    Object.entries(buttonKeys).forEach(([id, key]) => {
+      document
+        .getElementById(id)
+        .addEventListener("click", () => this.trigger(key));
+    });
+
+    const colorButtons = document.querySelectorAll(".color-btn");
+    document.getElementById("blackColor").classList.add("active");
+
+    colorButtons.forEach((button) => {
+      button.addEventListener("click", () => {
+        this.trigger(COLOR_KEYS[button.dataset.color]);
+      });
+    });
+
+    // Countdown start button
+    const startBtn = document.getElementById("countdown-start");
+    if (startBtn) {
+      startBtn.addEventListener("click", () => {
+        if (window.countdownController && !isReplaying()) {
+          window.countdownController.start();
+        }
+      });
+    }
+
+    // Countdown pause button
+    const pauseBtn = document.getElementById("countdown-pause");
+    if (pauseBtn) {
+      pauseBtn.addEventListener("click", () => {
+        if (window.countdownController && !isReplaying()) {
+          window.countdownController.togglePause();
+        }
+      });
+    }
+
+    // Countdown reset button
+    const resetBtn = document.getElementById("countdown-reset");
+    if (resetBtn) {
+      resetBtn.addEventListener("click", () => {
+        if (window.countdownController && !isReplaying()) {
+          window.countdownController.reset();
+        }
+      });
+    }
+
+    // Calibration button
+    const calibrationBtn = document.getElementById("calibrationBtn");
+    if (calibrationBtn) {
+      calibrationBtn.addEventListener("click", () => {
+        if (window.headCalibration) {
+          window.headCalibration.show();
+        }
+      });
+    }
+  }
+}
+
+class ParticipantStore {
+  constructor() {
+    this.storageKey = "participant_id";
+    this.id = localStorage.getItem(this.storageKey) || DEFAULT_PARTICIPANT;
+    this.listeners = [];
+  }
+
+  /**
+   * @param {(id: string) => void} listener
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * @param {string} id
+   */
+  setParticipant(id) {
+    this.id = id || DEFAULT_PARTICIPANT;
+    localStorage.setItem(this.storageKey, this.id);
+    this.listeners.forEach((listener) => listener(this.id));
+  }
+
+  /**
+   * @param {string} key
+   * @param {any} fallback - Returned when nothing is stored for the participant
+   * @returns {any}
+   */
+  load(key, fallback) {
+    const stored = localStorage.getItem(`participant:${this.id}:${key}`);
+    if (stored) {
+      try {
+        return JSON.parse(stored);
+      } catch (e) {
+        console.error(`Failed to parse stored ${key}:`, e);
+      }
+    }
+    return fallback;
+  }
+
+  /**
+   * @param {string} key
+   * @param {any} value
+   */
+  save(key, value) {
+    localStorage.setItem(
+      `participant:${this.id}:${key}`,
+      JSON.stringify(value),
+    );
+  }
+
+  /**
+   * @param {string} id
+   * @returns {string[]} Keys stored for the participant
+   */
+  keysFor(id) {
+    const prefix = `participant:${id}:`;
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key.startsWith(prefix)) {
+        keys.push(key.slice(prefix.length));
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * @returns {string[]} Participants with anything stored, and this one
+   */
+  list() {
+    const ids = new Set([this.id]);
+    for (let i = 0; i < localStorage.length; i++) {
+      const match = /^participant:(.*):[^:]+$/.exec(localStorage.key(i));
+      if (match) {
+        ids.add(match[1]);
+      }
+    }
+    return [...ids].sort();
+  }
+
+  /**
+   * Everything stored for this participant, to move to another machine.
+   * @returns {object}
+   */
+  exportProfile() {
+    const settings = {};
+    this.keysFor(this.id).forEach((key) => {
+      settings[key] = this.load(key, null);
+    });
+    return {
+      format: PROFILE_FORMAT,
+      version: PROFILE_FORMAT_VERSION,
+      participant: this.id,
+      exportedAt: Date.now(),
+      settings,
+    };
+  }
+
+  /**
+   * Replace a participant's settings with an exported profile's and switch
+   * to them.
+   * @param {object} profile - A profile produced by exportProfile
+   */
+  importProfile(profile) {
+    if (
+      !profile ||
+      profile.format !== PROFILE_FORMAT ||
+      !profile.settings ||
+      typeof profile.settings !== "object"
+    ) {
+      throw new Error("Unrecognised profile file");
+    }
+    const id = String(profile.participant || DEFAULT_PARTICIPANT);
+    this.keysFor(id).forEach((key) => {
+      localStorage.removeItem(`participant:${id}:${key}`);
+    });
+    Object.entries(profile.settings).forEach(([key, value]) => {
+      localStorage.setItem(`participant:${id}:${key}`, JSON.stringify(value));
+    });
+    this.setParticipant(id);
+  }
+}
+
+class CommandMapping {
+  /**
+   * @param {ParticipantStore} participants
+   * @param {CanvasDrawing} drawingCanvas
+   */
+  constructor(participants, drawingCanvas) {
+    this.participants = participants;
+    this.drawingCanvas = drawingCanvas;
+    this.mapping = this.loadMapping();
+    this.overlay = document.getElementById("mapping-overlay");
+    this.rows = document.getElementById("mapping-rows");
+    this.participantLabel = document.getElementById("mapping-participant");
+    participants.onChange(() => {
+      this.mapping = this.loadMapping();
+    });
+    this.setupEventListeners();
+  }
+
+  /**
+   * @returns {Object<string, string>} Role by mental command
+   */
+  loadMapping() {
+    return this.participants.load("command_mapping", {
+      ...DEFAULT_COMMAND_MAPPING,
+    });
+  }
+
+  /**
+   * @param {string} command
+   * @returns {string | undefined}
+   */
+  roleFor(command) {
+    return this.mapping[command] || undefined;
+  }
+
+  /**
+   * @param {string} role
+   * @returns {string | undefined} The first command mapped to the role
+   */
+  commandFor(role) {
+    return Object.keys(this.mapping).find(
+      (command) => this.mapping[command] === role,
+    );
+  }
+
+  setupEventListeners() {
+    const open = document.getElementById("mappingBtn");
+    if (open) {
+      open.addEventListener("click", () => this.show());
+    }
+    document.getElementById("mapping-save").addEventListener("click", () => {
+      if (isReplaying()) {
+        this.hide();
+        return;
+      }
+      this.readForm();
+      this.participants.save("command_mapping", this.mapping);
+      if (window.sessionRecorder) {
+        window.sessionRecorder.record("mapping", { mapping: this.mapping });
+      }
       this.hide();
-      this.isCalibrating = false;
-    }, 3000);
+      this.drawingCanvas.updateStatus(
+        `Command mapping saved for ${this.participants.id}`,
+      );
+    });
+    document
+      .getElementById("mapping-reset")
+      .addEventListener("click", () =>
+        this.renderForm(DEFAULT_COMMAND_MAPPING),
+      );
+    document
+      .getElementById("mapping-close")
+      .addEventListener("click", () => this.hide());
+  }
+
+  show() {
+    this.participantLabel.textContent = this.participants.id;
+    this.renderForm(this.mapping);
+    this.overlay.classList.remove("hidden");
+  }
+
+  hide() {
+    this.overlay.classList.add("hidden");
+  }
+
+  /**
+   * @param {Object<string, string>} mapping
+   */
+  renderForm(mapping) {
+    const actions = document.createElement("optgroup");
+    actions.label = "Drawing actions";
+    BINDABLE_ACTIONS.forEach(({ id, name }) => {
+      actions.append(new Option(name, `${ACTION_ROLE_PREFIX}${id}`));
+    });
+
+    this.rows.replaceChildren(
+      ...MENTAL_COMMANDS.map((command) => {
+        const row = document.createElement("tr");
+        row.dataset.command = command;
+        const label = document.createElement("td");
+        label.textContent = command;
+
+        const role = document.createElement("select");
+        role.append(new Option("Unused", ""));
+        const navigation = document.createElement("optgroup");
+        navigation.label = "Menu";
+        NAVIGATION_ROLES.forEach(({ id, name }) => {
+          navigation.append(new Option(name, id));
+        });
+        role.append(navigation, actions.cloneNode(true));
+        role.value = mapping[command] || "";
+
+        const cell = document.createElement("td");
+        cell.append(role);
+        row.append(label, cell);
+        return row;
+      }),
+    );
+  }
+
+  readForm() {
+    this.mapping = {};
+    this.rows.querySelectorAll("tr").forEach((row) => {
+      const role = row.querySelector("select").value;
+      if (role) {
+        this.mapping[row.dataset.command] = role;
+      }
+    });
+  }
+}
+
+/**
+ * @typedef {object} MenuItem
+ * @property {string} name
+ * @property {string} [target] - Id of the on-screen element the item stands for
+ * @property {MenuItem[]} [items] - Set for submenus
+ * @property {() => void} [action] - Set for leaves
+ * @property {boolean} [more] - Set for the entry that turns the page
+ */
+
+/**
+ * @typedef {object} MenuState
+ * @property {number[]} path - Indices of the open submenus, from the root
+ * @property {number} page
+ * @property {number | null} highlighted - Position on the page
+ * @property {number} lastActivity - appNow() of the last command
+ */
+
+class MenuNavigator {
+  /**
+   * @param {CanvasDrawing} drawingCanvas
+   * @param {CommandMapping} commandMapping
+   */
+  constructor(drawingCanvas, commandMapping) {
+    this.drawingCanvas = drawingCanvas;
+    this.commandMapping = commandMapping;
+    this.path = [];
+    this.page = 0;
+    this.highlighted = null;
+    this.lastActivity = 0;
+    this.inactivityTimer = null;
+    this.markedElements = [];
+    this.root = this.buildMenu();
+    this.panelTitle = document.getElementById("headset-menu-title");
+    this.panelItems = document.getElementById("headset-menu-items");
+    this.render();
+  }
+
+  /**
+   * @returns {MenuItem}
+   */
+  buildMenu() {
+    const canvas = this.drawingCanvas;
+    const color = (name, value, target) => ({
+      name,
+      target,
+      action: () => this.setColor(value, name),
+    });
+    const template = (name, value) => ({
+      name,
+      target: `${value}Template`,
+      action: () => {
+        if (window.templateManager) {
+          window.templateManager.setCurrentTemplate(value);
+        }
+      },
+    });
+
+    return {
+      name: "Menu",
+      items: [
+        {
+          name: "Drawing",
+          target: "drawing-controls",
+          items: [
+            {
+              name: "Start Drawing",
+              target: "startBtn",
+              action: () => canvas.startDrawing(),
+            },
+            {
+              name: "Stop Drawing",
+              target: "stopBtn",
+              action: () => canvas.stopDrawing(),
+            },
+            {
+              name: "Toggle Eraser",
+              target: "eraserBtn",
+              action: () => canvas.toggleEraser(),
+            },
+            {
+              name: "Fill",
+              target: "fillBtn",
+              action: () => canvas.fill(),
+            },
+            {
+              name: "Brush",
+              items: Object.entries(BRUSH_PRESETS).map(
+                ([preset, { name }]) => ({
+                  name,
+                  action: () => canvas.setBrushPreset(preset),
+                }),
+              ),
+            },
+            {
+              name: "Brush Size",
+              items: BRUSH_SIZES.map(({ name, size }) => ({
+                name,
+                action: () => canvas.setBrushSize(size, name),
+              })),
+            },
+            {
+              name: "Opacity",
+              items: BRUSH_OPACITIES.map(({ name, opacity }) => ({
+                name,
+                action: () => canvas.setBrush({ opacity }, `opacity ${name}`),
+              })),
+            },
+            {
+              name: "Toggle Smoothing",
+              action: () =>
+                canvas.setBrush(
+                  { smooth: !canvas.smoothStrokes },
+                  `smoothing ${canvas.smoothStrokes ? "off" : "on"}`,
+                ),
+            },
+            {
+              name: "Shapes",
+              items: [
+                {
+                  name: "Use Suggested Shape",
+                  target: "shapeAcceptBtn",
+                  action: () => window.shapeAssist.accept(),
+                },
+                {
+                  name: "Keep My Stroke",
+                  target: "shapeDismissBtn",
+                  action: () => window.shapeAssist.dismiss(true),
+                },
+                ...Object.entries(SHAPE_ASSIST_MODES).map(([mode, name]) => ({
+                  name: `Assist: ${name}`,
+                  action: () => window.shapeAssist.change(mode),
+                })),
+              ],
+            },
+          ],
+        },
+        {
+          name: "Edit",
+          target: "edit-controls",
+          items: [
+            { name: "Undo", target: "undoBtn", action: () => canvas.undo() },
+            { name: "Redo", target: "redoBtn", action: () => canvas.redo() },
+            {
+              name: "Clear Canvas",
+              target: "clearBtn",
+              action: () => canvas.clearCanvas(),
+            },
+          ],
+        },
+        {
+          name: "Colours",
+          target: "color-controls",
+          items: [
+            color("Red", COLOR_RED, "redColor"),
+            color("Green", COLOR_GREEN, "greenColor"),
+            color("Blue", COLOR_BLUE, "blueColor"),
+            color("Black", COLOR_BLACK, "blackColor"),
+          ],
+        },
+        {
+          name: "Templates",
+          target: "templates-panel",
+          items: [
+            template("Star", "star"),
+            template("Rectangle", "rectangle"),
+            template("Circle", "circle"),
+            template("Parallelogram", "parallelogram"),
+          ],
+        },
+        {
+          name: "Timer",
+          target: "canvas-overlays",
+          items: [
+            {
+              name: "Start Timer",
+              target: "countdown-start",
+              action: () => window.countdownController.start(),
+            },
+            {
+              name: "Pause / Resume",
+              target: "countdown-pause",
+              action: () => window.countdownController.togglePause(),
+            },
+            {
+              name: "Reset Timer",
+              target: "countdown-reset",
+              action: () => window.countdownController.reset(),
+            },
+          ],
+        },
+        {
+          name: "File",
+          target: "file-controls",
+          items: [
+            {
+              name: "Export Drawing",
+              target: "exportBtn",
+              action: () => {
+                if (window.drawingExporter) {
+                  window.drawingExporter.exportAll();
+                }
+              },
+            },
+          ],
+        },
+        {
+          name: "Calibration",
+          target: "calibration-button-container",
+          items: [
+            {
+              name: "Head Calibration",
+              target: "calibrationBtn",
+              action: () => {
+                if (window.headCalibration) {
+                  window.headCalibration.show();
+                }
+              },
+            },
+            {
+              name: "Centre Head Pose",
+              target: "recentreBtn",
+              action: () => window.pointerSettings.recentre(),
+            },
+            {
+              name: "More Sensitive",
+              action: () => window.faceTracker.increaseSensitivity(),
+            },
+            {
+              name: "Less Sensitive",
+              action: () => window.faceTracker.decreaseSensitivity(),
+            },
+          ],
+        },
+      ],
+    };
+  }
+
+  /**
+   * @param {string} color
+   * @param {string} name
+   */
+  setColor(color, name) {
+    this.drawingCanvas.setColor(color);
+    this.updateColorButton(color);
+    this.drawingCanvas.updateStatus(`Color changed to ${name}`);
+  }
+
+  /**
+   * @param {string} color
+   */
+  updateColorButton(color) {
+    const colorButtons = document.querySelectorAll(".color-btn");
+    colorButtons.forEach((btn) => btn.classList.remove("active"));
+
+    const targetButton = document.querySelector(`[data-color="${color}"]`);
+    if (targetButton) {
+      targetButton.classList.add("active");
+    }
+  }
+
+  /**
+   * @returns {MenuItem}
+   */
+  currentLevel() {
+    return this.path.reduce((level, index) => level.items[index], this.root);
+  }
+
+  /**
+   * One page holds as many entries as there are slot commands, so each entry
+   * can be picked directly. Without slots, fall back to MENU_PAGE_SIZE.
+   * @returns {number}
+   */
+  pageSize() {
+    let slots = 0;
+    while (this.commandMapping.commandFor(`${SLOT_ROLE_PREFIX}${slots + 1}`)) {
+      slots += 1;
+    }
+    return slots >= 2 ? slots : MENU_PAGE_SIZE;
+  }
+
+  /**
+   * @returns {number}
+   */
+  pageCount() {
+    const { items } = this.currentLevel();
+    const size = this.pageSize();
+    return items.length <= size ? 1 : Math.ceil(items.length / (size - 1));
+  }
+
+  /**
+   * The entries on the current page. When the level does not fit, the last
+   * entry of every page turns to the next one.
+   * @returns {MenuItem[]}
+   */
+  pageEntries() {
+    const { items } = this.currentLevel();
+    const pages = this.pageCount();
+    // The page size follows the mapping, which may have changed since
+    this.page = Math.min(this.page, pages - 1);
+    if (pages === 1) {
+      return items;
+    }
+    const perPage = this.pageSize() - 1;
+    const start = this.page * perPage;
+    return [
+      ...items.slice(start, start + perPage),
+      { name: `More (${this.page + 1}/${pages})`, more: true },
+    ];
+  }
+
+  /**
+   * Slots pick an entry on the page by position. Next and select step
+   * through the entries one at a time instead. Back leaves the submenu.
+   * @param {string} role - One of NAVIGATION_ROLES
+   */
+  handleRole(role) {
+    // Checked against the clock as well as by the timer, so a replay
+    // closes the menu at the same points
+    if (appNow() - this.lastActivity > MENU_INACTIVITY_TIMEOUT) {
+      this.clearSelection();
+    }
+
+    if (role === "back") {
+      this.back();
+    } else if (role === "next") {
+      this.highlightNext();
+    } else if (role === "select") {
+      if (this.highlighted !== null) {
+        this.pick(this.highlighted);
+      }
+    } else if (role.startsWith(SLOT_ROLE_PREFIX)) {
+      this.pick(Number(role.slice(SLOT_ROLE_PREFIX.length)) - 1);
+    }
+    this.touch();
+  }
+
+  /**
+   * @param {number} index - Position on the current page
+   */
+  pick(index) {
+    const entry = this.pageEntries()[index];
+    if (!entry) {
+      return;
+    }
+    this.highlighted = null;
+    if (window.eventLogger) {
+      window.eventLogger.log("menu", {
+        menu: this.currentLevel().name,
+        item: entry.more ? "More" : entry.name,
+      });
+    }
+
+    if (entry.more) {
+      this.page = (this.page + 1) % this.pageCount();
+      this.drawingCanvas.updateStatus(
+        `Headset: ${this.currentLevel().name} page ${this.page + 1}`,
+      );
+    } else if (entry.items) {
+      const { items } = this.currentLevel();
+      this.path.push(items.indexOf(entry));
+      this.page = 0;
+      this.drawingCanvas.updateStatus(`Headset: Selected ${entry.name}`);
+    } else {
+      entry.action();
+      this.drawingCanvas.updateStatus(
+        `Headset: Executed ${entry.name} from ${this.currentLevel().name}`,
+      );
+    }
+    this.render();
+  }
+
+  back() {
+    if (window.eventLogger) {
+      window.eventLogger.log("menu", {
+        menu: this.currentLevel().name,
+        item: "Back",
+      });
+    }
+    if (this.path.length === 0) {
+      this.clearSelection();
+      this.drawingCanvas.updateStatus("Headset: Menu closed");
+      return;
+    }
+    this.path.pop();
+    this.page = 0;
+    this.highlighted = null;
+    this.render();
+    this.drawingCanvas.updateStatus(
+      `Headset: Back to ${this.currentLevel().name}`,
+    );
+  }
+
+  highlightNext() {
+    const entries = this.pageEntries();
+    this.highlighted =
+      this.highlighted === null ? 0 : (this.highlighted + 1) % entries.length;
+    this.render();
+    this.drawingCanvas.updateStatus(
+      `Headset: ${entries[this.highlighted].name} - select to choose`,
+    );
+  }
+
+  touch() {
+    this.lastActivity = appNow();
+    if (this.inactivityTimer) {
+      clearTimeout(this.inactivityTimer);
+      this.inactivityTimer = null;
+    }
+    if (this.isAtRest()) {
+      return;
+    }
+    this.inactivityTimer = setTimeout(() => {
+      this.inactivityTimer = null;
+      // A replay closes the menu from recorded time in handleRole instead
+      if (!isReplaying()) {
+        this.clearSelection();
+        this.drawingCanvas.updateStatus(
+          "Headset: Menu closed after inactivity",
+        );
+      }
+    }, MENU_INACTIVITY_TIMEOUT);
+  }
+
+  /**
+   * @returns {boolean} Whether the menu is at the top with nothing picked
+   */
+  isAtRest() {
+    return (
+      this.path.length === 0 && this.page === 0 && this.highlighted === null
+    );
+  }
+
+  render() {
+    this.markedElements.forEach((element) => {
+      element.classList.remove("menu-target", "highlighted", "selected");
+    });
+    this.markedElements = [];
+    const mark = (target, className) => {
+      const element = target && document.getElementById(target);
+      if (element) {
+        element.classList.add(className);
+        this.markedElements.push(element);
+      }
+    };
+
+    // Open submenus stay selected on screen
+    const names = [this.root.name];
+    let level = this.root;
+    this.path.forEach((index) => {
+      level = level.items[index];
+      mark(level.target, "selected");
+      names.push(level.name);
+    });
+    if (this.panelTitle) {
+      this.panelTitle.textContent = names.join(" › ");
+    }
+
+    const rows = this.pageEntries().map((entry, index) => {
+      mark(entry.target, "menu-target");
+      if (index === this.highlighted) {
+        mark(entry.target, "highlighted");
+      }
+
+      const row = document.createElement("li");
+      row.classList.toggle("highlighted", index === this.highlighted);
+      const command = this.commandMapping.commandFor(
+        `${SLOT_ROLE_PREFIX}${index + 1}`,
+      );
+      if (command) {
+        const badge = document.createElement("span");
+        badge.className = "menu-command";
+        badge.textContent = command;
+        row.append(badge);
+      }
+      row.append(entry.items ? `${entry.name} ›` : entry.name);
+      return row;
+    });
+    if (this.panelItems) {
+      this.panelItems.replaceChildren(...rows);
+    }
+  }
+
+  clearSelection() {
+    this.path = [];
+    this.page = 0;
+    this.highlighted = null;
+    this.render();
+  }
+
+  /**
+   * @returns {MenuState}
+   */
+  getState() {
+    return {
+      path: [...this.path],
+      page: this.page,
+      highlighted: this.highlighted,
+      lastActivity: this.lastActivity,
+    };
+  }
+
+  /**
+   * @param {MenuState} state
+   */
+  setState(state) {
+    this.path = [...state.path];
+    this.page = state.page;
+    this.highlighted = state.highlighted;
+    this.lastActivity = state.lastActivity;
+    this.render();
+  }
+}
+
+class HeadsetController {
+  /**
+   * @param {CanvasDrawing} drawingCanvas
+   * @param {CredentialManager} credentialManager
+   * @param {MenuNavigator} menuNavigator
+   * @param {FacialExpressionController} facialExpressions
+   * @param {CommandMapping} commandMapping
+   * @param {KeybindManager} keybindManager
+   * @param {AnalogControl} analogControl
+   */
+  constructor(
+    drawingCanvas,
+    credentialManager,
+    menuNavigator,
+    facialExpressions,
+    commandMapping,
+    keybindManager,
+    analogControl,
+  ) {
+    this.drawingCanvas = drawingCanvas;
+    this.credentialManager = credentialManager;
+    this.menuNavigator = menuNavigator;
+    this.facialExpressions = facialExpressions;
+    this.commandMapping = commandMapping;
+    this.keybindManager = keybindManager;
+    this.analogControl = analogControl;
+    this.socketURL = credentialManager.getSocketURL();
+    this.streams = ["com", "fac", "sys"];
+    this.headset = null;
+    this.lastActionTime = 0;
+    this.actionDelay = SETTING_FIELDS.actionDelay.value;
+    // Weaker mental commands are ignored
+    this.commandThreshold = SETTING_FIELDS.commandThreshold.value;
+    this.trainer = new MentalCommandTrainer(
+      this,
+      credentialManager,
+      drawingCanvas,
+    );
+    const retryButton = document.getElementById("headset-retry");
+    if (retryButton) {
+      retryButton.addEventListener("click", () => this.retry());
+    }
+  }
+
+  initialize() {
+    const credentials = this.credentialManager.getCredentials();
+    if (!credentials) {
+      console.error("No credentials available");
+      return;
+    }
+
+    this.user = credentials;
+    this.socketURL = this.credentialManager.getSocketURL();
+    if (this.headset) {
+      this.headset.disconnect();
+    }
+    this.headset = new Headset(
+      this.user,
+      this.socketURL,
+      this.streams,
+      this.credentialManager.getProfileName(),
+    );
+    this.headset.handleStateChange((state, message) =>
+      this.showState(state, message),
+    );
+    this.setupCommandHandler();
+    this.headset.connect();
+  }
+
+  /**
+   * Try again after an error that stopped the automatic retries, once the
+   * user has fixed whatever it was.
+   */
+  retry() {
+    if (this.headset) {
+      this.headset.connect();
+    }
+  }
+
+  /**
+   * @param {string} state - One of HEADSET_STATE
+   * @param {string} message
+   */
+  showState(state, message) {
+    const indicator = document.getElementById("headset-status");
+    if (indicator) {
+      indicator.className = `headset-status ${state}`;
+      indicator.textContent = `Headset: ${message}`;
+    }
+    const retryButton = document.getElementById("headset-retry");
+    if (retryButton) {
+      retryButton.classList.toggle("hidden", state !== HEADSET_STATE.ERROR);
+    }
+    if (state === HEADSET_STATE.ERROR) {
+      this.drawingCanvas.updateStatus(`Headset error: ${message}`);
+    }
+  }
+
+  setupCommandHandler() {
+    if (!this.headset) {
+      console.error("Headset not initialized");
+      return;
+    }
+
+    this.headset.handleCommand((command, intensity) => {
+      // A replay owns the input pipeline until it finishes, and commands
+      // thought during training must not drive the menu
+      if (isReplaying() || this.trainer.isOpen) {
+        return;
+      }
+      if (window.sessionRecorder) {
+        window.sessionRecorder.record("com", { command, intensity });
+      }
+      this.handleHeadsetCommand(command, intensity);
+    });
+
+    this.headset.handleFacialExpression((sample) => {
+      if (isReplaying()) {
+        return;
+      }
+      if (window.sessionRecorder) {
+        window.sessionRecorder.record("fac", sample);
+      }
+      this.facialExpressions.handleExpression(sample);
+    });
+
+    this.headset.handleSystemEvent((detection, event) => {
+      if (detection === "mentalCommand") {
+        this.trainer.handleSystemEvent(event);
+      }
+    });
+  }
+
+  /**
+   * @param {string} command
+   * @param {number} intensity
+   */
+  handleHeadsetCommand(command, intensity) {
+    const role = this.commandMapping.roleFor(command);
+    const log = (outcome) => {
+      if (window.eventLogger) {
+        window.eventLogger.log("command", {
+          command,
+          intensity,
+          role: role || "",
+          outcome,
+        });
+      }
+    };
+    // Every command moves the analog value, but only its own is used up
+    if (this.analogControl.handle(command, intensity)) {
+      log("analog");
+      return;
+    }
+    if (!role) {
+      log("unmapped");
+      return;
+    }
+    if (intensity <= this.commandThreshold) {
+      log("belowThreshold");
+      return;
+    }
+
+    const currentTime = appNow();
+    if (currentTime - this.lastActionTime < this.actionDelay) {
+      console.log(`too soon since last action`);
+      log("tooSoon");
+      return;
+    }
+
+    this.lastActionTime = currentTime;
+    log("executed");
+    if (role.startsWith(ACTION_ROLE_PREFIX)) {
+      const action = this.keybindManager.runAction(
+        role.slice(ACTION_ROLE_PREFIX.length),
+      );
+      if (action) {
+        this.drawingCanvas.updateStatus(`Headset: ${command} - ${action.name}`);
+      }
+    } else {
+      this.menuNavigator.handleRole(role);
+    }
+    console.log(`Headset: ${command} command executed as ${role}`);
+  }
+}
+
+class AnalogControl {
+  /**
+   * @param {CanvasDrawing} drawingCanvas
+   * @param {FaceTracker} faceTracker
+   * @param {ParticipantStore} participants
+   */
+  constructor(drawingCanvas, faceTracker, participants) {
+    this.drawingCanvas = drawingCanvas;
+    this.faceTracker = faceTracker;
+    this.participants = participants;
+    this.settings = this.load();
+    // Smoothed intensity of the command, 0 to 1
+    this.level = 0;
+    this.overlay = document.getElementById("analog-overlay");
+    this.form = document.getElementById("analog-form");
+    this.participantLabel = document.getElementById("analog-participant");
+    this.readout = document.getElementById("analog-value");
+    participants.onChange(() => this.apply(this.load()));
+    this.setupEventListeners();
+    this.updateReadout();
+  }
+
+  /**
+   * @returns {AnalogSettings}
+   */
+  load() {
+    return {
+      ...DEFAULT_ANALOG_SETTINGS,
+      ...this.participants.load("analog", {}),
+    };
+  }
+
+  /**
+   * Use the settings without saving them, e.g. for a replay.
+   * @param {AnalogSettings} settings
+   */
+  apply(settings) {
+    this.settings = { ...settings };
+    this.level = 0;
+    // Back to normal speed unless the level drives it again
+    this.faceTracker.setSpeedMultiplier(1);
+    this.updateReadout();
+  }
+
+  /**
+   * Apply, save and record a change made in this window.
+   * @param {AnalogSettings} settings
+   */
+  change(settings) {
+    if (isReplaying()) {
+      return;
+    }
+    this.apply(settings);
+    this.participants.save("analog", this.settings);
+    if (window.sessionRecorder) {
+      window.sessionRecorder.record("analog", { settings: this.settings });
+    }
+    this.drawingCanvas.updateStatus(
+      this.settings.enabled
+        ? `Analog: ${this.settings.command} sets ` +
+            ANALOG_TARGETS[this.settings.target].name.toLowerCase()
+        : "Analog control off",
+    );
+  }
+
+  /**
+   * Follow one sample of the mental command stream. Any other command, e.g.
+   * neutral, means the analog one is not being thought.
+   * @param {string} command
+   * @param {number} intensity - 0 to 1
+   * @returns {boolean} Whether the command is the analog one, so must not
+   *   also do what it is mapped to
+   */
+  handle(command, intensity) {
+    const { enabled, smoothing } = this.settings;
+    if (!enabled) {
+      return false;
+    }
+    const isOwn = command === this.settings.command;
+    const sample = isOwn ? Math.min(Math.max(intensity, 0), 1) : 0;
+    this.level = smoothing * this.level + (1 - smoothing) * sample;
+    this.setValue(this.valueFor(this.level));
+    return isOwn;
+  }
+
+  /**
+   * @param {number} level - 0 to 1
+   * @returns {number}
+   */
+  valueFor(level) {
+    const { curve, min, max } = this.settings;
+    return min + (max - min) * ANALOG_CURVES[curve].shape(level);
+  }
+
+  /**
+   * Sizes change in whole pixels, so a steady intensity leaves a stroke whole.
+   * @param {number} value
+   */
+  setValue(value) {
+    const canvas = this.drawingCanvas;
+    const rounded = Math.round(value);
+    switch (this.settings.target) {
+      case "brushSize":
+        if (rounded !== canvas.brushSize) {
+          canvas.changeBrush({ size: rounded });
+        }
+        break;
+      case "brushOpacity":
+        if (rounded !== Math.round(canvas.brushOpacity * 100)) {
+          canvas.changeBrush({ opacity: rounded / 100 });
+        }
+        break;
+      case "eraserSize":
+        if (rounded !== canvas.eraserSize) {
+          canvas.setEraserSize(rounded);
+        }
+        break;
+      case "cursorSpeed":
+        this.faceTracker.setSpeedMultiplier(value);
+        break;
+    }
+    this.updateReadout(value);
+  }
+
+  /**
+   * @param {number} [value] - Leave out to show what the level gives
+   */
+  updateReadout(value = this.valueFor(this.level)) {
+    if (!this.readout) {
+      return;
+    }
+    const { enabled, command, target } = this.settings;
+    this.readout.classList.toggle("hidden", !enabled);
+    this.readout.textContent =
+      `${command}: ${ANALOG_TARGETS[target].name} ` +
+      `${Number(value.toFixed(1))}`;
+  }
+
+  setupEventListeners() {
+    const open = document.getElementById("analogBtn");
+    if (open) {
+      open.addEventListener("click", () => this.show());
+    }
+    document.getElementById("analog-save").addEventListener("click", () => {
+      this.change(this.readForm());
+      this.hide();
+    });
+    document
+      .getElementById("analog-reset")
+      .addEventListener("click", () =>
+        this.renderForm(DEFAULT_ANALOG_SETTINGS),
+      );
+    document
+      .getElementById("analog-close")
+      .addEventListener("click", () => this.hide());
+    // A new parameter starts from its whole range
+    this.form.elements.target.addEventListener("change", () => {
+      const { min, max } = ANALOG_TARGETS[this.form.elements.target.value];
+      this.form.elements.min.value = min;
+      this.form.elements.max.value = max;
+    });
+  }
+
+  show() {
+    this.participantLabel.textContent = this.participants.id;
+    this.renderForm(this.settings);
+    this.overlay.classList.remove("hidden");
+  }
+
+  hide() {
+    this.overlay.classList.add("hidden");
+  }
+
+  /**
+   * @param {AnalogSettings} settings
+   */
+  renderForm(settings) {
+    const { elements } = this.form;
+    const fill = (select, options) => {
+      select.replaceChildren(
+        ...options.map(([value, name]) => new Option(name, value)),
+      );
+    };
+    fill(
+      elements.command,
+      MENTAL_COMMANDS.map((command) => [command, command]),
+    );
+    fill(
+      elements.target,
+      Object.entries(ANALOG_TARGETS).map(([id, { name }]) => [id, name]),
+    );
+    fill(
+      elements.curve,
+      Object.entries(ANALOG_CURVES).map(([id, { name }]) => [id, name]),
+    );
+    elements.enabled.checked = settings.enabled;
+    ["command", "target", "curve", "smoothing", "min", "max"].forEach(
+      (name) => {
+        elements[name].value = settings[name];
+      },
+    );
+  }
+
+  /**
+   * Out of range numbers are clamped to what the parameter allows.
+   * @returns {AnalogSettings}
+   */
+  readForm() {
+    const { elements } = this.form;
+    const target = elements.target.value;
+    const { min, max } = ANALOG_TARGETS[target];
+    const clamp = (value, low, high) =>
+      Math.min(Math.max(Number(value) || 0, low), high);
+    return {
+      enabled: elements.enabled.checked,
+      command: elements.command.value,
+      target,
+      curve: elements.curve.value,
+      smoothing: clamp(elements.smoothing.value, 0, 0.95),
+      min: clamp(elements.min.value, min, max),
+      max: clamp(elements.max.value, min, max),
+    };
+  }
+}
+
+/**
+ * @typedef {object} FacialExpressionSample - One "fac" stream sample
+ * @property {string} eyeAct
+ * @property {string} uAct
+ * @property {number} uPow
+ * @property {string} lAct
+ * @property {number} lPow
+ */
+
+/**
+ * @typedef {object} ExpressionBinding
+ * @property {string} action - A BINDABLE_ACTIONS id, or "" for none
+ * @property {number} threshold - Lowest power that counts, 0 to 1
+ * @property {number} debounce - ms before the expression can fire again
+ */
+
+class FacialExpressionController {
+  /**
+   * @param {CanvasDrawing} drawingCanvas
+   * @param {KeybindManager} keybindManager
+   * @param {ParticipantStore} participants
+   */
+  constructor(drawingCanvas, keybindManager, participants) {
+    this.drawingCanvas = drawingCanvas;
+    this.keybindManager = keybindManager;
+    this.participants = participants;
+    this.migrateSharedBindings();
+    this.bindings = this.loadBindings();
+    this.lastFired = {};
+    this.overlay = document.getElementById("expression-overlay");
+    this.rows = document.getElementById("expression-rows");
+    participants.onChange(() => this.apply(this.loadBindings()));
+    this.setupEventListeners();
+  }
+
+  /**
+   * @returns {Object<string, ExpressionBinding>}
+   */
+  loadBindings() {
+    const bindings = JSON.parse(JSON.stringify(DEFAULT_EXPRESSION_BINDINGS));
+    const saved = this.participants.load("expression_bindings", {});
+    Object.keys(bindings).forEach((expression) => {
+      Object.assign(bindings[expression], saved[expression]);
+    });
+    return bindings;
+  }
+
+  saveBindings() {
+    this.participants.save("expression_bindings", this.bindings);
+  }
+
+  /**
+   * Use the bindings without saving them, e.g. for a replay.
+   * @param {Object<string, ExpressionBinding>} bindings
+   */
+  apply(bindings) {
+    this.bindings = JSON.parse(JSON.stringify(bindings));
+  }
+
+  /**
+   * Bindings used to be shared by everyone. Keep them for the current
+   * participant rather than losing them.
+   */
+  migrateSharedBindings() {
+    const shared = localStorage.getItem("facial_expression_bindings");
+    if (shared === null) {
+      return;
+    }
+    if (this.participants.load("expression_bindings", null) === null) {
+      try {
+        this.participants.save("expression_bindings", JSON.parse(shared));
+      } catch (e) {
+        console.error("Failed to migrate expression bindings:", e);
+      }
+    }
+    localStorage.removeItem("facial_expression_bindings");
+  }
+
+  /**
+   * @param {FacialExpressionSample} sample
+   */
+  handleExpression(sample) {
+    // Eye actions are either detected or not, so count them at full power
+    this.fire(sample.eyeAct, 1);
+    this.fire(sample.lAct, sample.lPow);
+  }
+
+  /**
+   * @param {string} expression
+   * @param {number} power
+   */
+  fire(expression, power) {
+    const binding = this.bindings[expression];
+    if (!binding || !binding.action || power < binding.threshold) {
+      return;
+    }
+
+    const now = appNow();
+    if (now - (this.lastFired[expression] || 0) < binding.debounce) {
+      return;
+    }
+    this.lastFired[expression] = now;
+
+    const action = this.keybindManager.runAction(binding.action);
+    if (action) {
+      this.drawingCanvas.updateStatus(
+        `Headset: ${FACIAL_EXPRESSIONS[expression].name} - ${action.name}`,
+      );
+    }
+  }
+
+  setupEventListeners() {
+    const open = document.getElementById("expressionsBtn");
+    if (open) {
+      open.addEventListener("click", () => this.show());
+    }
+    document.getElementById("expression-save").addEventListener("click", () => {
+      if (isReplaying()) {
+        this.hide();
+        return;
+      }
+      this.readForm();
+      this.saveBindings();
+      if (window.sessionRecorder) {
+        // readForm edits the bindings in place, so record a copy
+        window.sessionRecorder.record("expressions", {
+          bindings: JSON.parse(JSON.stringify(this.bindings)),
+        });
+      }
+      this.hide();
+      this.drawingCanvas.updateStatus(
+        `Expression bindings saved for ${this.participants.id}`,
+      );
+    });
+    document
+      .getElementById("expression-reset")
+      .addEventListener("click", () =>
+        this.renderForm(DEFAULT_EXPRESSION_BINDINGS),
+      );
+    document
+      .getElementById("expression-close")
+      .addEventListener("click", () => this.hide());
+  }
+
+  show() {
+    this.renderForm(this.bindings);
+    this.overlay.classList.remove("hidden");
+  }
+
+  hide() {
+    this.overlay.classList.add("hidden");
+  }
+
+  /**
+   * @param {Object<string, ExpressionBinding>} bindings
+   */
+  renderForm(bindings) {
+    const rows = Object.entries(FACIAL_EXPRESSIONS).map(
+      ([expression, { name, eye }]) => {
+        const binding = bindings[expression];
+        const row = document.createElement("tr");
+        row.dataset.expression = expression;
+
+        const label = document.createElement("td");
+        label.textContent = name;
+
+        const action = document.createElement("select");
+        action.name = "action";
+        [{ id: "", name: "Nothing" }, ...BINDABLE_ACTIONS].forEach((choice) => {
+          const option = document.createElement("option");
+          option.value = choice.id;
+          option.textContent = choice.name;
+          action.append(option);
+        });
+        action.value = binding.action;
+
+        const threshold = document.createElement("input");
+        threshold.name = "threshold";
+        threshold.type = "number";
+        threshold.min = 0;
+        threshold.max = 1;
+        threshold.step = 0.05;
+        threshold.value = binding.threshold;
+        threshold.disabled = eye;
+
+        const debounce = document.createElement("input");
+        debounce.name = "debounce";
+        debounce.type = "number";
+        debounce.min = 0;
+        debounce.step = 100;
+        debounce.value = binding.debounce;
+
+        row.append(
+          label,
+          ...[action, threshold, debounce].map((input) => {
+            const cell = document.createElement("td");
+            cell.append(input);
+            return cell;
+          }),
+        );
+        return row;
+      },
+    );
+    this.rows.replaceChildren(...rows);
+  }
+
+  readForm() {
+    this.rows.querySelectorAll("tr").forEach((row) => {
+      const field = (name) => row.querySelector(`[name="${name}"]`).value;
+      this.bindings[row.dataset.expression] = {
+        action: field("action"),
+        threshold: Math.min(Math.max(Number(field("threshold")) || 0, 0), 1),
+        debounce: Math.max(Number(field("debounce")) || 0, 0),
+      };
+    });
+  }
+}
+
+class MentalCommandTrainer {
+  /**
+   * @param {HeadsetController} headsetController
+   * @param {CredentialManager} credentialManager
+   * @param {CanvasDrawing} drawingCanvas
+   */
+  constructor(headsetController, credentialManager, drawingCanvas) {
+    this.headsetController = headsetController;
+    this.credentialManager = credentialManager;
+    this.drawingCanvas = drawingCanvas;
+    this.isOpen = false;
+    this.trainingAction = null;
+    this.trainedActions = {};
+    this.progressTimer = null;
+
+    this.overlay = document.getElementById("training-overlay");
+    this.profileInput = document.getElementById("training-profile");
+    this.profileList = document.getElementById("training-profiles");
+    this.rows = document.getElementById("training-rows");
+    this.message = document.getElementById("training-message");
+    this.progressBar = document.getElementById("training-progress-bar");
+    this.acceptButton = document.getElementById("training-accept");
+    this.rejectButton = document.getElementById("training-reject");
+    this.setupEventListeners();
+  }
+
+  get headset() {
+    return this.headsetController.headset;
+  }
+
+  get isConnected() {
+    return (
+      this.headset !== null &&
+      this.headset.state === HEADSET_STATE.SESSION_ACTIVE
+    );
+  }
+
+  setupEventListeners() {
+    const open = document.getElementById("trainingBtn");
+    if (open) {
+      open.addEventListener("click", () => this.show());
+    }
+    document
+      .getElementById("training-load")
+      .addEventListener("click", () => this.loadProfile());
+    this.acceptButton.addEventListener("click", () =>
+      this.finishTrial("accept"),
+    );
+    this.rejectButton.addEventListener("click", () =>
+      this.finishTrial("reject"),
+    );
+    document
+      .getElementById("training-close")
+      .addEventListener("click", () => this.hide());
+  }
+
+  show() {
+    this.isOpen = true;
+    this.overlay.classList.remove("hidden");
+    this.profileInput.value =
+      (this.headset && this.headset.profileName) ||
+      this.credentialManager.getProfileName() ||
+      "";
+    this.trainedActions = {};
+    this.renderRows();
+    this.setProgress(0);
+    if (this.isConnected) {
+      this.showMessage("Load a profile, then train neutral first");
+      this.refresh();
+    } else {
+      this.showMessage("Connect a headset before training");
+    }
+  }
+
+  hide() {
+    if (this.trainingAction && this.isConnected) {
+      this.headset.train(this.trainingAction, "reset").catch(() => {});
+    }
+    this.endTrial();
+    this.isOpen = false;
+    this.overlay.classList.add("hidden");
+  }
+
+  async refresh() {
+    try {
+      const profiles = await this.headset.queryProfiles();
+      this.profileList.replaceChildren(
+        ...profiles.map((profile) => {
+          const option = document.createElement("option");
+          option.value = profile;
+          return option;
+        }),
+      );
+      if (this.headset.profileName) {
+        this.trainedActions = await this.headset.getTrainedActions();
+      }
+      this.renderRows();
+    } catch (error) {
+      this.showMessage(error.message);
+    }
+  }
+
+  async loadProfile() {
+    const profile = this.profileInput.value.trim();
+    if (!profile) {
+      this.showMessage("Enter a profile name");
+      return;
+    }
+    if (!this.isConnected) {
+      this.showMessage("Connect a headset before loading a profile");
+      return;
+    }
+    try {
+      await this.headset.loadProfile(profile);
+      this.credentialManager.saveProfileName(profile);
+      this.showMessage(`Profile ${profile} loaded`);
+      this.drawingCanvas.updateStatus(`Training profile: ${profile}`);
+      await this.refresh();
+    } catch (error) {
+      this.showMessage(`Could not load ${profile}: ${error.message}`);
+    }
+  }
+
+  renderRows() {
+    const canTrain =
+      this.isConnected &&
+      this.headset.profileName &&
+      this.trainingAction === null;
+    this.rows.replaceChildren(
+      ...TRAINING_ACTIONS.map((action) => {
+        const row = document.createElement("tr");
+        const name = document.createElement("td");
+        name.textContent = action;
+        const trials = document.createElement("td");
+        trials.textContent = `${this.trainedActions[action] || 0} trials`;
+        const train = document.createElement("button");
+        train.type = "button";
+        train.className = "login-btn";
+        train.textContent =
+          action === this.trainingAction ? "Training" : "Train";
+        train.disabled = !canTrain;
+        train.addEventListener("click", () => this.startTrial(action));
+        const cell = document.createElement("td");
+        cell.append(train);
+        row.append(name, trials, cell);
+        return row;
+      }),
+    );
+  }
+
+  /**
+   * @param {string} action
+   */
+  async startTrial(action) {
+    this.trainingAction = action;
+    this.setDecisionEnabled(false);
+    this.setProgress(0);
+    this.renderRows();
+    this.showMessage(`Get ready to think "${action}"`);
+    try {
+      await this.headset.train(action, "start");
+    } catch (error) {
+      this.showMessage(`Could not start training: ${error.message}`);
+      this.endTrial();
+    }
+  }
+
+  /**
+   * @param {"accept"|"reject"} status
+   */
+  async finishTrial(status) {
+    this.setDecisionEnabled(false);
+    try {
+      await this.headset.train(this.trainingAction, status);
+    } catch (error) {
+      this.showMessage(`Could not ${status} the trial: ${error.message}`);
+      this.endTrial();
+    }
+  }
+
+  /**
+   * @param {string} event - A mental command event from the "sys" stream
+   */
+  handleSystemEvent(event) {
+    if (!this.trainingAction) {
+      return;
+    }
+    const action = this.trainingAction;
+    switch (event) {
+      case "MC_Started":
+        this.showMessage(`Think "${action}" until the bar is full`);
+        this.startProgress();
+        break;
+      case "MC_Succeeded":
+        this.stopProgress();
+        this.setProgress(1);
+        this.showMessage("Trial recorded - accept it, or reject to discard");
+        this.setDecisionEnabled(true);
+        break;
+      case "MC_Failed":
+        this.showMessage(`The "${action}" trial was too noisy, try again`);
+        this.endTrial();
+        break;
+      case "MC_Completed":
+        this.showMessage(`The "${action}" trial was added to the profile`);
+        this.endTrial();
+        this.saveProfile();
+        break;
+      case "MC_Rejected":
+        this.showMessage(`The "${action}" trial was discarded`);
+        this.endTrial();
+        break;
+    }
+  }
+
+  async saveProfile() {
+    try {
+      await this.headset.setupProfile(this.headset.profileName, "save");
+      await this.refresh();
+    } catch (error) {
+      this.showMessage(`Could not save the profile: ${error.message}`);
+    }
+  }
+
+  endTrial() {
+    this.stopProgress();
+    this.trainingAction = null;
+    this.setDecisionEnabled(false);
+    this.renderRows();
+  }
+
+  startProgress() {
+    this.stopProgress();
+    const startTime = Date.now();
+    this.progressTimer = setInterval(() => {
+      this.setProgress((Date.now() - startTime) / TRAINING_DURATION);
+    }, 100);
+  }
+
+  stopProgress() {
+    if (this.progressTimer) {
+      clearInterval(this.progressTimer);
+      this.progressTimer = null;
+    }
+  }
+
+  /**
+   * @param {number} fraction
+   */
+  setProgress(fraction) {
+    this.progressBar.style.width = `${Math.min(fraction, 1) * 100}%`;
+  }
+
+  /**
+   * @param {boolean} enabled
+   */
+  setDecisionEnabled(enabled) {
+    this.acceptButton.disabled = !enabled;
+    this.rejectButton.disabled = !enabled;
+  }
+
+  /**
+   * @param {string} message
+   */
+  showMessage(message) {
+    this.message.textContent = message;
+  }
+}
+
+class TemplateManager {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {string} defaultTemplate
+   */
+  constructor(canvas, ctx, defaultTemplate = "rectangle") {
+    this.canvas = canvas;
+    this.ctx = ctx;
+    this.currentTemplate = defaultTemplate;
+    this.templateButtons = Array.from(
+      document.querySelectorAll(".template-btn"),
+    );
+    this.setupTemplateButtons();
+    this.updateActiveButton();
+    this.drawCurrentTemplate();
+  }
+
+  setupTemplateButtons() {
+    this.templateButtons.forEach((btn) => {
+      btn.addEventListener("click", () => {
+        if (isReplaying()) {
+          return;
+        }
+        const template = btn.dataset.template;
+        if (window.sessionRecorder) {
+          window.sessionRecorder.record("template", { template });
+        }
+        this.setCurrentTemplate(template);
+      });
+    });
+  }
+
+  setCurrentTemplate(template) {
+    if (this.currentTemplate !== template) {
+      this.currentTemplate = template;
+      if (window.eventLogger) {
+        window.eventLogger.log("template", { template });
+      }
+      this.updateActiveButton();
+      this.drawCurrentTemplate();
+    }
+  }
+
+  updateActiveButton() {
+    this.templateButtons.forEach((btn) => {
+      btn.classList.toggle(
+        "active",
+        btn.dataset.template === this.currentTemplate,
+      );
+    });
+  }
+
+  drawCurrentTemplate() {
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    const shape = this.getOutlineShape();
+    if (shape) {
+      this.drawOutline(this.ctx, shape);
+    }
+  }
+
+  /**
+   * Geometry of a template outline in canvas pixels.
+   * @param {string} template
+   * @returns {{kind: "polygon", points: {x: number, y: number}[]} | {kind: "circle", cx: number, cy: number, radius: number} | null}
+   */
+  getOutlineShape(template = this.currentTemplate) {
+    switch (template) {
+      case "star":
+        return this.getStarShape();
+      case "rectangle":
+        return this.getRectangleShape();
+      case "circle":
+        return this.getCircleShape();
+      case "parallelogram":
+        return this.getParallelogramShape();
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {object} shape
+   * @param {boolean} dashed
+   */
+  drawOutline(ctx, shape, dashed = true) {
+    ctx.save();
+    ctx.strokeStyle = TEMPLATE_COLOR;
+    ctx.lineWidth = TEMPLATE_LINE_WIDTH;
+    ctx.setLineDash(dashed ? TEMPLATE_LINE_DASH : []);
+    ctx.beginPath();
+    if (shape.kind === "circle") {
+      ctx.arc(shape.cx, shape.cy, shape.radius, 0, 2 * Math.PI);
+    } else {
+      shape.points.forEach((point, i) => {
+        if (i === 0) {
+          ctx.moveTo(point.x, point.y);
+        } else {
+          ctx.lineTo(point.x, point.y);
+        }
+      });
+      ctx.closePath();
+    }
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  getStarShape() {
+    const { canvas } = this;
+    const centerX = canvas.width / 2;
+    const centerY = canvas.height / 2;
+    const outerRadius = Math.min(canvas.width, canvas.height) * 0.25;
+    const innerRadius = outerRadius * 0.4;
+    const spikes = 5;
+    const points = [];
+    for (let i = 0; i < spikes * 2; i++) {
+      const angle = (i * Math.PI) / spikes;
+      const radius = i % 2 === 0 ? outerRadius : innerRadius;
+      points.push({
+        x: centerX + Math.cos(angle - Math.PI / 2) * radius,
+        y: centerY + Math.sin(angle - Math.PI / 2) * radius,
+      });
+    }
+    return { kind: "polygon", points };
+  }
+
+  getRectangleShape() {
+    const { canvas } = this;
+    const centerX = canvas.width / 2;
+    const centerY = canvas.height / 2;
+    const width = Math.min(canvas.width, canvas.height) * 0.4;
+    const height = width * 0.6;
+    const left = centerX - width / 2;
+    const top = centerY - height / 2;
+    return {
+      kind: "polygon",
+      points: [
+        { x: left, y: top },
+        { x: left + width, y: top },
+        { x: left + width, y: top + height },
+        { x: left, y: top + height },
+      ],
+    };
+  }
+
+  getCircleShape() {
+    const { canvas } = this;
+    return {
+      kind: "circle",
+      cx: canvas.width / 2,
+      cy: canvas.height / 2,
+      radius: Math.min(canvas.width, canvas.height) * 0.2,
+    };
+  }
+
+  getParallelogramShape() {
+    const { canvas } = this;
+    const centerX = canvas.width / 2;
+    const centerY = canvas.height / 2;
+    const width = Math.min(canvas.width, canvas.height) * 0.4;
+    const height = width * 0.5;
+    const skew = width * 0.2;
+    return {
+      kind: "polygon",
+      points: [
+        { x: centerX - width / 2 + skew, y: centerY - height / 2 },
+        { x: centerX + width / 2 + skew, y: centerY - height / 2 },
+        { x: centerX + width / 2 - skew, y: centerY + height / 2 },
+        { x: centerX - width / 2 - skew, y: centerY + height / 2 },
+      ],
+    };
+  }
+
+  redraw() {
+    this.drawCurrentTemplate();
+  }
+
+  onResize() {
+    this.drawCurrentTemplate();
+  }
+}
+
+class DrawingExporter {
+  /**
+   * @param {CanvasDrawing} drawingCanvas
+   * @param {TemplateManager} templateManager
+   * @param {FaceTracker} faceTracker
+   */
+  constructor(drawingCanvas, templateManager, faceTracker) {
+    this.drawingCanvas = drawingCanvas;
+    this.templateManager = templateManager;
+    this.faceTracker = faceTracker;
+    this.includeTemplateCheckbox = document.getElementById("exportTemplate");
+    this.importInput = document.getElementById("importFile");
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    if (this.importInput) {
+      this.importInput.addEventListener("change", () => {
+        const file = this.importInput.files[0];
+        if (file) {
+          this.importJSON(file);
+        }
+        this.importInput.value = "";
+      });
+    }
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  shouldIncludeTemplate() {
+    return this.includeTemplateCheckbox
+      ? this.includeTemplateCheckbox.checked
+      : true;
+  }
+
+  exportAll() {
+    // A replayed headset command or menu action must not download files
+    if (isReplaying()) {
+      return;
+    }
+    const includeTemplate = this.shouldIncludeTemplate();
+    this.exportPNG(includeTemplate);
+    this.exportSVG(includeTemplate);
+    this.exportJSON();
+    this.drawingCanvas.updateStatus("Drawing exported");
+  }
+
+  /**
+   * @param {string} extension
+   * @returns {string}
+   */
+  fileName(extension) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    return `mindink-${this.templateManager.currentTemplate}-${stamp}.${extension}`;
+  }
+
+  /**
+   * Flatten the drawing, on white and optionally over the template, into a
+   * new canvas.
+   * @param {boolean} includeTemplate
+   * @returns {HTMLCanvasElement}
+   */
+  renderComposite(includeTemplate = true) {
+    const { canvas } = this.drawingCanvas;
+    const composite = document.createElement("canvas");
+    composite.width = canvas.width;
+    composite.height = canvas.height;
+    const ctx = composite.getContext("2d");
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, composite.width, composite.height);
+    const shape = includeTemplate ? this.templateManager.getOutlineShape() : null;
+    if (shape) {
+      this.templateManager.drawOutline(ctx, shape);
+    }
+    ctx.drawImage(canvas, 0, 0);
+    return composite;
+  }
+
+  /**
+   * @param {boolean} includeTemplate
+   */
+  exportPNG(includeTemplate = true) {
+    this.renderComposite(includeTemplate).toBlob((blob) => {
+      if (blob) {
+        downloadBlob(blob, this.fileName("png"));
+      }
+    }, "image/png");
+  }
+
+  /**
+   * @param {boolean} includeTemplate
+   * @returns {string}
+   */
+  buildSVG(includeTemplate = true) {
+    const { width, height } = this.drawingCanvas.canvas;
+    const defs = [];
+    // Eraser strokes mask out everything drawn before them, so each one wraps
+    // the content so far in a group masked by that stroke
+    let content = "";
+    this.drawingCanvas.strokes.forEach((stroke, index) => {
+      if (stroke.fill) {
+        const image = this.drawingCanvas.fillImages.get(stroke);
+        if (image && image.layer) {
+          content += `<image href="${image.layer.toDataURL("image/png")}" width="${width}" height="${height}"/>`;
+        }
+        return;
+      }
+      if (stroke.points.length < 2) {
+        return;
+      }
+      const path = strokePathData(stroke.points, Boolean(stroke.smooth));
+      const line = `fill="none" stroke-width="${svgAttribute(stroke.width)}" stroke-linecap="${svgAttribute(stroke.cap || "round")}" stroke-linejoin="round"`;
+      if (stroke.isEraser) {
+        const id = `eraser-${index}`;
+        defs.push(
+          `<mask id="${id}" maskUnits="userSpaceOnUse" x="0" y="0" width="${width}" height="${height}">` +
+            `<rect width="${width}" height="${height}" fill="white"/>` +
+            `<path d="${path}" stroke="black" ${line}/>` +
+            `</mask>`,
+        );
+        content = `<g mask="url(#${id})">${content}</g>`;
+      } else {
+        content += `<path d="${path}" stroke="${svgAttribute(stroke.color)}" stroke-opacity="${svgAttribute(stroke.opacity ?? 1)}" ${line}/>`;
+      }
+    });
+
+    const shape = includeTemplate ? this.templateManager.getOutlineShape() : null;
+    let outline = "";
+    if (shape) {
+      const style = `fill="none" stroke="${TEMPLATE_COLOR}" stroke-width="${TEMPLATE_LINE_WIDTH}" stroke-dasharray="${TEMPLATE_LINE_DASH.join(" ")}"`;
+      if (shape.kind === "circle") {
+        outline = `<circle cx="${shape.cx}" cy="${shape.cy}" r="${shape.radius}" ${style}/>`;
+      } else {
+        const points = shape.points.map((p) => `${p.x},${p.y}`).join(" ");
+        outline = `<polygon points="${points}" ${style}/>`;
+      }
+    }
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+      `<defs>${defs.join("")}</defs>`,
+      `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+      outline,
+      `<g>${content}</g>`,
+      `</svg>`,
+    ].join("\n");
+  }
+
+  /**
+   * @param {boolean} includeTemplate
+   */
+  exportSVG(includeTemplate = true) {
+    const blob = new Blob([this.buildSVG(includeTemplate)], {
+      type: "image/svg+xml",
+    });
+    downloadBlob(blob, this.fileName("svg"));
+  }
+
+  /**
+   * The drawing as plain data: strokes plus what is needed to interpret them.
+   * @returns {object}
+   */
+  buildDocument() {
+    const { canvas, strokes } = this.drawingCanvas;
+    const calibration = this.faceTracker.calibrationData || null;
+    return {
+      format: DRAWING_FORMAT,
+      version: DRAWING_FORMAT_VERSION,
+      template: this.templateManager.currentTemplate,
+      canvas: { width: canvas.width, height: canvas.height },
+      calibration: {
+        scalingFactor: this.faceTracker.scalingFactor,
+        ...calibration,
+      },
+      startedAt: strokes.length > 0 ? strokes[0].startTime : null,
+      endedAt: strokes.length > 0 ? strokes[strokes.length - 1].endTime : null,
+      exportedAt: Date.now(),
+      score: window.drawingScorer ? window.drawingScorer.lastScore : null,
+      strokes,
+    };
+  }
+
+  exportJSON() {
+    const blob = new Blob([JSON.stringify(this.buildDocument(), null, 2)], {
+      type: "application/json",
+    });
+    downloadBlob(blob, this.fileName("json"));
+  }
+
+  openImportDialog() {
+    if (this.importInput) {
+      this.importInput.click();
+    }
+  }
+
+  /**
+   * @param {File} file
+   */
+  async importJSON(file) {
+    try {
+      const doc = JSON.parse(await file.text());
+      this.loadDocument(doc);
+    } catch (e) {
+      console.error("Failed to import drawing:", e);
+      this.drawingCanvas.updateStatus("Import failed - not a MindInk drawing");
+    }
+  }
+
+  /**
+   * @param {object} doc - A document produced by buildDocument
+   */
+  loadDocument(doc) {
+    if (!doc || doc.format !== DRAWING_FORMAT || !Array.isArray(doc.strokes)) {
+      throw new Error("Unrecognised drawing file");
+    }
+    const isSize = (value) => Number.isFinite(value) && value > 0;
+    if (!doc.canvas || !isSize(doc.canvas.width) || !isSize(doc.canvas.height)) {
+      throw new Error("Drawing has no canvas size");
+    }
+    const isPoint = (point) =>
+      Boolean(point) && Number.isFinite(point.x) && Number.isFinite(point.y);
+    doc.strokes.forEach((stroke, index) => {
+      if (!stroke || !Array.isArray(stroke.points) || !stroke.points.every(isPoint)) {
+        throw new Error(`Stroke ${index} has invalid points`);
+      }
+    });
+    const { canvas } = this.drawingCanvas;
+    // Drawings made on another screen size are stretched to fit this one
+    const scaleX = canvas.width / doc.canvas.width;
+    const scaleY = canvas.height / doc.canvas.height;
+    const strokes = doc.strokes.map((stroke) => ({
+      ...stroke,
+      points: stroke.points.map((point) => ({
+        x: point.x * scaleX,
+        y: point.y * scaleY,
+        t: point.t,
+      })),
+    }));
+
+    if (doc.template) {
+      this.templateManager.setCurrentTemplate(doc.template);
+    }
+    this.drawingCanvas.replaceStrokes(strokes);
+    this.drawingCanvas.updateStatus(`Loaded drawing (${strokes.length} strokes)`);
+  }
+}
+
+class DrawingScorer {
+  /**
+   * @param {CanvasDrawing} drawingCanvas
+   * @param {TemplateManager} templateManager
+   * @param {CountdownController} countdownController
+   * @param {number} tolerance - Distance in pixels that still counts as on the outline
+   */
+  constructor(
+    drawingCanvas,
+    templateManager,
+    countdownController,
+    tolerance = 10,
+  ) {
+    this.drawingCanvas = drawingCanvas;
+    this.templateManager = templateManager;
+    this.tolerance = tolerance;
+    this.lastScore = null;
+    this.scoreElement = document.getElementById("pens-away-score");
+
+    countdownController.onEvent((event) => {
+      if (event === "timeUp") {
+        this.scoreCurrentDrawing();
+      } else if (event === "start" || event === "reset") {
+        this.showScore(null);
+      }
+    });
+  }
+
+  /**
+   * @returns {object | null}
+   */
+  scoreCurrentDrawing() {
+    const shape = this.templateManager.getOutlineShape();
+    if (!shape) {
+      return null;
+    }
+    // Only the lines are scored against the outline, not coloured-in areas
+    const imageData = this.drawingCanvas.getStrokeImageData();
+    const score = {
+      template: this.templateManager.currentTemplate,
+      scoredAt: appNow(),
+      ...this.scoreDrawing(imageData, shape),
+    };
+    this.lastScore = score;
+    this.showScore(score);
+    if (window.sessionRecorder) {
+      window.sessionRecorder.record("score", { score });
+    }
+    return score;
+  }
+
+  /**
+   * Compare the ink in a rendered drawing with a template outline. Distances
+   * are in canvas pixels.
+   * @param {ImageData} imageData
+   * @param {object} shape - From TemplateManager.getOutlineShape
+   * @returns {object}
+   */
+  scoreDrawing(imageData, shape) {
+    const { width, height, data } = imageData;
+    const tolerance = this.tolerance;
+
+    // Ink to outline: every inked pixel against the exact outline geometry
+    let inkPixels = 0;
+    let offOutlinePixels = 0;
+    let deviationSum = 0;
+    let maxDeviation = 0;
+    const isInk = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const index = y * width + x;
+        if (data[index * 4 + 3] === 0) {
+          continue;
+        }
+        isInk[index] = 1;
+        const distance = distanceToShape(shape, x + 0.5, y + 0.5);
+        inkPixels += 1;
+        deviationSum += distance;
+        maxDeviation = Math.max(maxDeviation, distance);
+        if (distance > tolerance) {
+          offOutlinePixels += 1;
+        }
+      }
+    }
+
+    const samples = sampleShape(shape, SCORE_SAMPLE_SPACING);
+    if (inkPixels === 0) {
+      return {
+        tolerance,
+        inkPixels,
+        coverage: 0,
+        meanDeviation: null,
+        maxDeviation: null,
+        hausdorff: null,
+        offOutlinePixels: 0,
+        offOutlineRatio: 0,
+      };
+    }
+
+    // Outline to ink: distance from each outline sample to the nearest ink
+    const inkDistance = squaredDistanceTransform(isInk, width, height);
+    let covered = 0;
+    let maxOutlineDistance = 0;
+    samples.forEach((point) => {
+      const x = Math.min(width - 1, Math.max(0, Math.floor(point.x)));
+      const y = Math.min(height - 1, Math.max(0, Math.floor(point.y)));
+      const distance = Math.sqrt(inkDistance[y * width + x]);
+      if (distance <= tolerance) {
+        covered += 1;
+      }
+      maxOutlineDistance = Math.max(maxOutlineDistance, distance);
+    });
+
+    return {
+      tolerance,
+      inkPixels,
+      coverage: covered / samples.length,
+      meanDeviation: deviationSum / inkPixels,
+      maxDeviation,
+      hausdorff: Math.max(maxDeviation, maxOutlineDistance),
+      offOutlinePixels,
+      offOutlineRatio: offOutlinePixels / inkPixels,
+    };
+  }
+
+  /**
+   * @param {object | null} score
+   */
+  showScore(score) {
+    if (!this.scoreElement) {
+      return;
+    }
+    if (!score) {
+      this.scoreElement.classList.add("hidden");
+      this.scoreElement.textContent = "";
+      return;
+    }
+    const px = (value) => (value === null ? "-" : `${value.toFixed(1)} px`);
+    const rows = [
+      ["Outline coverage", `${(score.coverage * 100).toFixed(0)}%`],
+      ["Mean deviation", px(score.meanDeviation)],
+      ["Max deviation", px(score.maxDeviation)],
+      ["Hausdorff distance", px(score.hausdorff)],
+      ["Ink off the outline", `${(score.offOutlineRatio * 100).toFixed(0)}%`],
+    ];
+    this.scoreElement.replaceChildren(
+      ...rows.map(([label, value]) => {
+        const row = document.createElement("div");
+        row.textContent = `${label}: ${value}`;
+        return row;
+      }),
+    );
+    this.scoreElement.classList.remove("hidden");
+  }
+}
+
+/**
+ * @typedef {object} Snapshot
+ * @property {number} takenAt
+ * @property {string} image - PNG data URL of the drawing over the template
+ * @property {object} drawing - From DrawingExporter.buildDocument
+ */
+
+/**
+ * Keeps the drawing as it was at pens away, so a clear or reset afterwards
+ * does not lose it.
+ */
+class PensAwaySnapshots {
+  /**
+   * @param {DrawingExporter} drawingExporter
+   * @param {CountdownController} countdownController
+   * @param {CanvasDrawing} drawingCanvas
+   */
+  constructor(drawingExporter, countdownController, drawingCanvas) {
+    this.drawingExporter = drawingExporter;
+    this.drawingCanvas = drawingCanvas;
+    // Earlier snapshots are in the gallery, so only the newest is kept here
+    /** @type {Snapshot | null} */
+    this.latest = null;
+    this.listeners = [];
+    this.preview = document.getElementById("pens-away-snapshot");
+    this.downloadButton = document.getElementById("snapshotBtn");
+    countdownController.onEvent((event) => {
+      if (event === "timeUp" && !isReplaying()) {
+        this.take();
+      }
+    });
+    if (this.downloadButton) {
+      this.downloadButton.addEventListener("click", () => {
+        if (this.latest) {
+          this.download(this.latest);
+        }
+      });
+    }
+  }
+
+  /**
+   * @param {(snapshot: Snapshot) => void} listener
+   */
+  onTake(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * @returns {Snapshot}
+   */
+  take() {
+    const snapshot = {
+      takenAt: Date.now(),
+      image: this.drawingExporter.renderComposite(true).toDataURL("image/png"),
+      drawing: this.drawingExporter.buildDocument(),
+    };
+    this.latest = snapshot;
+    if (this.preview) {
+      this.preview.src = snapshot.image;
+      this.preview.classList.remove("hidden");
+    }
+    if (this.downloadButton) {
+      this.downloadButton.disabled = false;
+    }
+    this.listeners.forEach((listener) => listener(snapshot));
+    return snapshot;
+  }
+
+  /**
+   * @param {Snapshot} snapshot
+   */
+  async download(snapshot) {
+    const stamp = new Date(snapshot.takenAt)
+      .toISOString()
+      .replace(/[:.]/g, "-");
+    const name = `mindink-snapshot-${snapshot.drawing.template}-${stamp}`;
+    const json = new Blob([JSON.stringify(snapshot.drawing, null, 2)], {
+      type: "application/json",
+    });
+    downloadBlob(json, `${name}.json`);
+    await downloadDataURL(snapshot.image, `${name}.png`);
+    this.drawingCanvas.updateStatus("Snapshot downloaded");
+  }
+}
+
+/**
+ * @typedef {object} SavedDrawing
+ * @property {number} [id] - Set by the store
+ * @property {"autosave" | "pensAway"} kind
+ * @property {string} participant
+ * @property {string} template
+ * @property {number} savedAt
+ * @property {number | null} duration - ms from the first stroke to the last
+ * @property {string} thumbnail - PNG data URL, THUMBNAIL_WIDTH wide
+ * @property {string} image - PNG data URL at full size
+ * @property {object} drawing - From DrawingExporter.buildDocument
+ */
+
+class DrawingStore {
+  constructor() {
+    this.database = null;
+  }
+
+  /**
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this.database) {
+      this.database = new Promise((resolve, reject) => {
+        let blocked = false;
+        const request = indexedDB.open(GALLERY_DB_NAME, GALLERY_DB_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(GALLERY_STORE, {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+        };
+        request.onsuccess = () => {
+          // Opened after all, but the caller has already given up on it
+          if (blocked) {
+            request.result.close();
+          } else {
+            resolve(request.result);
+          }
+        };
+        request.onerror = () => reject(request.error);
+        // Another tab has an older version open, which may never close
+        request.onblocked = () => {
+          blocked = true;
+          reject(new Error("The gallery is open in another tab"));
+        };
+      }).catch((e) => {
+        // Try again next time rather than keep the failure
+        this.database = null;
+        throw e;
+      });
+    }
+    return this.database;
+  }
+
+  /**
+   * @param {IDBTransactionMode} mode
+   * @returns {Promise<IDBObjectStore>}
+   */
+  async objectStore(mode) {
+    const database = await this.open();
+    return database.transaction(GALLERY_STORE, mode).objectStore(GALLERY_STORE);
+  }
+
+  /**
+   * @param {SavedDrawing} record - Replaces the stored one if it has an id
+   * @returns {Promise<number>} The record's id
+   */
+  async put(record) {
+    return requestResult((await this.objectStore("readwrite")).put(record));
+  }
+
+  /**
+   * @returns {Promise<SavedDrawing[]>} Oldest first
+   */
+  async list() {
+    return requestResult((await this.objectStore("readonly")).getAll());
+  }
+
+  /**
+   * @param {number} id
+   */
+  async delete(id) {
+    return requestResult((await this.objectStore("readwrite")).delete(id));
+  }
+}
+
+/**
+ * Autosaves the drawing and lists what has been saved. An autosave follows
+ * one attempt; clearing the canvas starts the next one. Only the attempt in
+ * progress comes back after a reload.
+ */
+class DrawingGallery {
+  /**
+   * @param {DrawingStore} store
+   * @param {CanvasDrawing} drawingCanvas
+   * @param {DrawingExporter} drawingExporter
+   * @param {PensAwaySnapshots} snapshots
+   * @param {ParticipantStore} participants
+   */
+  constructor(store, drawingCanvas, drawingExporter, snapshots, participants) {
+    this.store = store;
+    this.drawingCanvas = drawingCanvas;
+    this.drawingExporter = drawingExporter;
+    this.participants = participants;
+    this.overlay = document.getElementById("gallery-overlay");
+    this.list = document.getElementById("gallery-list");
+    this.autosaveId = null;
+    this.savedRevision = drawingCanvas.revision;
+    // The autosave in progress, so the next waits for its id
+    this.autosaving = Promise.resolve();
+    snapshots.onTake((snapshot) => {
+      this.save({ ...this.buildRecord("pensAway"), image: snapshot.image });
+      // Pens away finishes the attempt, as at the end of a study trial
+      this.setAutosaveId(null);
+      this.savedRevision = this.drawingCanvas.revision;
+    });
+    this.setupEventListeners();
+    setInterval(() => this.autosave(), AUTOSAVE_INTERVAL);
+    window.addEventListener("pagehide", () => this.autosave());
+    this.restoreAutosave();
+  }
+
+  setupEventListeners() {
+    const open = document.getElementById("galleryBtn");
+    if (open) {
+      open.addEventListener("click", () => this.show());
+    }
+    document
+      .getElementById("gallery-close")
+      .addEventListener("click", () => this.hide());
+  }
+
+  /**
+   * Point at the record holding the attempt in progress, or at none once
+   * it is finished, so a reload brings back only unfinished work.
+   * @param {number | null} id
+   */
+  setAutosaveId(id) {
+    this.autosaveId = id;
+    this.participants.save("autosave_id", id);
+  }
+
+  /**
+   * @param {"autosave" | "pensAway"} kind
+   * @returns {SavedDrawing}
+   */
+  buildRecord(kind) {
+    const drawing = this.drawingExporter.buildDocument();
+    const image = this.drawingExporter.renderComposite(true);
+    const thumbnail = document.createElement("canvas");
+    thumbnail.width = THUMBNAIL_WIDTH;
+    thumbnail.height = Math.round(
+      (THUMBNAIL_WIDTH * image.height) / Math.max(image.width, 1),
+    );
+    thumbnail
+      .getContext("2d")
+      .drawImage(image, 0, 0, thumbnail.width, thumbnail.height);
+    return {
+      kind,
+      participant: this.participants.id,
+      template: drawing.template,
+      savedAt: Date.now(),
+      duration:
+        drawing.startedAt === null ? null : drawing.endedAt - drawing.startedAt,
+      thumbnail: thumbnail.toDataURL("image/png"),
+      image: image.toDataURL("image/png"),
+      drawing,
+    };
+  }
+
+  /**
+   * @param {SavedDrawing} record
+   * @returns {Promise<number | null>} The id, or null if it could not be saved
+   */
+  async save(record) {
+    try {
+      const id = await this.store.put(record);
+      if (this.isOpen) {
+        this.render();
+      }
+      return id;
+    } catch (e) {
+      console.error("Failed to save drawing:", e);
+      return null;
+    }
+  }
+
+  /**
+   * Runs from a timer and on pagehide, so the calls are queued: one that
+   * overlapped the first save would not have its id yet and add a record.
+   * @returns {Promise<void>}
+   */
+  autosave() {
+    this.autosaving = this.autosaving
+      .then(() => this.saveAutosave())
+      .catch((e) => console.error("Failed to autosave:", e));
+    return this.autosaving;
+  }
+
+  async saveAutosave() {
+    // A replayed drawing is not new work, and the attempt it set aside
+    // comes back when the replay ends
+    if (isReplaying()) {
+      return;
+    }
+    const { revision } = this.drawingCanvas;
+    if (revision === this.savedRevision) {
+      return;
+    }
+    this.savedRevision = revision;
+    if (this.drawingCanvas.strokes.length === 0) {
+      this.setAutosaveId(null);
+      return;
+    }
+    const record = this.buildRecord("autosave");
+    if (this.autosaveId !== null) {
+      record.id = this.autosaveId;
+    }
+    this.setAutosaveId(await this.save(record));
+  }
+
+  /**
+   * Bring back the participant's attempt in progress after a reload.
+   */
+  async restoreAutosave() {
+    const id = this.participants.load("autosave_id", null);
+    if (id === null) {
+      return;
+    }
+    try {
+      const records = await this.store.list();
+      const latest = records.find(
+        (record) => record.id === id && record.kind === "autosave",
+      );
+      if (!latest || this.drawingCanvas.strokes.length > 0) {
+        return;
+      }
+      this.drawingExporter.loadDocument(latest.drawing);
+      this.autosaveId = latest.id;
+      this.savedRevision = this.drawingCanvas.revision;
+      this.drawingCanvas.updateStatus("Restored the autosaved drawing");
+    } catch (e) {
+      console.error("Failed to restore autosave:", e);
+    }
+  }
+
+  get isOpen() {
+    return !this.overlay.classList.contains("hidden");
+  }
+
+  show() {
+    this.overlay.classList.remove("hidden");
+    this.render();
+  }
+
+  hide() {
+    this.overlay.classList.add("hidden");
+  }
+
+  async render() {
+    let records;
+    try {
+      records = await this.store.list();
+    } catch (e) {
+      console.error("Failed to list drawings:", e);
+      this.list.textContent = "Saved drawings are not available here.";
+      return;
+    }
+    if (records.length === 0) {
+      this.list.textContent = "Nothing saved yet.";
+      return;
+    }
+    this.list.replaceChildren(
+      ...records.reverse().map((record) => this.renderCard(record)),
+    );
+  }
+
+  /**
+   * @param {SavedDrawing} record
+   * @returns {HTMLElement}
+   */
+  renderCard(record) {
+    const card = document.createElement("div");
+    card.className = "gallery-card";
+    const image = document.createElement("img");
+    image.src = record.thumbnail;
+    image.alt = `${record.template} drawing`;
+
+    const details = document.createElement("div");
+    details.className = "gallery-details";
+    const duration =
+      record.duration === null
+        ? "-"
+        : `${Math.round(record.duration / 1000)} s`;
+    [
+      `${record.template} - ${
+        record.kind === "pensAway" ? "pens away" : "autosave"
+      }`,
+      `Participant: ${record.participant}`,
+      new Date(record.savedAt).toLocaleString(),
+      `Duration: ${duration}`,
+    ].forEach((text) => {
+      const line = document.createElement("div");
+      line.textContent = text;
+      details.append(line);
+    });
+
+    const actions = document.createElement("div");
+    actions.className = "inline-row";
+    actions.append(
+      this.createButton("Open", "secondary-btn", () => this.reopen(record)),
+      this.createButton("Export", "secondary-btn", () => this.export(record)),
+      this.createButton("Delete", "clear-btn", () => this.remove(record)),
+    );
+    card.append(image, details, actions);
+    return card;
+  }
+
+  /**
+   * @param {string} text
+   * @param {string} className
+   * @param {() => void} onClick
+   * @returns {HTMLButtonElement}
+   */
+  createButton(text, className, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = className;
+    button.textContent = text;
+    button.addEventListener("click", onClick);
+    return button;
+  }
+
+  /**
+   * Replace the canvas with a saved drawing, as one undoable step. Saving
+   * it again starts a new record rather than changing the old one.
+   * @param {SavedDrawing} record
+   */
+  reopen(record) {
+    if (isReplaying()) {
+      return;
+    }
+    try {
+      this.drawingExporter.loadDocument(record.drawing);
+    } catch (e) {
+      console.error("Failed to reopen drawing:", e);
+      this.drawingCanvas.updateStatus("Could not open the saved drawing");
+      return;
+    }
+    this.setAutosaveId(null);
+    this.savedRevision = this.drawingCanvas.revision;
+    this.hide();
+  }
+
+  /**
+   * @param {SavedDrawing} record
+   */
+  async export(record) {
+    const stamp = new Date(record.savedAt).toISOString().replace(/[:.]/g, "-");
+    const name = `mindink-${record.template}-${stamp}`;
+    const json = new Blob([JSON.stringify(record.drawing, null, 2)], {
+      type: "application/json",
+    });
+    downloadBlob(json, `${name}.json`);
+    await downloadDataURL(record.image, `${name}.png`);
+  }
+
+  /**
+   * @param {SavedDrawing} record
+   */
+  async remove(record) {
+    if (!confirm("Delete this drawing?")) {
+      return;
+    }
+    try {
+      await this.store.delete(record.id);
+      if (record.id === this.autosaveId) {
+        this.setAutosaveId(null);
+      }
+      this.render();
+    } catch (e) {
+      console.error("Failed to delete drawing:", e);
+    }
+  }
+}
+
+/**
+ * @param {object} shape - From TemplateManager.getOutlineShape
+ * @param {number} x
+ * @param {number} y
+ * @returns {number}
+ */
+function distanceToShape(shape, x, y) {
+  if (shape.kind === "circle") {
+    return Math.abs(Math.hypot(x - shape.cx, y - shape.cy) - shape.radius);
+  }
+  let best = Infinity;
+  const { points } = shape;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    best = Math.min(best, distanceToSegment(x, y, a, b));
+  }
+  return best;
+}
+
+/**
+ * @param {number} x
+ * @param {number} y
+ * @param {{x: number, y: number}} a
+ * @param {{x: number, y: number}} b
+ * @returns {number}
+ */
+function distanceToSegment(x, y, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  let t =
+    lengthSquared > 0 ? ((x - a.x) * dx + (y - a.y) * dy) / lengthSquared : 0;
+  t = Math.max(0, Math.min(1, t));
+  return Math.hypot(x - (a.x + t * dx), y - (a.y + t * dy));
+}
+
+/**
+ * Points along a shape's outline, roughly `spacing` pixels apart.
+ * @param {object} shape
+ * @param {number} spacing
+ * @returns {{x: number, y: number}[]}
+ */
+function sampleShape(shape, spacing) {
+  const samples = [];
+  if (shape.kind === "circle") {
+    const circumference = 2 * Math.PI * shape.radius;
+    const count = Math.max(8, Math.ceil(circumference / spacing));
+    for (let i = 0; i < count; i++) {
+      const angle = (i / count) * 2 * Math.PI;
+      samples.push({
+        x: shape.cx + Math.cos(angle) * shape.radius,
+        y: shape.cy + Math.sin(angle) * shape.radius,
+      });
+    }
+    return samples;
+  }
+  const { points } = shape;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    const count = Math.max(1, Math.ceil(length / spacing));
+    for (let j = 0; j < count; j++) {
+      samples.push({
+        x: a.x + ((b.x - a.x) * j) / count,
+        y: a.y + ((b.y - a.y) * j) / count,
+      });
+    }
+  }
+  return samples;
+}
+
+/**
+ * @typedef {object} RecognizedShape
+ * @property {"line" | "circle" | "ellipse" | "rectangle" | "triangle" | "polygon"} kind
+ * @property {{x: number, y: number}[]} points - The clean outline; closed
+ *   shapes end where they start
+ */
+
+/**
+ * Whether a stroke is close enough to a simple shape to be redrawn as one.
+ * @param {{x: number, y: number}[]} points
+ * @returns {RecognizedShape | null}
+ */
+function recognizeShape(points) {
+  const xs = points.map((point) => point.x);
+  const ys = points.map((point) => point.y);
+  const size = Math.hypot(
+    Math.max(...xs) - Math.min(...xs),
+    Math.max(...ys) - Math.min(...ys),
+  );
+  if (points.length < 2 || size < SHAPE_MIN_SIZE) {
+    return null;
+  }
+  const path = resamplePath(points, SHAPE_SAMPLES);
+  const first = path[0];
+  const last = path[path.length - 1];
+  const tolerance = SHAPE_FIT_TOLERANCE * size;
+
+  const gap = Math.hypot(last.x - first.x, last.y - first.y);
+  if (gap > SHAPE_CLOSED_GAP * size) {
+    const error = meanDistance(path, { kind: "line", points: [first, last] });
+    return error <= tolerance
+      ? { kind: "line", points: straighten([first, last]) }
+      : null;
+  }
+  // The ends of a closed stroke meet in the middle
+  const loop = path.slice(0, -1);
+  const fits = [
+    fitEllipse(loop),
+    fitPolygon(loop, SHAPE_CORNER_TOLERANCE * size),
+  ].filter((fit) => fit && fit.error <= tolerance);
+  if (fits.length === 0) {
+    return null;
+  }
+  const { kind, outline } = fits.reduce((best, fit) =>
+    fit.error < best.error ? fit : best,
+  );
+  return { kind, points: [...outline, outline[0]] };
+}
+
+/**
+ * @param {{x: number, y: number}[]} points
+ * @param {number} count
+ * @returns {{x: number, y: number}[]} Points evenly spaced along the path,
+ *   so every part of it counts the same in a fit
+ */
+function resamplePath(points, count) {
+  const lengths = [0];
+  for (let i = 1; i < points.length; i++) {
+    const { x, y } = points[i];
+    const previous = points[i - 1];
+    lengths.push(lengths[i - 1] + Math.hypot(x - previous.x, y - previous.y));
+  }
+  const total = lengths[lengths.length - 1];
+  const resampled = [];
+  let segment = 1;
+  for (let i = 0; i < count; i++) {
+    const distance = (total * i) / (count - 1);
+    while (segment < points.length - 1 && lengths[segment] < distance) {
+      segment += 1;
+    }
+    const from = points[segment - 1];
+    const to = points[segment];
+    const span = lengths[segment] - lengths[segment - 1];
+    const along = span > 0 ? (distance - lengths[segment - 1]) / span : 0;
+    resampled.push({
+      x: from.x + (to.x - from.x) * along,
+      y: from.y + (to.y - from.y) * along,
+    });
+  }
+  return resampled;
+}
+
+/**
+ * @param {{x: number, y: number}[]} points
+ * @param {object} shape - A line, or a shape as for distanceToShape
+ * @returns {number}
+ */
+function meanDistance(points, shape) {
+  const distance =
+    shape.kind === "line"
+      ? ({ x, y }) => distanceToSegment(x, y, ...shape.points)
+      : ({ x, y }) => distanceToShape(shape, x, y);
+  return (
+    points.reduce((sum, point) => sum + distance(point), 0) / points.length
+  );
+}
+
+/**
+ * Turn a line, or a rectangle's edges, to the nearest axis when within
+ * SHAPE_SQUARE_SLACK of it.
+ * @param {{x: number, y: number}[]} points
+ * @param {number} [angle] - Radians to measure from, by default the first
+ *   edge's
+ * @returns {{x: number, y: number}[]}
+ */
+function straighten(points, angle) {
+  const [a, b] = points;
+  const direction = angle ?? Math.atan2(b.y - a.y, b.x - a.x);
+  const quarter = Math.PI / 2;
+  const offset = direction - Math.round(direction / quarter) * quarter;
+  if (Math.abs(offset) > (SHAPE_SQUARE_SLACK * Math.PI) / 180) {
+    return points;
+  }
+  const cx = points.reduce((sum, { x }) => sum + x, 0) / points.length;
+  const cy = points.reduce((sum, { y }) => sum + y, 0) / points.length;
+  const cos = Math.cos(-offset);
+  const sin = Math.sin(-offset);
+  return points.map(({ x, y }) => ({
+    x: cx + (x - cx) * cos - (y - cy) * sin,
+    y: cy + (x - cx) * sin + (y - cy) * cos,
+  }));
+}
+
+/**
+ * The ellipse with the same centre, spread and tilt as a closed path, or a
+ * circle when it is round enough.
+ * @param {{x: number, y: number}[]} loop
+ * @returns {{kind: string, outline: {x: number, y: number}[], error: number}}
+ */
+function fitEllipse(loop) {
+  const n = loop.length;
+  const cx = loop.reduce((sum, { x }) => sum + x, 0) / n;
+  const cy = loop.reduce((sum, { y }) => sum + y, 0) / n;
+  let sxx = 0;
+  let syy = 0;
+  let sxy = 0;
+  loop.forEach(({ x, y }) => {
+    sxx += (x - cx) * (x - cx);
+    syy += (y - cy) * (y - cy);
+    sxy += (x - cx) * (y - cy);
+  });
+  const tilt = 0.5 * Math.atan2(2 * sxy, sxx - syy);
+  const cos = Math.cos(tilt);
+  const sin = Math.sin(tilt);
+  const local = loop.map(({ x, y }) => ({
+    u: (x - cx) * cos + (y - cy) * sin,
+    v: -(x - cx) * sin + (y - cy) * cos,
+  }));
+  // An evenly traced ellipse has a mean square of half an axis squared
+  const axis = (key) =>
+    Math.sqrt((2 * local.reduce((sum, p) => sum + p[key] * p[key], 0)) / n);
+  let a = axis("u");
+  let b = axis("v");
+  const kind = Math.min(a, b) / Math.max(a, b) >= SHAPE_CIRCLE_RATIO
+    ? "circle"
+    : "ellipse";
+  if (kind === "circle") {
+    a = (a + b) / 2;
+    b = a;
+  }
+  // Distance along the ray from the centre, close to the true distance
+  const error =
+    local.reduce((sum, { u, v }) => {
+      const radius = Math.hypot(u, v);
+      const scale = Math.hypot(u / a, v / b);
+      return sum + (scale > 0 ? Math.abs(radius - radius / scale) : a);
+    }, 0) / n;
+  const outline = [];
+  for (let i = 0; i < SHAPE_SAMPLES; i++) {
+    const angle = (i / SHAPE_SAMPLES) * 2 * Math.PI;
+    const u = a * Math.cos(angle);
+    const v = b * Math.sin(angle);
+    outline.push({ x: cx + u * cos - v * sin, y: cy + u * sin + v * cos });
+  }
+  return { kind, outline, error };
+}
+
+/**
+ * The corners of a closed path, as a triangle, rectangle or polygon.
+ * @param {{x: number, y: number}[]} loop
+ * @param {number} cornerTolerance - Pixels
+ * @returns {{kind: string, outline: {x: number, y: number}[], error: number} | null}
+ */
+function fitPolygon(loop, cornerTolerance) {
+  // Split where the path is furthest from its start, so each half is open
+  const start = loop[0];
+  let far = 0;
+  loop.forEach(({ x, y }, i) => {
+    const distance = Math.hypot(x - start.x, y - start.y);
+    if (distance > Math.hypot(loop[far].x - start.x, loop[far].y - start.y)) {
+      far = i;
+    }
+  });
+  const corners = [
+    ...simplifyPath(loop.slice(0, far + 1), cornerTolerance).slice(0, -1),
+    ...simplifyPath([...loop.slice(far), start], cornerTolerance).slice(0, -1),
+  ];
+  // The start is rarely a corner; drop it and any others on a straight edge
+  for (let i = 0; i < corners.length && corners.length > 3; ) {
+    const before = corners[(i + corners.length - 1) % corners.length];
+    const after = corners[(i + 1) % corners.length];
+    const { x, y } = corners[i];
+    if (distanceToSegment(x, y, before, after) <= cornerTolerance) {
+      corners.splice(i, 1);
+    } else {
+      i += 1;
+    }
+  }
+  if (corners.length < 3 || corners.length > SHAPE_MAX_CORNERS) {
+    return null;
+  }
+
+  let kind = corners.length === 3 ? "triangle" : "polygon";
+  let outline = corners;
+  if (corners.length === 4 && isSquareCornered(corners)) {
+    kind = "rectangle";
+    outline = fitRectangle(corners);
+  }
+  const error = meanDistance(loop, { kind: "polygon", points: outline });
+  return { kind, outline, error };
+}
+
+/**
+ * @param {{x: number, y: number}[]} corners
+ * @returns {boolean}
+ */
+function isSquareCornered(corners) {
+  return corners.every((corner, i) => {
+    const before = corners[(i + corners.length - 1) % corners.length];
+    const after = corners[(i + 1) % corners.length];
+    const angle = Math.abs(
+      Math.atan2(before.y - corner.y, before.x - corner.x) -
+        Math.atan2(after.y - corner.y, after.x - corner.x),
+    );
+    const degrees = ((angle * 180) / Math.PI) % 180;
+    return Math.abs(degrees - 90) <= SHAPE_SQUARE_SLACK;
+  });
+}
+
+/**
+ * The rectangle along the longest edge of four corners, each side placed
+ * between the two corners on it.
+ * @param {{x: number, y: number}[]} corners
+ * @returns {{x: number, y: number}[]}
+ */
+function fitRectangle(corners) {
+  let tilt = 0;
+  let longest = 0;
+  corners.forEach((a, i) => {
+    const b = corners[(i + 1) % corners.length];
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    if (length > longest) {
+      longest = length;
+      tilt = Math.atan2(b.y - a.y, b.x - a.x);
+    }
+  });
+  const cos = Math.cos(tilt);
+  const sin = Math.sin(tilt);
+  const us = corners.map(({ x, y }) => x * cos + y * sin).sort((p, q) => p - q);
+  const vs = corners
+    .map(({ x, y }) => -x * sin + y * cos)
+    .sort((p, q) => p - q);
+  const [u0, u1] = [(us[0] + us[1]) / 2, (us[2] + us[3]) / 2];
+  const [v0, v1] = [(vs[0] + vs[1]) / 2, (vs[2] + vs[3]) / 2];
+  const rectangle = [
+    [u0, v0],
+    [u1, v0],
+    [u1, v1],
+    [u0, v1],
+  ].map(([u, v]) => ({ x: u * cos - v * sin, y: u * sin + v * cos }));
+  return straighten(rectangle, tilt);
+}
+
+/**
+ * Ramer-Douglas-Peucker: the fewest points that keep an open path within
+ * the tolerance.
+ * @param {{x: number, y: number}[]} points
+ * @param {number} tolerance - Pixels
+ * @returns {{x: number, y: number}[]}
+ */
+function simplifyPath(points, tolerance) {
+  const first = points[0];
+  const last = points[points.length - 1];
+  let furthest = 0;
+  let index = 0;
+  for (let i = 1; i < points.length - 1; i++) {
+    const { x, y } = points[i];
+    const distance = distanceToSegment(x, y, first, last);
+    if (distance > furthest) {
+      furthest = distance;
+      index = i;
+    }
+  }
+  if (furthest <= tolerance) {
+    return points.length > 1 ? [first, last] : [first];
+  }
+  return [
+    ...simplifyPath(points.slice(0, index + 1), tolerance).slice(0, -1),
+    ...simplifyPath(points.slice(index), tolerance),
+  ];
+}
+
+/**
+ * Squared distance from every pixel to the nearest set pixel of a mask
+ * (Felzenszwalb & Huttenlocher's separable transform).
+ * @param {Uint8Array} mask
+ * @param {number} width
+ * @param {number} height
+ * @returns {Float64Array}
+ */
+function squaredDistanceTransform(mask, width, height) {
+  const FAR = 1e20;
+  const result = new Float64Array(width * height);
+  for (let i = 0; i < mask.length; i++) {
+    result[i] = mask[i] ? 0 : FAR;
+  }
+
+  const size = Math.max(width, height);
+  const f = new Float64Array(size);
+  const d = new Float64Array(size);
+  const v = new Int32Array(size);
+  const z = new Float64Array(size + 1);
+
+  const transform1D = (n) => {
+    let k = 0;
+    v[0] = 0;
+    z[0] = -Infinity;
+    z[1] = Infinity;
+    for (let q = 1; q < n; q++) {
+      let s = (f[q] + q * q - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+      while (s <= z[k]) {
+        k -= 1;
+        s = (f[q] + q * q - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+      }
+      k += 1;
+      v[k] = q;
+      z[k] = s;
+      z[k + 1] = Infinity;
+    }
+    k = 0;
+    for (let q = 0; q < n; q++) {
+      while (z[k + 1] < q) {
+        k += 1;
+      }
+      d[q] = (q - v[k]) * (q - v[k]) + f[v[k]];
+    }
+  };
+
+  // Columns first, then rows over the column results
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < height; y++) {
+      f[y] = result[y * width + x];
+    }
+    transform1D(height);
+    for (let y = 0; y < height; y++) {
+      result[y * width + x] = d[y];
+    }
+  }
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      f[x] = result[y * width + x];
+    }
+    transform1D(width);
+    for (let x = 0; x < width; x++) {
+      result[y * width + x] = d[x];
+    }
+  }
+  return result;
+}
+
+class HeadCalibration {
+  /**
+   * @param {FaceTracker} faceTracker
+   * @param {ParticipantStore} participants
+   */
+  constructor(faceTracker, participants) {
+    this.faceTracker = faceTracker;
+    this.participants = participants;
+    this.overlay = document.getElementById("calibration-overlay");
+    this.instructionText = document.getElementById("calibration-instruction-text");
+    this.progressFill = document.getElementById("calibration-progress-fill");
+    this.timerElement = document.getElementById("calibration-timer");
+    this.statusText = document.getElementById("calibration-status-text");
+    this.startBtn = document.getElementById("start-calibration");
+    this.skipBtn = document.getElementById("skip-calibration");
+    
+    // Calibration elements
+    this.directionIndicators = document.getElementById("calibration-direction-indicators");
+    this.directionArrows = {
+      left: document.querySelector(".calibration-direction-arrow.left"),
+      right: document.querySelector(".calibration-direction-arrow.right"),
+      up: document.querySelector(".calibration-direction-arrow.up"),
+      down: document.querySelector(".calibration-direction-arrow.down")
+    };
+    
+    this.isCalibrating = false;
+    this.currentPhase = 'center';
+    this.phaseData = {
+      center: { samples: [], duration: 3000 },
+      left: { samples: [], duration: 2000 },
+      right: { samples: [], duration: 2000 },
+      up: { samples: [], duration: 2000 },
+      down: { samples: [], duration: 2000 }
+    };
+    
+    this.calibrationData = {
+      centerX: 0.5,
+      centerY: 0.5,
+      minX: 0.5,
+      maxX: 0.5,
+      minY: 0.5,
+      maxY: 0.5,
+      rangeX: 0,
+      rangeY: 0
+    };
+    
+    this.migrateSharedCalibration();
+    participants.onChange(() => this.loadCalibrationData());
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    if (this.startBtn) {
+      this.startBtn.addEventListener("click", () => this.startCalibration());
+    }
+    if (this.skipBtn) {
+      this.skipBtn.addEventListener("click", () => this.skipCalibration());
+    }
+  }
+
+  // No camera setup needed - we're tracking the cursor dot instead
+
+  show() {
+    if (isReplaying()) {
+      return;
+    }
+    if (this.overlay) {
+      this.overlay.classList.remove("hidden");
+      console.log("Calibration overlay shown");
+      
+      // Hide start buttons initially
+      const startButtons = document.querySelector('.calibration-start');
+      if (startButtons) {
+        startButtons.style.display = 'flex';
+      }
+      
+      // Ensure cursor is visible when calibration starts
+      setTimeout(() => {
+        if (this.faceTracker.drawingCanvas.cursor) {
+          this.faceTracker.drawingCanvas.cursor.style.display = "block";
+          this.faceTracker.drawingCanvas.cursor.style.zIndex = "9999";
+          console.log("Cursor made visible for calibration");
+        }
+      }, 100);
+    }
+  }
+
+  hide() {
+    if (this.overlay) {
+      this.overlay.classList.add("hidden");
+      console.log("Calibration overlay hidden");
+      
+      // Hide the canvas overlay
+      const canvasOverlay = document.getElementById("calibration-canvas-overlay");
+      if (canvasOverlay) {
+        canvasOverlay.style.display = "none";
+        console.log("Canvas overlay hidden");
+      }
+    }
+  }
+
+  startCalibration() {
+    this.isCalibrating = true;
+    this.currentPhase = 'left';
+    if (this.startBtn) this.startBtn.disabled = true;
+    if (this.skipBtn) this.skipBtn.disabled = true;
+    
+    // Hide start buttons
+    const startButtons = document.querySelector('.calibration-start');
+    if (startButtons) {
+      startButtons.style.display = 'none';
+    }
+    
+    // Show canvas overlay
+    const canvasOverlay = document.getElementById("calibration-canvas-overlay");
+    if (canvasOverlay) {
+      canvasOverlay.style.display = "flex";
+      console.log("Canvas overlay shown");
+    }
+    
+    // Reset all phase data
+    Object.keys(this.phaseData).forEach(phase => {
+      this.phaseData[phase].samples = [];
+    });
+    
+    // Hide direction indicators initially
+    if (this.directionIndicators) this.directionIndicators.classList.add('hidden');
+    
+    // Start with left movement
+    this.calibrateDirection('left');
+  }
+
+  skipCalibration() {
+    this.hide();
+    this.faceTracker.setScalingFactor(2.0);
+  }
+
+  // Removed calibrateCenter method - no longer needed
+
+  calibrateDirection(direction) {
+    this.currentPhase = direction;
+    if (this.directionIndicators) this.directionIndicators.classList.remove('hidden');
+    
+    // Ensure cursor remains visible during direction calibration
+    if (this.faceTracker.drawingCanvas.cursor) {
+      this.faceTracker.drawingCanvas.cursor.style.display = "block";
+      this.faceTracker.drawingCanvas.cursor.style.zIndex = "9999";
+    }
+    
+    // Show only the current direction arrow
+    Object.keys(this.directionArrows).forEach(key => {
+      if (this.directionArrows[key]) {
+        this.directionArrows[key].classList.remove('active');
+      }
+    });
+    if (this.directionArrows[direction]) {
+      this.directionArrows[direction].classList.add('active');
+    }
+    
+    const directionTexts = {
+      left: "Move your head as far LEFT as possible",
+      right: "Move your head as far RIGHT as possible", 
+      up: "Move your head as far UP as possible",
+      down: "Move your head as far DOWN as possible"
+    };
+    
+    if (this.instructionText) {
+      this.instructionText.textContent = directionTexts[direction];
+    }
+    
+    let samples = [];
+    
+    // Collect samples for 3 seconds
+    const directionInterval = setInterval(() => {
+      // Get current cursor position for calibration data
+      const cursor = this.faceTracker.drawingCanvas.cursor;
+      if (cursor && cursor.style.display !== "none") {
+        const rect = this.faceTracker.drawingCanvas.canvas.getBoundingClientRect();
+        const cursorX = parseFloat(cursor.style.left) + parseFloat(cursor.style.width) / 2;
+        const cursorY = parseFloat(cursor.style.top) + parseFloat(cursor.style.height) / 2;
+        
+        // Convert to normalized canvas coordinates
+        const canvasX = (cursorX - rect.left) / rect.width;
+        const canvasY = (cursorY - rect.top) / rect.height;
+        
+        samples.push({
+          x: canvasX,
+          y: canvasY
+        });
+      }
+    }, 100);
+    
+    // Stop collecting after 3 seconds
+    setTimeout(() => {
+      clearInterval(directionInterval);
+      this.phaseData[direction].samples = samples;
+      console.log(`${direction} calibration complete - samples: ${samples.length}`);
+      
+      // Wait 2 seconds before next direction
+      setTimeout(() => {
+        // Move to next direction or complete calibration
+        const directions = ['left', 'right', 'up', 'down'];
+        const currentIndex = directions.indexOf(direction);
+        
+        if (currentIndex < directions.length - 1) {
+          this.calibrateDirection(directions[currentIndex + 1]);
+        } else {
+          this.processCalibrationData();
+        }
+      }, 2000); // 2 second wait
+    }, 3000); // 3 seconds of data collection
+  }
+
+  processCalibrationData() {
+    // Hide direction indicators
+    if (this.directionIndicators) this.directionIndicators.classList.add('hidden');
+    
+    console.log(`Processing calibration data - analyzing each direction separately`);
+    
+    // Analyze each direction separately
+    const directions = ['left', 'right', 'up', 'down'];
+    const directionRanges = {};
+    const directionCenters = {};
+    
+    directions.forEach(direction => {
+      const samples = this.phaseData[direction].samples;
+      if (samples.length > 0) {
+        const values = direction === 'left' || direction === 'right' ? 
+          samples.map(s => s.x) : samples.map(s => s.y);
+        
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const range = max - min;
+        const center = (min + max) / 2;
+        
+        directionRanges[direction] = range;
+        directionCenters[direction] = center;
+        
+        console.log(`${direction} direction: range=${range.toFixed(3)}, center=${center.toFixed(3)}`);
+      }
+    });
+    
+    // Calculate adaptive scaling factors for each direction
+    const targetRange = 0.4; // Target 40% of canvas for full movement
+    const scalingFactors = {};
+    
+    directions.forEach(direction => {
+      const range = directionRanges[direction];
+      if (range > 0) {
+        // If user can reach close to full canvas (0.8+), keep sensitivity normal
+        // If user can't reach full canvas, increase sensitivity
+        if (range >= 0.8) {
+          scalingFactors[direction] = 1.0; // Perfect range, no adjustment needed
+        } else {
+          // Increase sensitivity based on how much they're missing
+          const missingRange = 0.8 - range;
+          const boostFactor = 1 + (missingRange * 2); // Boost up to 2x for very limited range
+          scalingFactors[direction] = Math.min(boostFactor, 3.0); // Cap at 3x boost
+        }
+      } else {
+        scalingFactors[direction] = 2.0; // Default if no data
+      }
+      
+      console.log(`${direction} scaling factor: ${scalingFactors[direction].toFixed(2)}`);
+    });
+    
+    // Calculate overall scaling factor (average of all directions)
+    const avgScalingFactor = Object.values(scalingFactors).reduce((sum, factor) => sum + factor, 0) / directions.length;
+    
+    // Store individual direction data for the face tracker
+    this.calibrationData.directionScaling = scalingFactors;
+    this.calibrationData.directionRanges = directionRanges;
+    this.calibrationData.directionCenters = directionCenters;
+    
+    // Calculate overall ranges for display
+    const allSamples = [];
+    Object.keys(this.phaseData).forEach(phase => {
+      if (phase !== 'center') {
+        allSamples.push(...this.phaseData[phase].samples);
+      }
+    });
+    
+    if (allSamples.length > 0) {
+      const xValues = allSamples.map(s => s.x);
+      const yValues = allSamples.map(s => s.y);
+      
+      this.calibrationData.minX = Math.min(...xValues);
+      this.calibrationData.maxX = Math.max(...xValues);
+      this.calibrationData.minY = Math.min(...yValues);
+      this.calibrationData.maxY = Math.max(...yValues);
+      
+      this.calibrationData.rangeX = this.calibrationData.maxX - this.calibrationData.minX;
+      this.calibrationData.rangeY = this.calibrationData.maxY - this.calibrationData.minY;
+      
+      this.calibrationData.centerX = (this.calibrationData.minX + this.calibrationData.maxX) / 2;
+      this.calibrationData.centerY = (this.calibrationData.minY + this.calibrationData.maxY) / 2;
+    }
+    
+    this.calibrationData.scalingFactor = avgScalingFactor;
+    
+    console.log(`Overall scaling factor: ${this.calibrationData.scalingFactor.toFixed(2)}`);
+    console.log(`Direction-specific scaling:`, scalingFactors);
+    
+    this.calibrationComplete();
+  }
+
+  calibrationComplete() {
+    // Show success state
+    if (this.statusText) {
+      this.statusText.textContent = `Calibration complete! Your movement range: ${(this.calibrationData.rangeX * 100).toFixed(1)}% x ${(this.calibrationData.rangeY * 100).toFixed(1)}%`;
+    }
+    if (this.instructionText) {
+      this.instructionText.textContent = `Optimal sensitivity set to ${this.calibrationData.scalingFactor.toFixed(1)}x. You can adjust this later with the arrow keys.`;
+    }
+    if (this.timerElement) this.timerElement.textContent = "✓";
+    if (this.progressFill) this.progressFill.style.width = "100%";
+    
+    // Apply calibration to face tracker
+    this.faceTracker.changeSensitivity(this.calibrationData.scalingFactor);
+    this.faceTracker.calibrationData = this.calibrationData;
+    
+    // Store calibration data
+    this.saveCalibrationData();
+    
+    setTimeout(() => {
+      this.hide();
+      this.isCalibrating = false;
+    }, 3000);
+  }
+
+  calibrationFailed() {
+    // Reset UI elements
+    if (this.directionIndicators) this.directionIndicators.classList.add('hidden');
+    
+    if (this.statusText) {
+      this.statusText.textContent = "Calibration failed. Using default settings.";
+    }
+    if (this.instructionText) {
+      this.instructionText.textContent = "You can adjust sensitivity later with the arrow keys.";
+    }
+    if (this.timerElement) this.timerElement.textContent = "!";
+    
+    setTimeout(() => {
+      this.hide();
+      this.isCalibrating = false;
+    }, 2000);
+  }
+
+  saveCalibrationData() {
+    this.participants.save("head_calibration", this.calibrationData);
+  }
+
+  /**
+   * @returns {object | null} The participant's calibration, if they have one
+   */
+  load() {
+    return this.participants.load("head_calibration", null);
+  }
+
+  /**
+   * The sensitivity is left to SettingsPanel, which starts from the
+   * calibrated one until the participant changes it.
+   * @returns {boolean} Whether the participant has a calibration
+   */
+  loadCalibrationData() {
+    const stored = this.load();
+    this.faceTracker.calibrationData = stored || undefined;
+    if (stored) {
+      this.calibrationData = stored;
+    }
+    return Boolean(stored);
+  }
+
+  /**
+   * Calibrations used to be shared by everyone. Keep one for the current
+   * participant rather than losing it.
+   */
+  migrateSharedCalibration() {
+    const shared = localStorage.getItem("headCalibration");
+    if (shared === null) {
+      return;
+    }
+    if (!this.load()) {
+      try {
+        this.participants.save("head_calibration", JSON.parse(shared));
+      } catch (e) {
+        console.error("Failed to migrate calibration data:", e);
+      }
+    }
+    localStorage.removeItem("headCalibration");
+  }
+}
+
+/**
+ * @typedef {object} GazeModel
+ * @property {number[]} x - Coefficients of gazeTerms for the canvas x, 0..1
+ * @property {number[]} y - Coefficients of gazeTerms for the canvas y, 0..1
+ */
+
+/**
+ * Where the irises sit within the eyes, averaged over both eyes. Measured
+ * along and across the line between the eye corners in eye widths, so it
+ * changes far less with head position than with where the person looks.
+ * @param {{x: number, y: number}[]} landmarks - Refined face mesh
+ * @returns {{u: number, v: number} | null} Null without iris landmarks
+ */
+function irisFeatures(landmarks) {
+  let u = 0;
+  let v = 0;
+  for (const eye of GAZE_EYES) {
+    const start = landmarks[eye.start];
+    const end = landmarks[eye.end];
+    const iris = landmarks[eye.iris];
+    if (!start || !end || !iris) {
+      return null;
+    }
+    const ax = end.x - start.x;
+    const ay = end.y - start.y;
+    const widthSquared = ax * ax + ay * ay;
+    if (widthSquared === 0) {
+      return null;
+    }
+    const dx = iris.x - (start.x + end.x) / 2;
+    const dy = iris.y - (start.y + end.y) / 2;
+    u += (dx * ax + dy * ay) / widthSquared;
+    v += (ax * dy - ay * dx) / widthSquared;
+  }
+  return { u: u / GAZE_EYES.length, v: v / GAZE_EYES.length };
+}
+
+/**
+ * Second-order polynomial terms of the iris features.
+ * @param {{u: number, v: number}} features
+ * @returns {number[]}
+ */
+function gazeTerms({ u, v }) {
+  return [1, u, v, u * v, u * u, v * v];
+}
+
+/**
+ * Least-squares fit from iris features to canvas position.
+ * @param {{u: number, v: number, x: number, y: number}[]} samples
+ * @returns {GazeModel | null} Null when the samples can't determine a fit
+ */
+function fitGazeModel(samples) {
+  const size = gazeTerms({ u: 0, v: 0 }).length;
+  if (samples.length < size) {
+    return null;
+  }
+  const normal = Array.from({ length: size }, () => new Array(size).fill(0));
+  const rhsX = new Array(size).fill(0);
+  const rhsY = new Array(size).fill(0);
+  for (const sample of samples) {
+    const terms = gazeTerms(sample);
+    for (let i = 0; i < size; i++) {
+      for (let j = 0; j < size; j++) {
+        normal[i][j] += terms[i] * terms[j];
+      }
+      rhsX[i] += terms[i] * sample.x;
+      rhsY[i] += terms[i] * sample.y;
+    }
+  }
+  const x = solveLinearSystem(normal, rhsX);
+  const y = solveLinearSystem(normal, rhsY);
+  return x && y ? { x, y } : null;
+}
+
+/**
+ * @param {GazeModel} model
+ * @param {{u: number, v: number}} features
+ * @returns {{x: number, y: number}} Canvas position, 0..1
+ */
+function predictGaze(model, features) {
+  const terms = gazeTerms(features);
+  const apply = (coefficients) =>
+    coefficients.reduce((sum, c, i) => sum + c * terms[i], 0);
+  return { x: apply(model.x), y: apply(model.y) };
+}
+
+/**
+ * Gaussian elimination with partial pivoting.
+ * @param {number[][]} matrix - Square; not modified
+ * @param {number[]} vector
+ * @returns {number[] | null} Null for a singular system
+ */
+function solveLinearSystem(matrix, vector) {
+  const n = vector.length;
+  const rows = matrix.map((row, i) => [...row, vector[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) {
+        pivot = row;
+      }
+    }
+    if (Math.abs(rows[pivot][col]) < 1e-12) {
+      return null;
+    }
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+    for (let row = col + 1; row < n; row++) {
+      const factor = rows[row][col] / rows[col][col];
+      for (let k = col; k <= n; k++) {
+        rows[row][k] -= factor * rows[col][k];
+      }
+    }
+  }
+  const solution = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = rows[row][n];
+    for (let k = row + 1; k < n; k++) {
+      sum -= rows[row][k] * solution[k];
+    }
+    solution[row] = sum / rows[row][row];
+  }
+  return solution;
+}
+
+/**
+ * @param {{x: number, y: number, z: number}} point - Face mesh landmark
+ * @returns {number[]} In proportion, since the camera image isn't square
+ */
+function landmarkVector(point) {
+  return [point.x, (point.y * CAMERA_HEIGHT) / CAMERA_WIDTH, point.z];
+}
+
+/**
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number[]}
+ */
+function crossProduct(a, b) {
+  return [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0],
+  ];
+}
+
+/**
+ * @param {number[]} vector
+ * @returns {number[]}
+ */
+function normalise(vector) {
+  const length = Math.hypot(...vector) || 1;
+  return vector.map((value) => value / length);
+}
+
+/**
+ * Head orientation from directions between face mesh landmarks, which
+ * stay the same when the head moves without turning.
+ * @param {{x: number, y: number, z: number}[]} landmarks
+ * @returns {{yaw: number, pitch: number, roll: number} | null} Degrees;
+ *   null without the landmarks
+ */
+function estimateHeadPose(landmarks) {
+  const points = {};
+  for (const [name, index] of Object.entries(HEAD_POSE_LANDMARKS)) {
+    if (!landmarks[index]) {
+      return null;
+    }
+    points[name] = landmarkVector(landmarks[index]);
+  }
+  const minus = (a, b) => a.map((value, i) => value - b[i]);
+  const plus = (a, b) => a.map((value, i) => value + b[i]);
+
+  // Across the face, image left to right, from the eyes and the mouth
+  const across = normalise(
+    plus(
+      minus(points.leftEyeOuter, points.rightEyeOuter),
+      minus(points.mouthLeft, points.mouthRight),
+    ),
+  );
+  // Up the face, chin to forehead
+  const up = normalise(minus(points.forehead, points.chin));
+  // Out of the face, from the plane of the face and from the nose
+  const outline = [
+    points.rightEyeOuter,
+    points.leftEyeOuter,
+    points.mouthRight,
+    points.mouthLeft,
+    points.forehead,
+    points.chin,
+  ];
+  const centroid = outline
+    .reduce(plus, [0, 0, 0])
+    .map((value) => value / outline.length);
+  const facing = normalise(
+    plus(
+      normalise(crossProduct(across, up)),
+      normalise(minus(points.noseTip, centroid)),
+    ),
+  );
+
+  const degrees = (radians) => (radians * 180) / Math.PI;
+  return {
+    // The camera looks along +z, so a face toward it points along -z
+    yaw: degrees(Math.atan2(facing[0], -facing[2])),
+    pitch: degrees(Math.atan2(-facing[1], Math.hypot(facing[0], facing[2]))),
+    roll: degrees(Math.atan2(across[1], across[0])),
+  };
+}
+
+class PointerSettings {
+  /**
+   * @param {FaceTracker} faceTracker
+   * @param {ParticipantStore} participants
+   * @param {CanvasDrawing} drawingCanvas
+   */
+  constructor(faceTracker, participants, drawingCanvas) {
+    this.faceTracker = faceTracker;
+    this.participants = participants;
+    this.drawingCanvas = drawingCanvas;
+    this.modeSelect = document.getElementById("pointerMode");
+    this.recentreButton = document.getElementById("recentreBtn");
+    participants.onChange(() => this.apply(this.load()));
+    this.setupEventListeners();
+    this.apply(this.load());
+  }
+
+  /**
+   * @returns {{mode: string, gazeModel: GazeModel | null}}
+   */
+  load() {
+    return {
+      mode: this.participants.load("pointer_mode", DEFAULT_POINTER_MODE),
+      gazeModel: this.participants.load("gaze_model", null),
+    };
+  }
+
+  /**
+   * @returns {{mode: string, gazeModel: GazeModel | null}}
+   */
+  get() {
+    return {
+      mode: this.faceTracker.pointerMode,
+      gazeModel: this.faceTracker.gazeModel,
+    };
+  }
+
+  /**
+   * Use the settings without saving them, e.g. for a replay.
+   * @param {{mode: string, gazeModel: GazeModel | null}} settings
+   */
+  apply({ mode, gazeModel }) {
+    this.faceTracker.gazeModel = gazeModel;
+    this.faceTracker.setPointerMode(mode);
+    this.updateControls();
+  }
+
+  /**
+   * Apply, save and record a change made in this window.
+   * @param {{mode: string, gazeModel: GazeModel | null}} settings
+   */
+  change(settings) {
+    this.apply(settings);
+    const { mode, gazeModel } = this.get();
+    this.participants.save("pointer_mode", mode);
+    this.participants.save("gaze_model", gazeModel);
+    if (window.sessionRecorder) {
+      window.sessionRecorder.record("pointer", { settings: this.get() });
+    }
+    this.drawingCanvas.updateStatus(`Pointer: ${POINTER_MODES[mode]}`);
+  }
+
+  updateControls() {
+    if (this.modeSelect) {
+      this.modeSelect.value = this.faceTracker.pointerMode;
+    }
+  }
+
+  recentre() {
+    if (isReplaying()) {
+      return;
+    }
+    this.faceTracker.recentreHeadPose();
+    if (window.sessionRecorder) {
+      window.sessionRecorder.record("recentre");
+    }
+    this.drawingCanvas.updateStatus("Head pose centred");
+  }
+
+  setupEventListeners() {
+    if (this.recentreButton) {
+      this.recentreButton.addEventListener("click", () => this.recentre());
+    }
+    if (!this.modeSelect) {
+      return;
+    }
+    this.modeSelect.addEventListener("change", () => {
+      const mode = this.modeSelect.value;
+      if (isReplaying()) {
+        this.updateControls();
+      } else if (mode === "gaze" && !this.faceTracker.gazeModel) {
+        // Gaze has no pointer until calibrated, which switches to it
+        this.updateControls();
+        window.gazeCalibration.show();
+      } else {
+        this.change({ ...this.get(), mode });
+      }
+    });
+  }
+}
+
+class GazeCalibration {
+  /**
+   * @param {FaceTracker} faceTracker
+   * @param {PointerSettings} pointerSettings
+   * @param {KeybindManager} keybindManager
+   */
+  constructor(faceTracker, pointerSettings, keybindManager) {
+    this.faceTracker = faceTracker;
+    this.pointerSettings = pointerSettings;
+    this.keybindManager = keybindManager;
+    this.overlay = document.getElementById("gaze-overlay");
+    this.panel = document.getElementById("gaze-panel");
+    this.target = document.getElementById("gaze-target");
+    this.message = document.getElementById("gaze-message");
+    this.gridSelect = document.getElementById("gaze-grid");
+    this.isRunning = false;
+    this.timers = [];
+    this.sampleInterval = null;
+    this.samples = [];
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    const open = document.getElementById("gazeCalibrationBtn");
+    if (open) {
+      open.addEventListener("click", () => this.show());
+    }
+    document
+      .getElementById("gaze-start")
+      .addEventListener("click", () => this.start());
+    document
+      .getElementById("gaze-cancel")
+      .addEventListener("click", () => this.hide());
+  }
+
+  show() {
+    this.message.textContent =
+      "Keep your head still and look at each dot until it moves on.";
+    this.panel.classList.remove("hidden");
+    this.target.classList.add("hidden");
+    this.overlay.classList.remove("hidden");
+  }
+
+  hide() {
+    this.stop();
+    this.overlay.classList.add("hidden");
+  }
+
+  stop() {
+    this.timers.forEach((id) => clearTimeout(id));
+    this.timers = [];
+    clearInterval(this.sampleInterval);
+    this.isRunning = false;
+    this.faceTracker.drawingCanvas.cursor.style.display = "";
+  }
+
+  /**
+   * @param {() => void} callback
+   * @param {number} delay
+   */
+  later(callback, delay) {
+    this.timers.push(setTimeout(callback, delay));
+  }
+
+  start() {
+    if (this.isRunning) {
+      return;
+    }
+    // A wandering cursor would pull the eyes off the dots
+    if (this.faceTracker.drawingCanvas.isDrawing) {
+      this.keybindManager.trigger("x");
+    }
+    this.faceTracker.drawingCanvas.cursor.style.display = "none";
+    this.isRunning = true;
+    this.samples = [];
+    this.panel.classList.add("hidden");
+    this.showTarget(this.gridTargets(Number(this.gridSelect.value)), 0);
+  }
+
+  /**
+   * @param {number} size - Targets along each side
+   * @returns {{x: number, y: number}[]} Canvas positions, 0..1
+   */
+  gridTargets(size) {
+    const span = 1 - 2 * GAZE_TARGET_MARGIN;
+    const targets = [];
+    for (let row = 0; row < size; row++) {
+      for (let col = 0; col < size; col++) {
+        targets.push({
+          x: GAZE_TARGET_MARGIN + (span * col) / (size - 1),
+          y: GAZE_TARGET_MARGIN + (span * row) / (size - 1),
+        });
+      }
+    }
+    return targets;
+  }
+
+  /**
+   * @param {{x: number, y: number}[]} targets
+   * @param {number} index
+   */
+  showTarget(targets, index) {
+    if (index >= targets.length) {
+      this.finish();
+      return;
+    }
+    const target = targets[index];
+    const { canvas } = this.faceTracker.drawingCanvas;
+    const { pageX, pageY } = this.faceTracker.drawingCanvas.toPagePoint(
+      target.x * canvas.width,
+      target.y * canvas.height,
+    );
+    this.target.style.left = `${pageX}px`;
+    this.target.style.top = `${pageY}px`;
+    this.target.classList.remove("sampling", "hidden");
+
+    this.later(() => {
+      this.target.classList.add("sampling");
+      let last = null;
+      this.sampleInterval = setInterval(() => {
+        // Only fresh frames; the tracker keeps the last one
+        const features = this.faceTracker.gazeFeatures;
+        if (features && features !== last) {
+          this.samples.push({ ...features, ...target });
+          last = features;
+        }
+      }, 1000 / 60);
+      this.later(() => {
+        clearInterval(this.sampleInterval);
+        this.showTarget(targets, index + 1);
+      }, GAZE_SAMPLE_TIME);
+    }, GAZE_SETTLE_TIME);
+  }
+
+  finish() {
+    this.stop();
+    this.target.classList.add("hidden");
+    this.panel.classList.remove("hidden");
+    const model = fitGazeModel(this.samples);
+    if (!model) {
+      this.message.textContent =
+        "Calibration failed - the camera could not see your eyes. Try again.";
+      return;
+    }
+    const error =
+      this.samples.reduce((sum, sample) => {
+        const { x, y } = predictGaze(model, sample);
+        return sum + Math.hypot(x - sample.x, y - sample.y);
+      }, 0) / this.samples.length;
+    this.pointerSettings.change({ mode: "gaze", gazeModel: model });
+    this.message.textContent = `Gaze calibrated - average error ${(
+      error * 100
+    ).toFixed(1)}% of the canvas.`;
+    this.later(() => this.hide(), 2000);
+  }
+}
+
+class FilterTuningPanel {
+  /**
+   * @param {FaceTracker} faceTracker
+   * @param {ParticipantStore} participants
+   * @param {CanvasDrawing} drawingCanvas
+   */
+  constructor(faceTracker, participants, drawingCanvas) {
+    this.faceTracker = faceTracker;
+    this.participants = participants;
+    this.drawingCanvas = drawingCanvas;
+    this.panel = document.getElementById("filter-panel");
+    this.rows = document.getElementById("filter-rows");
+    this.traceCanvas = document.getElementById("filter-trace");
+    this.traceCtx = this.traceCanvas.getContext("2d");
+    this.addSelect = document.getElementById("filter-add-type");
+    this.frameId = null;
+    participants.onChange(() => this.apply(this.load()));
+    this.setupEventListeners();
+    this.apply(this.load());
+  }
+
+  /**
+   * @returns {FilterStage[]}
+   */
+  load() {
+    return this.participants.load("filter_chain", DEFAULT_FILTER_CHAIN);
+  }
+
+  /**
+   * Use the stages without saving them, e.g. for a replay.
+   * @param {FilterStage[]} stages
+   */
+  apply(stages) {
+    this.faceTracker.setFilterChain(stages);
+    if (this.isOpen) {
+      this.renderRows();
+    }
+  }
+
+  /**
+   * Apply and record a change made in this window. Saving is separate, so
+   * a participant can try settings out first.
+   * @param {FilterStage[]} stages
+   */
+  change(stages) {
+    if (isReplaying()) {
+      this.renderRows();
+      return;
+    }
+    this.apply(stages);
+    if (window.sessionRecorder) {
+      window.sessionRecorder.record("filters", {
+        stages: this.faceTracker.filterChain.stages,
+      });
+    }
+  }
+
+  get isOpen() {
+    return !this.panel.classList.contains("hidden");
+  }
+
+  setupEventListeners() {
+    const open = document.getElementById("filtersBtn");
+    if (open) {
+      open.addEventListener("click", () => this.show());
+    }
+    this.addSelect.replaceChildren(
+      ...Object.entries(FILTER_STAGES).map(
+        ([type, stage]) => new Option(stage.name, type),
+      ),
+    );
+    document.getElementById("filter-add").addEventListener("click", () => {
+      const stages = this.currentStages();
+      stages.push({ type: this.addSelect.value, params: {} });
+      this.change(stages);
+    });
+    document.getElementById("filter-save").addEventListener("click", () => {
+      this.participants.save("filter_chain", this.currentStages());
+      this.drawingCanvas.updateStatus(
+        `Smoothing saved for ${this.participants.id}`,
+      );
+    });
+    document
+      .getElementById("filter-reset")
+      .addEventListener("click", () => this.change(DEFAULT_FILTER_CHAIN));
+    document
+      .getElementById("filter-close")
+      .addEventListener("click", () => this.hide());
+  }
+
+  /**
+   * @returns {FilterStage[]} A copy to edit
+   */
+  currentStages() {
+    return this.faceTracker.filterChain.stages.map((stage) => ({
+      type: stage.type,
+      params: { ...stage.params },
+    }));
+  }
+
+  show() {
+    this.panel.classList.remove("hidden");
+    this.renderRows();
+    const draw = () => {
+      this.drawTrace();
+      this.frameId = requestAnimationFrame(draw);
+    };
+    if (this.frameId === null) {
+      draw();
+    }
+  }
+
+  hide() {
+    this.panel.classList.add("hidden");
+    cancelAnimationFrame(this.frameId);
+    this.frameId = null;
+  }
+
+  renderRows() {
+    const stages = this.currentStages();
+    this.rows.replaceChildren(
+      ...stages.map((stage, index) => {
+        const definition = FILTER_STAGES[stage.type];
+        const row = document.createElement("tr");
+        const name = document.createElement("td");
+        name.textContent = definition.name;
+
+        const params = document.createElement("td");
+        for (const [key, param] of Object.entries(definition.params)) {
+          const label = document.createElement("label");
+          label.className = "filter-param";
+          const input = document.createElement("input");
+          input.type = "number";
+          input.step = String(param.step);
+          input.min = "0";
+          input.value = String(stage.params[key]);
+          input.addEventListener("change", () => {
+            const value = Number(input.value);
+            if (Number.isFinite(value) && value >= 0) {
+              stage.params[key] = value;
+              this.change(stages);
+            } else {
+              input.value = String(stage.params[key]);
+            }
+          });
+          label.append(param.label, input);
+          params.append(label);
+        }
+
+        const move = (offset) => {
+          const [moved] = stages.splice(index, 1);
+          stages.splice(index + offset, 0, moved);
+          this.change(stages);
+        };
+        const actions = document.createElement("td");
+        actions.className = "filter-actions";
+        actions.append(
+          this.createButton("↑", index === 0, () => move(-1)),
+          this.createButton("↓", index === stages.length - 1, () => move(1)),
+          this.createButton("✕", false, () => {
+            stages.splice(index, 1);
+            this.change(stages);
+          }),
+        );
+        row.append(name, params, actions);
+        return row;
+      }),
+    );
+  }
+
+  /**
+   * @param {string} text
+   * @param {boolean} disabled
+   * @param {() => void} onClick
+   * @returns {HTMLButtonElement}
+   */
+  createButton(text, disabled, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "secondary-btn";
+    button.textContent = text;
+    button.disabled = disabled;
+    button.addEventListener("click", onClick);
+    return button;
+  }
+
+  /**
+   * Plot x in the top half and y in the bottom half, raw and filtered.
+   */
+  drawTrace() {
+    const ctx = this.traceCtx;
+    const { width, height } = this.traceCanvas;
+    const { trace } = this.faceTracker;
+    ctx.clearRect(0, 0, width, height);
+    ctx.strokeStyle = "#e0e0e0";
+    ctx.beginPath();
+    ctx.moveTo(0, height / 2);
+    ctx.lineTo(width, height / 2);
+    ctx.stroke();
+
+    const plot = (pick, color, axis, top) => {
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      trace.forEach((sample, i) => {
+        const value = Math.min(Math.max(pick(sample)[axis], 0), 1);
+        const x = (i / (FILTER_TRACE_LENGTH - 1)) * width;
+        const y = top + value * (height / 2);
+        if (i === 0) {
+          ctx.moveTo(x, y);
+        } else {
+          ctx.lineTo(x, y);
+        }
+      });
+      ctx.stroke();
+    };
+    for (const [axis, top] of [["x", 0], ["y", height / 2]]) {
+      plot((sample) => sample.raw, "#9e9e9e", axis, top);
+      plot((sample) => sample.filtered, "#2196f3", axis, top);
+    }
+  }
+}
+
+/**
+ * @typedef {Object<string, number>} Settings - Values by SETTING_FIELDS key
+ */
+
+/**
+ * @returns {Settings}
+ */
+function settingDefaults() {
+  const settings = {};
+  for (const [key, field] of Object.entries(SETTING_FIELDS)) {
+    settings[key] = field.value;
+  }
+  return settings;
+}
+
+class SettingsPanel {
+  /**
+   * @param {FaceTracker} faceTracker
+   * @param {CanvasDrawing} drawingCanvas
+   * @param {HeadsetController} headsetController
+   * @param {CountdownController} countdownController
+   * @param {ParticipantStore} participants
+   * @param {HeadCalibration} headCalibration
+   */
+  constructor(
+    faceTracker,
+    drawingCanvas,
+    headsetController,
+    countdownController,
+    participants,
+    headCalibration,
+  ) {
+    this.faceTracker = faceTracker;
+    this.drawingCanvas = drawingCanvas;
+    this.headsetController = headsetController;
+    this.countdownController = countdownController;
+    this.participants = participants;
+    this.headCalibration = headCalibration;
+    this.overlay = document.getElementById("settings-overlay");
+    this.rows = document.getElementById("settings-rows");
+    this.participantLabel = document.getElementById("settings-participant");
+    this.profileInput = document.getElementById("profileFile");
+    participants.onChange(() => this.apply(this.load()));
+    // Sensitivity also changes from the keys, menu and calibration
+    faceTracker.onSensitivityChange((scalingFactor) => {
+      if (!isReplaying()) {
+        this.participants.save("settings", { ...this.load(), scalingFactor });
+      }
+    });
+    // And the brush size from the keys and menu
+    drawingCanvas.onBrushSizeChange((brushSize) => {
+      if (!isReplaying()) {
+        this.participants.save("settings", { ...this.load(), brushSize });
+      }
+    });
+    this.setupEventListeners();
+    this.apply(this.load());
+  }
+
+  /**
+   * Until it is changed, the sensitivity is the calibrated one.
+   * @returns {Settings}
+   */
+  load() {
+    const defaults = settingDefaults();
+    const calibration = this.headCalibration.load();
+    if (calibration && calibration.scalingFactor) {
+      defaults.scalingFactor = calibration.scalingFactor;
+    }
+    return { ...defaults, ...this.participants.load("settings", {}) };
+  }
+
+  /**
+   * @returns {Settings}
+   */
+  get() {
+    return {
+      scalingFactor: this.faceTracker.scalingFactor,
+      actionDelay: this.headsetController.actionDelay,
+      commandThreshold: this.headsetController.commandThreshold,
+      brushSize: this.drawingCanvas.brushSize,
+      eraserSize: this.drawingCanvas.eraserSize,
+      fillTolerance: this.drawingCanvas.fillTolerance,
+      timerSeconds: this.countdownController.totalSeconds,
+      firstWarningSeconds: this.countdownController.warnings[0],
+      finalWarningSeconds: this.countdownController.warnings[1],
+    };
+  }
+
+  /**
+   * Use the settings without saving them, e.g. for a replay.
+   * @param {Settings} settings
+   */
+  apply(settings) {
+    this.faceTracker.setScalingFactor(settings.scalingFactor);
+    this.headsetController.actionDelay = settings.actionDelay;
+    this.headsetController.commandThreshold = settings.commandThreshold;
+    this.drawingCanvas.applyBrush({ size: settings.brushSize });
+    this.drawingCanvas.eraserSize = settings.eraserSize;
+    this.drawingCanvas.fillTolerance = settings.fillTolerance;
+    this.countdownController.setTotalSeconds(settings.timerSeconds);
+    this.countdownController.setWarnings([
+      settings.firstWarningSeconds,
+      settings.finalWarningSeconds,
+    ]);
+    if (this.isOpen) {
+      this.renderRows();
+    }
+  }
+
+  /**
+   * Apply, save and record a change made in this window.
+   * @param {Settings} settings
+   */
+  change(settings) {
+    if (isReplaying()) {
+      return;
+    }
+    this.apply(settings);
+    this.participants.save("settings", this.get());
+    if (window.sessionRecorder) {
+      window.sessionRecorder.record("settings", { settings: this.get() });
+    }
+    this.drawingCanvas.updateStatus(
+      `Settings saved for ${this.participants.id}`,
+    );
+  }
+
+  get isOpen() {
+    return !this.overlay.classList.contains("hidden");
+  }
+
+  setupEventListeners() {
+    const open = document.getElementById("settingsBtn");
+    if (open) {
+      open.addEventListener("click", () => this.show());
+    }
+    document.getElementById("settings-save").addEventListener("click", () => {
+      this.change(this.readForm());
+      this.hide();
+    });
+    document
+      .getElementById("settings-reset")
+      .addEventListener("click", () => this.renderRows(settingDefaults()));
+    document
+      .getElementById("settings-close")
+      .addEventListener("click", () => this.hide());
+    document
+      .getElementById("settings-smoothing")
+      .addEventListener("click", () => {
+        this.hide();
+        window.filterTuning.show();
+      });
+    document
+      .getElementById("settings-calibration")
+      .addEventListener("click", () => {
+        this.hide();
+        this.headCalibration.show();
+      });
+    document
+      .getElementById("profile-export")
+      .addEventListener("click", () => this.exportProfile());
+    document
+      .getElementById("profile-import")
+      .addEventListener("click", () => this.profileInput.click());
+    this.profileInput.addEventListener("change", () => {
+      const file = this.profileInput.files[0];
+      if (file) {
+        this.importProfile(file);
+      }
+      this.profileInput.value = "";
+    });
+  }
+
+  show() {
+    this.participantLabel.textContent = this.participants.id;
+    this.overlay.classList.remove("hidden");
+    this.renderRows();
+  }
+
+  hide() {
+    this.overlay.classList.add("hidden");
+  }
+
+  /**
+   * @param {Settings} settings
+   */
+  renderRows(settings = this.get()) {
+    this.rows.replaceChildren(
+      ...Object.entries(SETTING_FIELDS).map(([key, field]) => {
+        const row = document.createElement("tr");
+        const label = document.createElement("td");
+        label.textContent = field.label;
+        const input = document.createElement("input");
+        input.type = "number";
+        input.name = key;
+        input.min = String(field.min);
+        input.max = String(field.max);
+        input.step = String(field.step);
+        input.value = String(settings[key]);
+        const cell = document.createElement("td");
+        cell.append(input);
+        row.append(label, cell);
+        return row;
+      }),
+    );
+  }
+
+  /**
+   * Out of range values are clamped and unreadable ones left as they are.
+   * @returns {Settings}
+   */
+  readForm() {
+    const settings = this.get();
+    this.rows.querySelectorAll("input").forEach((input) => {
+      const field = SETTING_FIELDS[input.name];
+      const value = Number(input.value);
+      if (input.value !== "" && Number.isFinite(value)) {
+        settings[input.name] = Math.min(Math.max(value, field.min), field.max);
+      }
+    });
+    return settings;
+  }
+
+  exportProfile() {
+    const profile = this.participants.exportProfile();
+    const blob = new Blob([JSON.stringify(profile, null, 2)], {
+      type: "application/json",
+    });
+    downloadBlob(blob, `mindink-profile-${profile.participant}.json`);
+    this.drawingCanvas.updateStatus(
+      `Profile exported for ${profile.participant}`,
+    );
+  }
+
+  /**
+   * @param {File} file
+   */
+  async importProfile(file) {
+    if (isReplaying()) {
+      return;
+    }
+    try {
+      this.participants.importProfile(JSON.parse(await file.text()));
+      this.participantLabel.textContent = this.participants.id;
+      this.drawingCanvas.updateStatus(
+        `Profile imported for ${this.participants.id}`,
+      );
+    } catch (e) {
+      console.error("Failed to import profile:", e);
+      this.drawingCanvas.updateStatus("Import failed - not a MindInk profile");
+    }
+  }
+}
+
+class CountdownController {
+  constructor() {
+    this.timerElement = document.getElementById("countdown-timer");
+    this.startButton = document.getElementById("countdown-start");
+    this.pauseButton = document.getElementById("countdown-pause");
+    this.pensAwayOverlay = document.getElementById("pens-away-overlay");
+    this.intervalId = null;
+    this.timeoutId = null;
+    // When the next tick is due, and the ms it was away when paused
+    this.nextTickAt = 0;
+    this.pausedTickMs = 0;
+    this.totalSeconds = SETTING_FIELDS.timerSeconds.value;
+    this.remainingSeconds = this.totalSeconds;
+    this.warnings = [
+      SETTING_FIELDS.firstWarningSeconds.value,
+      SETTING_FIELDS.finalWarningSeconds.value,
+    ];
+    this.isRunning = false;
+    this.isPaused = false;
+    this.isTimeUp = false;
+    this.audioContext = null;
+    // When set, ticks come from outside (a session replay) instead of a timer
+    this.externalClock = false;
+    this.listeners = [];
+    this.updateDisplay(this.remainingSeconds);
+    this.setupDismissListeners();
+  }
+
+  /**
+   * @param {(event: string, data: object) => void} listener
+   */
+  onEvent(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * @param {string} event
+   * @param {object} data
+   */
+  emit(event, data = {}) {
+    this.listeners.forEach((listener) => listener(event, data));
+  }
+
+  format(seconds) {
+    const mm = String(Math.floor(seconds / 60)).padStart(2, "0");
+    const ss = String(seconds % 60).padStart(2, "0");
+    return `${mm}:${ss}`;
+  }
+
+  updateDisplay(seconds) {
+    if (this.timerElement) {
+      this.timerElement.textContent = this.format(seconds);
+    }
+  }
+
+  updateControls() {
+    if (this.startButton) {
+      this.startButton.disabled = this.isRunning;
+    }
+    if (this.pauseButton) {
+      this.pauseButton.disabled = !this.isRunning;
+      this.pauseButton.textContent = this.isPaused ? "Resume" : "Pause";
+    }
+    if (this.timerElement) {
+      this.timerElement.classList.toggle("paused", this.isPaused);
+    }
+  }
+
+  start(totalSeconds = this.totalSeconds) {
+    if (this.isRunning) return;
+    this.isRunning = true;
+    this.isPaused = false;
+    this.isTimeUp = false;
+    this.remainingSeconds = totalSeconds;
+    this.updateDisplay(this.remainingSeconds);
+    this.clearWarning();
+    this.updateControls();
+    
+    // Hide any existing pens away overlay
+    this.hidePensAway();
+    this.emit("start", { totalSeconds });
+    this.startClock();
+  }
+
+  /**
+   * @param {number} delay - ms to the first tick, less than a second when
+   *   resuming partway through one
+   */
+  startClock(delay = 1000) {
+    if (this.externalClock) {
+      return;
+    }
+    const clockTick = () => {
+      this.nextTickAt = performance.now() + 1000;
+      this.tick();
+    };
+    this.nextTickAt = performance.now() + delay;
+    this.timeoutId = setTimeout(() => {
+      this.timeoutId = null;
+      this.intervalId = setInterval(clockTick, 1000);
+      clockTick();
+    }, delay);
+  }
+
+  stopClock() {
+    if (this.timeoutId) {
+      clearTimeout(this.timeoutId);
+      this.timeoutId = null;
+    }
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  tick() {
+    if (!this.isRunning || this.isPaused) return;
+    this.remainingSeconds -= 1;
+    this.updateDisplay(this.remainingSeconds);
+    this.emit("tick", { remainingSeconds: this.remainingSeconds });
+    if (this.remainingSeconds <= 0) {
+      this.stop();
+      this.showPensAway();
+      this.beep(440, 0.8);
+      this.emit("timeUp");
+    } else if (this.warnings.includes(this.remainingSeconds)) {
+      this.showWarning();
+      this.beep(880, 0.15);
+      this.emit("warning", { remainingSeconds: this.remainingSeconds });
+    }
+  }
+
+  /**
+   * The time left stays as it is until resume, including the part of the
+   * current second still to go.
+   */
+  pause() {
+    if (!this.isRunning || this.isPaused) return;
+    this.isPaused = true;
+    this.pausedTickMs = Math.min(
+      Math.max(this.nextTickAt - performance.now(), 0),
+      1000,
+    );
+    this.stopClock();
+    this.updateControls();
+    this.emit("pause", { remainingSeconds: this.remainingSeconds });
+  }
+
+  resume() {
+    if (!this.isRunning || !this.isPaused) return;
+    this.isPaused = false;
+    this.updateControls();
+    this.emit("resume", { remainingSeconds: this.remainingSeconds });
+    this.startClock(this.pausedTickMs);
+  }
+
+  togglePause() {
+    if (this.isPaused) {
+      this.resume();
+    } else {
+      this.pause();
+    }
+  }
+
+  stop() {
+    this.stopClock();
+    this.isRunning = false;
+    this.isPaused = false;
+    this.updateControls();
+  }
+
+  reset(totalSeconds = this.totalSeconds) {
+    this.stop();
+    this.remainingSeconds = totalSeconds;
+    this.isTimeUp = false;
+    this.updateDisplay(this.remainingSeconds);
+    this.clearWarning();
+    this.hidePensAway();
+    this.emit("reset", { totalSeconds });
+  }
+
+  showWarning() {
+    if (!this.timerElement) {
+      return;
+    }
+    // Restart the flash for each threshold
+    this.timerElement.classList.remove("warning");
+    void this.timerElement.offsetWidth;
+    this.timerElement.classList.add("warning");
+  }
+
+  clearWarning() {
+    if (this.timerElement) {
+      this.timerElement.classList.remove("warning");
+    }
+  }
+
+  /**
+   * Browsers allow sound once the page has had a click or key press, which
+   * starting the timer takes. Replays stay quiet.
+   * @param {number} frequency - Hz
+   * @param {number} duration - Seconds
+   */
+  beep(frequency, duration) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass || isReplaying()) {
+      return;
+    }
+    try {
+      if (!this.audioContext) {
+        this.audioContext = new AudioContextClass();
+      }
+      const ctx = this.audioContext;
+      const oscillator = ctx.createOscillator();
+      const gain = ctx.createGain();
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.2, ctx.currentTime);
+      gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + duration);
+      oscillator.connect(gain).connect(ctx.destination);
+      oscillator.start();
+      oscillator.stop(ctx.currentTime + duration);
+    } catch (e) {
+      console.error("Failed to play timer sound:", e);
+    }
+  }
+  
+  /**
+   * @param {number} totalSeconds - Length of the countdowns from now on
+   */
+  setTotalSeconds(totalSeconds) {
+    this.totalSeconds = totalSeconds;
+    if (!this.isRunning && !this.isTimeUp) {
+      this.remainingSeconds = totalSeconds;
+      this.updateDisplay(this.remainingSeconds);
+    }
+  }
+
+  /**
+   * @param {number[]} warnings - Seconds left at which to warn
+   */
+  setWarnings(warnings) {
+    this.warnings = warnings;
+  }
+
+  showPensAway() {
+    if (this.pensAwayOverlay) {
+      this.pensAwayOverlay.classList.remove("hidden");
+      this.isTimeUp = true;
+    }
+  }
+  
+  hidePensAway() {
+    if (this.pensAwayOverlay) {
+      this.pensAwayOverlay.classList.add("hidden");
+      this.isTimeUp = false;
+    }
+  }
+
+  dismiss() {
+    this.hidePensAway();
+    this.emit("dismiss");
+  }
+
+  setupDismissListeners() {
+    // Dismiss on space key
+    document.addEventListener("keydown", (e) => {
+      if (isTextEntry(e.target)) {
+        return;
+      }
+      if (e.code === "Space" && this.isTimeUp && !isReplaying()) {
+        e.preventDefault();
+        this.dismiss();
+      }
+    });
+
+    // Dismiss on click anywhere on the overlay
+    if (this.pensAwayOverlay) {
+      this.pensAwayOverlay.addEventListener("click", () => {
+        if (this.isTimeUp && !isReplaying()) {
+          this.dismiss();
+        }
+      });
+    }
+  }
+
+  // Method to check if inputs should be blocked
+  shouldBlockInputs() {
+    return this.isTimeUp;
+  }
+}
+
+/**
+ * @param {any} value
+ * @returns {string} The value as one CSV field
+ */
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  const text =
+    typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Flat, time-stamped records of what happened, for analysis rather than
+ * replay. Live input only; a replay does not log again.
+ */
+class EventLogger {
+  /**
+   * @param {CanvasDrawing} drawingCanvas
+   * @param {CountdownController} countdownController
+   * @param {ParticipantStore} participants
+   */
+  constructor(drawingCanvas, countdownController, participants) {
+    this.drawingCanvas = drawingCanvas;
+    this.participants = participants;
+    this.exportButton = document.getElementById("exportLogBtn");
+    this.reset();
+    countdownController.onEvent((event, data) => {
+      this.log("timer", { event, ...data });
+    });
+    if (this.exportButton) {
+      this.exportButton.addEventListener("click", () => this.export());
+    }
+  }
+
+  /**
+   * Start a new log, dropping the records so far.
+   */
+  reset() {
+    this.startedAt = Date.now();
+    this.origin = performance.now();
+    // Once full, a ring: the oldest record is at head and is overwritten next
+    this.records = [];
+    this.head = 0;
+    this.droppedRecords = 0;
+  }
+
+  /**
+   * Cursor samples come at frame rate, so they are only kept while a
+   * session is recorded or a study runs, where they are analysed.
+   * @returns {boolean}
+   */
+  isLoggingCursor() {
+    return Boolean(
+      (window.sessionRecorder && window.sessionRecorder.isRecording) ||
+        (window.studyRunner && window.studyRunner.isRunning),
+    );
+  }
+
+  /**
+   * @param {string} type
+   * @param {object} data - Flat fields; nested values end up as JSON in CSV
+   */
+  log(type, data = {}) {
+    if (isReplaying() || (type === "cursor" && !this.isLoggingCursor())) {
+      return;
+    }
+    const now = performance.now();
+    const record = {
+      // Epoch ms and ms since the log started, both sub-millisecond
+      time: performance.timeOrigin + now,
+      t: now - this.origin,
+      type,
+      ...data,
+    };
+    // The log runs all the time, not only in sessions, so it must not grow
+    // without end
+    if (this.records.length < MAX_LOG_RECORDS) {
+      this.records.push(record);
+    } else {
+      this.records[this.head] = record;
+      this.head = (this.head + 1) % MAX_LOG_RECORDS;
+      this.droppedRecords += 1;
+    }
+  }
+
+  /**
+   * @returns {object[]} The records kept, oldest first
+   */
+  getRecords() {
+    if (this.head === 0) {
+      return this.records;
+    }
+    return [
+      ...this.records.slice(this.head),
+      ...this.records.slice(0, this.head),
+    ];
+  }
+
+  /**
+   * @returns {object}
+   */
+  buildDocument() {
+    return {
+      format: LOG_FORMAT,
+      version: LOG_FORMAT_VERSION,
+      participant: this.participants.id,
+      startedAt: this.startedAt,
+      exportedAt: Date.now(),
+      droppedRecords: this.droppedRecords,
+      records: this.getRecords(),
+    };
+  }
+
+  /**
+   * One row per record. Columns are the union of the record fields, so
+   * rows leave blank the ones their type does not have. If the start of the
+   * log was dropped, a first "dropped" row says how many records are gone.
+   * @returns {string}
+   */
+  buildCSV() {
+    const kept = this.getRecords();
+    const records =
+      this.droppedRecords > 0
+        ? [
+            {
+              time: kept[0].time,
+              t: kept[0].t,
+              type: "dropped",
+              count: this.droppedRecords,
+            },
+            ...kept,
+          ]
+        : kept;
+    const columns = [...LOG_COLUMNS];
+    records.forEach((record) => {
+      Object.keys(record).forEach((key) => {
+        if (!columns.includes(key)) {
+          columns.push(key);
+        }
+      });
+    });
+    const rows = records.map((record) =>
+      columns.map((column) => csvField(record[column])).join(","),
+    );
+    return [columns.join(","), ...rows].join("\n");
+  }
+
+  export() {
+    const stamp = new Date(this.startedAt).toISOString().replace(/[:.]/g, "-");
+    const name = `mindink-log-${this.participants.id}-${stamp}`;
+    const csv = new Blob([this.buildCSV()], { type: "text/csv" });
+    downloadBlob(csv, `${name}.csv`);
+    const json = new Blob([JSON.stringify(this.buildDocument())], {
+      type: "application/json",
+    });
+    downloadBlob(json, `${name}.json`);
+    this.drawingCanvas.updateStatus(
+      this.droppedRecords > 0
+        ? `Log exported (${this.records.length} records, ${this.droppedRecords} oldest dropped)`
+        : `Log exported (${this.records.length} records)`,
+    );
+  }
+}
+
+/**
+ * @typedef {object} StudyTrial
+ * @property {string} template - One of TEMPLATES
+ * @property {number} [seconds] - Whole seconds of drawing, defaults to the
+ *   study's
+ * @property {number} [restSeconds] - Whole seconds of pause before it, 0 for
+ *   none, defaults to the study's
+ * @property {string} [shapeAssist] - A SHAPE_ASSIST_MODES key, defaults to
+ *   the study's
+ */
+
+/**
+ * @typedef {object} StudyDefinition
+ * @property {string} [participant] - Switched to before the first trial
+ * @property {string} [condition] - Label saved with every trial
+ * @property {(string | StudyTrial)[]} trials
+ * @property {"fixed" | "latinSquare"} [order] - Defaults to fixed
+ * @property {number} [group] - Latin square row, defaults to the number in
+ *   the participant ID counting from 1, the current participant's if the
+ *   study names none
+ * @property {number} [trialSeconds] - Defaults to the timer length setting
+ * @property {number} [restSeconds]
+ * @property {string} [shapeAssist] - Defaults to the participant's own mode
+ */
+
+/**
+ * Row of a balanced Latin square, so each item follows every other equally
+ * often across rows. Odd counts need twice as many rows.
+ * @param {number} count
+ * @param {number} row
+ * @returns {number[]} Item indices
+ */
+function latinSquareOrder(count, row) {
+  const rows = count % 2 === 0 ? count : 2 * count;
+  const r = ((row % rows) + rows) % rows;
+  const order = [];
+  for (let i = 0; i < count; i++) {
+    // 0, 1, n-1, 2, n-2, ... shifted by the row
+    const base = i % 2 === 1 ? (i + 1) / 2 : (count - i / 2) % count;
+    order.push((base + r) % count);
+  }
+  return r < count ? order : order.reverse();
+}
+
+class StudyRunner {
+  /**
+   * @param {CanvasDrawing} drawingCanvas
+   * @param {TemplateManager} templateManager
+   * @param {CountdownController} countdownController
+   * @param {KeybindManager} keybindManager
+   * @param {DrawingExporter} drawingExporter
+   * @param {ParticipantStore} participants
+   * @param {ShapeAssist} shapeAssist
+   */
+  constructor(
+    drawingCanvas,
+    templateManager,
+    countdownController,
+    keybindManager,
+    drawingExporter,
+    participants,
+    shapeAssist,
+  ) {
+    this.drawingCanvas = drawingCanvas;
+    this.templateManager = templateManager;
+    this.countdownController = countdownController;
+    this.keybindManager = keybindManager;
+    this.drawingExporter = drawingExporter;
+    this.participants = participants;
+    this.shapeAssist = shapeAssist;
+    this.runButton = document.getElementById("studyBtn");
+    this.studyInput = document.getElementById("studyFile");
+    this.statusElement = document.getElementById("study-status");
+    this.results = null;
+    this.trials = [];
+    this.index = -1;
+    // "rest" before each trial, then "trial" until the countdown runs out
+    this.phase = null;
+    this.timeoutId = null;
+    countdownController.onEvent((event) => {
+      if (this.phase !== "trial") {
+        return;
+      }
+      if (event === "timeUp") {
+        this.finishTrial();
+      } else if (event === "reset") {
+        this.stop("Study stopped - timer reset");
+      }
+    });
+    this.setupEventListeners();
+  }
+
+  get isRunning() {
+    return this.phase !== null;
+  }
+
+  setupEventListeners() {
+    if (this.runButton) {
+      this.runButton.addEventListener("click", () => {
+        if (this.isRunning) {
+          this.stop("Study stopped");
+        } else if (!isReplaying()) {
+          this.studyInput.click();
+        }
+      });
+    }
+    if (this.studyInput) {
+      this.studyInput.addEventListener("change", () => {
+        const file = this.studyInput.files[0];
+        if (file) {
+          this.runFile(file);
+        }
+        this.studyInput.value = "";
+      });
+    }
+  }
+
+  /**
+   * @param {File} file
+   */
+  async runFile(file) {
+    try {
+      this.run(JSON.parse(await file.text()));
+    } catch (e) {
+      console.error("Failed to load study:", e);
+      this.drawingCanvas.updateStatus(`Study not started - ${e.message}`);
+    }
+  }
+
+  /**
+   * @param {StudyDefinition} study
+   */
+  run(study) {
+    if (this.isRunning || isReplaying()) {
+      return;
+    }
+    this.trials = this.planTrials(study);
+    if (study.participant) {
+      this.participants.setParticipant(String(study.participant));
+    }
+    this.results = {
+      format: STUDY_FORMAT,
+      version: STUDY_FORMAT_VERSION,
+      participant: this.participants.id,
+      condition: study.condition || "",
+      startedAt: Date.now(),
+      endedAt: null,
+      study,
+      trials: [],
+    };
+    this.index = -1;
+    if (window.eventLogger) {
+      window.eventLogger.reset();
+    }
+    this.updateButton();
+    this.nextTrial();
+  }
+
+  /**
+   * Trials in the order they run, with their timings filled in.
+   * @param {StudyDefinition} study
+   * @returns {StudyTrial[]}
+   */
+  planTrials(study) {
+    if (!study || !Array.isArray(study.trials) || study.trials.length === 0) {
+      throw new Error("the study has no trials");
+    }
+    /**
+     * @param {any} value
+     * @param {string} name
+     * @param {number} min
+     * @returns {number | undefined} The value, when the study sets it
+     */
+    const checkSeconds = (value, name, min) => {
+      if (value !== undefined && !(Number.isInteger(value) && value >= min)) {
+        throw new Error(
+          `${name} must be a whole number of seconds, at least ${min}`,
+        );
+      }
+      return value;
+    };
+    const trialSeconds = checkSeconds(study.trialSeconds, "trialSeconds", 1);
+    const studyRest = checkSeconds(study.restSeconds, "restSeconds", 0);
+    const trials = study.trials.map((trial) => {
+      const { template, seconds, restSeconds, shapeAssist } =
+        typeof trial === "string" ? { template: trial } : trial || {};
+      if (typeof template !== "string" || !TEMPLATES.includes(template)) {
+        throw new Error(`unknown template ${template}`);
+      }
+      checkSeconds(seconds, "seconds", 1);
+      checkSeconds(restSeconds, "restSeconds", 0);
+      const assist = shapeAssist ?? study.shapeAssist ?? null;
+      if (assist !== null && !(assist in SHAPE_ASSIST_MODES)) {
+        throw new Error(`unknown shape assist mode ${assist}`);
+      }
+      return {
+        template,
+        seconds:
+          seconds ?? trialSeconds ?? this.countdownController.totalSeconds,
+        restSeconds: restSeconds ?? studyRest ?? DEFAULT_REST_SECONDS,
+        shapeAssist: assist,
+      };
+    });
+    if (study.order === "latinSquare") {
+      // The study's participant, or the one already selected if it has none
+      const participant = study.participant || this.participants.id;
+      const number = /\d+/.exec(String(participant));
+      const group = study.group ?? (number ? Number(number[0]) - 1 : 0);
+      return latinSquareOrder(trials.length, group).map((i) => trials[i]);
+    }
+    return trials;
+  }
+
+  nextTrial() {
+    this.index += 1;
+    if (this.index >= this.trials.length) {
+      this.complete();
+      return;
+    }
+    this.phase = "rest";
+    this.rest(this.trials[this.index].restSeconds);
+  }
+
+  /**
+   * Leave the last result up for the rest, then start the trial.
+   * @param {number} seconds
+   */
+  rest(seconds) {
+    if (seconds <= 0) {
+      this.startTrial();
+      return;
+    }
+    const { template } = this.trials[this.index];
+    this.showStatus(`Rest ${seconds} s - next: ${template}`);
+    this.timeoutId = setTimeout(() => this.rest(seconds - 1), 1000);
+  }
+
+  startTrial() {
+    const trial = this.trials[this.index];
+    this.phase = "trial";
+    if (this.countdownController.isTimeUp) {
+      this.countdownController.dismiss();
+    }
+    if (window.sessionRecorder) {
+      window.sessionRecorder.record("template", { template: trial.template });
+    }
+    this.templateManager.setCurrentTemplate(trial.template);
+    // A trial without a mode of its own uses the participant's
+    this.shapeAssist.use(trial.shapeAssist ?? this.shapeAssist.load());
+    // Through the keybind, so a session recording sees it
+    this.keybindManager.trigger("c");
+    trial.startedAt = Date.now();
+    this.showStatus(
+      `Trial ${this.index + 1}/${this.trials.length}: ${trial.template}`,
+    );
+    this.countdownController.start(trial.seconds);
+  }
+
+  /**
+   * Save the drawing and its metrics. The scorer has already run, as it
+   * listens to the countdown first.
+   */
+  finishTrial() {
+    const trial = this.trials[this.index];
+    const drawing = this.drawingExporter.buildDocument();
+    const result = {
+      trial: this.index + 1,
+      template: trial.template,
+      seconds: trial.seconds,
+      startedAt: trial.startedAt,
+      endedAt: Date.now(),
+      shapeAssist: this.shapeAssist.mode,
+      strokes: drawing.strokes.length,
+      score: drawing.score,
+      // Kept with the results rather than downloaded now: browsers block or
+      // ask about downloads a timer starts one after another
+      drawing,
+      image: this.drawingExporter.renderComposite(true).toDataURL("image/png"),
+    };
+    this.results.trials.push(result);
+    this.drawingCanvas.updateStatus(`Trial ${result.trial} done`);
+    this.nextTrial();
+  }
+
+  complete() {
+    this.saveResults();
+    this.end(`Study complete (${this.results.trials.length} trials saved)`);
+  }
+
+  /**
+   * Download the results, every trial's drawing and the event log as one
+   * file.
+   */
+  saveResults() {
+    this.results.endedAt = Date.now();
+    const results = {
+      ...this.results,
+      log: window.eventLogger ? window.eventLogger.buildDocument() : null,
+    };
+    const blob = new Blob([JSON.stringify(results, null, 2)], {
+      type: "application/json",
+    });
+    downloadBlob(blob, `${this.fileName("results")}.json`);
+  }
+
+  /**
+   * @param {string} message
+   */
+  stop(message) {
+    if (!this.isRunning) {
+      return;
+    }
+    if (this.phase === "trial") {
+      this.countdownController.stop();
+    }
+    // Keep the trials already done
+    const done = this.results.trials.length;
+    if (done > 0) {
+      this.saveResults();
+      this.end(`${message} (${done} trials saved)`);
+      return;
+    }
+    this.end(message);
+  }
+
+  /**
+   * @param {string} message
+   */
+  end(message) {
+    clearTimeout(this.timeoutId);
+    this.timeoutId = null;
+    this.phase = null;
+    // Back to the participant's own mode after any the study set
+    if (this.shapeAssist.mode !== this.shapeAssist.load()) {
+      this.shapeAssist.use(this.shapeAssist.load());
+    }
+    this.showStatus(null);
+    this.updateButton();
+    this.drawingCanvas.updateStatus(message);
+  }
+
+  /**
+   * @param {string} suffix
+   * @returns {string} File name without extension
+   */
+  fileName(suffix) {
+    const { participant, condition, startedAt } = this.results;
+    const stamp = new Date(startedAt).toISOString().replace(/[:.]/g, "-");
+    const parts = [participant, condition, stamp, suffix].filter(Boolean);
+    return `mindink-study-${parts.join("-")}`;
+  }
+
+  /**
+   * @param {string | null} text
+   */
+  showStatus(text) {
+    if (!this.statusElement) {
+      return;
+    }
+    this.statusElement.textContent = text || "";
+    this.statusElement.classList.toggle("hidden", !text);
+  }
+
+  updateButton() {
+    if (this.runButton) {
+      this.runButton.textContent = this.isRunning ? "Stop Study" : "Run Study";
+    }
+  }
+}
+
+/**
+ * @typedef {object} SessionApp
+ * @property {CanvasDrawing} drawingCanvas
+ * @property {BrushControls} brushControls
+ * @property {ShapeAssist} shapeAssist
+ * @property {FaceTracker} faceTracker
+ * @property {PointerSettings} pointerSettings
+ * @property {FilterTuningPanel} filterTuning
+ * @property {DwellClicker} dwellClicker
+ * @property {InputManager} inputManager
+ * @property {SettingsPanel} settingsPanel
+ * @property {TemplateManager} templateManager
+ * @property {MenuNavigator} menuNavigator
+ * @property {HeadsetController} headsetController
+ * @property {FacialExpressionController} facialExpressions
+ * @property {AnalogControl} analogControl
+ * @property {CountdownController} countdownController
+ * @property {KeybindManager} keybindManager
+ */
+
+class SessionRecorder {
+  /**
+   * @param {SessionApp} app
+   */
+  constructor(app) {
+    this.app = app;
+    this.session = null;
+    this.recordButton = document.getElementById("recordBtn");
+    app.countdownController.onEvent((event, data) => {
+      this.record("countdown", { event, ...data });
+    });
+  }
+
+  get isRecording() {
+    return this.session !== null;
+  }
+
+  toggle() {
+    if (this.isRecording) {
+      this.stop();
+    } else {
+      this.start();
+    }
+  }
+
+  start() {
+    if (this.isRecording || isReplaying()) {
+      return;
+    }
+    this.session = {
+      format: SESSION_FORMAT,
+      version: SESSION_FORMAT_VERSION,
+      startedAt: Date.now(),
+      endedAt: null,
+      landmarkIndices: TRACKED_LANDMARKS,
+      initialState: this.captureState(),
+      events: [],
+    };
+    if (window.eventLogger) {
+      window.eventLogger.reset();
+    }
+    this.updateButton();
+    this.app.drawingCanvas.updateStatus("Recording session");
   }
 
-  calibrationFailed() {
-    // Reset UI elements
-    if (this.directionIndicators) this.directionIndicators.classList.add('hidden');
-    
-    if (this.statusText) {
-      this.statusText.textContent = "Calibration failed. Using default settings.";
+  stop() {
+    if (!this.isRecording) {
+      return;
     }
-    if (this.instructionText) {
-      this.instructionText.textContent = "You can adjust sensitivity later with the arrow keys.";
+    const session = this.session;
+    session.endedAt = Date.now();
+    this.session = null;
+    this.updateButton();
+
+    const stamp = new Date(session.startedAt).toISOString().replace(/[:.]/g, "-");
+    const blob = new Blob([JSON.stringify(session)], {
+      type: "application/json",
+    });
+    downloadBlob(blob, `mindink-session-${stamp}.json`);
+    // The log covers the same session, for analysis
+    if (window.eventLogger) {
+      window.eventLogger.export();
     }
-    if (this.timerElement) this.timerElement.textContent = "!";
-    
-    setTimeout(() => {
-      this.hide();
-      this.isCalibrating = false;
-    }, 2000);
+    this.app.drawingCanvas.updateStatus(
+      `Session saved (${session.events.length} events)`,
+    );
   }
 
-  saveCalibrationData() {
-    localStorage.setItem('headCalibration', JSON.stringify(this.calibrationData));
+  updateButton() {
+    if (this.recordButton) {
+      this.recordButton.textContent = this.isRecording
+        ? "Stop Recording (r)"
+        : "Record (r)";
+      this.recordButton.classList.toggle("recording", this.isRecording);
+    }
   }
 
-  loadCalibrationData() {
-    const stored = localStorage.getItem('headCalibration');
-    if (stored) {
-      try {
-        this.calibrationData = JSON.parse(stored);
-        this.faceTracker.setScalingFactor(this.calibrationData.scalingFactor);
-        this.faceTracker.calibrationData = this.calibrationData;
-        return true;
-      } catch (e) {
-        console.error("Failed to load calibration data:", e);
-      }
+  /**
+   * @param {string} type
+   * @param {object} data
+   * @param {number} time - When it happened, if the handler reads the clock
+   */
+  record(type, data = {}, time = Date.now()) {
+    if (!this.session || isReplaying()) {
+      return;
     }
-    return false;
+    this.session.events.push({
+      t: time - this.session.startedAt,
+      type,
+      ...data,
+    });
+  }
+
+  /**
+   * @param {any} results - FaceMesh results
+   * @param {number} time - The time the frame is processed at
+   */
+  recordFaceFrame(results, time) {
+    if (!this.session) {
+      return;
+    }
+    const faces = (results.multiFaceLandmarks || []).map((landmarks) =>
+      TRACKED_LANDMARKS.flatMap((index) => {
+        const { x, y, z } = landmarks[index];
+        return [x, y, z];
+      }),
+    );
+    this.record("face", { faces }, time);
+  }
+
+  /**
+   * Everything the input pipeline reads, so a replay can start from it.
+   * Undo history from before the recording started is not included.
+   * @returns {object}
+   */
+  captureState() {
+    const {
+      drawingCanvas,
+      shapeAssist,
+      faceTracker,
+      pointerSettings,
+      filterTuning,
+      dwellClicker,
+      inputManager,
+      settingsPanel,
+      templateManager,
+      menuNavigator,
+      headsetController,
+      facialExpressions,
+      analogControl,
+      countdownController,
+    } = this.app;
+    const copy = (value) => JSON.parse(JSON.stringify(value));
+    return {
+      canvas: {
+        width: drawingCanvas.canvas.width,
+        height: drawingCanvas.canvas.height,
+      },
+      template: templateManager.currentTemplate,
+      settings: settingsPanel.get(),
+      drawing: {
+        strokes: copy(drawingCanvas.strokes),
+        currentStroke: copy(drawingCanvas.currentStroke),
+        isDrawing: drawingCanvas.isDrawing,
+        isErasing: drawingCanvas.isErasing,
+        isHovering: drawingCanvas.isHovering,
+        currentColor: drawingCanvas.currentColor,
+        brush: drawingCanvas.getBrush(),
+        eraserSize: drawingCanvas.eraserSize,
+        fillStopsAtTemplate: drawingCanvas.fillStopsAtTemplate,
+        shapeAssist: shapeAssist.mode,
+        lastX: drawingCanvas.lastX,
+        lastY: drawingCanvas.lastY,
+      },
+      pointer: {
+        mode: faceTracker.pointerMode,
+        gazeModel: copy(faceTracker.gazeModel),
+        scalingFactor: faceTracker.scalingFactor,
+        speedMultiplier: faceTracker.speedMultiplier,
+        calibrationData: copy(faceTracker.calibrationData || null),
+        filters: copy(faceTracker.filterChain.stages),
+        filterState: copy(faceTracker.getFilterState()),
+        dwell: { ...dwellClicker.settings },
+        source: inputManager.sourceId,
+      },
+      menu: menuNavigator.getState(),
+      headset: {
+        lastActionTime: headsetController.lastActionTime,
+        expressionsFired: { ...facialExpressions.lastFired },
+        expressionBindings: copy(facialExpressions.bindings),
+        commandMapping: { ...headsetController.commandMapping.mapping },
+        analog: { ...analogControl.settings },
+        analogLevel: analogControl.level,
+      },
+      countdown: {
+        remainingSeconds: countdownController.remainingSeconds,
+        isRunning: countdownController.isRunning,
+        isPaused: countdownController.isPaused,
+        isTimeUp: countdownController.isTimeUp,
+      },
+    };
   }
 }
 
-class CountdownController {
-  constructor() {
-    this.timerElement = document.getElementById("countdown-timer");
-    this.startButton = document.getElementById("countdown-start");
-    this.pensAwayOverlay = document.getElementById("pens-away-overlay");
-    this.intervalId = null;
-    this.remainingSeconds = 60;
-    this.isRunning = false;
-    this.isTimeUp = false;
-    this.updateDisplay(this.remainingSeconds);
-    this.setupDismissListeners();
+class SessionPlayer {
+  /**
+   * @param {SessionApp} app
+   */
+  constructor(app) {
+    this.app = app;
+    this.session = null;
+    this.isPlaying = false;
+    // Recorded time of the event being replayed, read through appNow()
+    this.clock = 0;
+    this.index = 0;
+    this.speed = 1;
+    this.timeoutId = null;
+    // The drawing in this window before the replay, put back when it ends
+    this.savedDrawing = null;
+    // Tool, menu and timer state that is not saved per participant
+    this.savedState = null;
+    this.replayButton = document.getElementById("replayBtn");
+    this.replayInput = document.getElementById("replayFile");
+    this.speedSelect = document.getElementById("replaySpeed");
+    this.setupEventListeners();
   }
 
-  format(seconds) {
-    const mm = String(Math.floor(seconds / 60)).padStart(2, "0");
-    const ss = String(seconds % 60).padStart(2, "0");
-    return `${mm}:${ss}`;
+  setupEventListeners() {
+    if (this.replayButton) {
+      this.replayButton.addEventListener("click", () => {
+        if (this.isPlaying) {
+          this.stop();
+        } else if (this.replayInput) {
+          this.replayInput.click();
+        }
+      });
+    }
+    if (this.replayInput) {
+      this.replayInput.addEventListener("change", () => {
+        const file = this.replayInput.files[0];
+        if (file) {
+          this.playFile(file);
+        }
+        this.replayInput.value = "";
+      });
+    }
   }
 
-  updateDisplay(seconds) {
-    if (this.timerElement) {
-      this.timerElement.textContent = this.format(seconds);
+  /**
+   * @param {File} file
+   */
+  async playFile(file) {
+    try {
+      const session = JSON.parse(await file.text());
+      const speed = this.speedSelect ? Number(this.speedSelect.value) : 1;
+      this.play(session, speed);
+    } catch (e) {
+      console.error("Failed to load session:", e);
+      this.app.drawingCanvas.updateStatus(`Replay failed - ${e.message}`);
     }
   }
 
-  start(totalSeconds = 60) {
-    if (this.isRunning) return;
-    this.isRunning = true;
-    this.isTimeUp = false;
-    this.remainingSeconds = totalSeconds;
-    this.updateDisplay(this.remainingSeconds);
-    if (this.startButton) {
-      this.startButton.disabled = true;
+  /**
+   * @param {object} session - A session produced by SessionRecorder
+   * @param {number} speed - Playback rate; Infinity replays as fast as possible
+   */
+  play(session, speed = 1) {
+    if (
+      !session ||
+      session.format !== SESSION_FORMAT ||
+      !Array.isArray(session.events) ||
+      !session.initialState ||
+      typeof session.initialState !== "object"
+    ) {
+      throw new Error("Unrecognised session file");
+    }
+    if (session.version !== SESSION_FORMAT_VERSION) {
+      throw new Error(`Unsupported session version ${session.version}`);
+    }
+    if (this.isPlaying) {
+      this.stop();
+    }
+    if (window.sessionRecorder && window.sessionRecorder.isRecording) {
+      window.sessionRecorder.stop();
     }
-    
-    // Hide any existing pens away overlay
-    this.hidePensAway();
 
-    this.intervalId = setInterval(() => {
-      this.remainingSeconds -= 1;
-      this.updateDisplay(this.remainingSeconds);
-      if (this.remainingSeconds <= 0) {
-        this.stop();
-        this.showPensAway();
-      }
-    }, 1000);
+    this.session = session;
+    this.speed = speed > 0 ? speed : 1;
+    this.index = 0;
+    this.clock = session.startedAt;
+    this.isPlaying = true;
+    this.app.countdownController.externalClock = true;
+    this.saveDrawing();
+    this.saveLiveState();
+    try {
+      this.restoreState(session.initialState);
+    } catch (e) {
+      // Put this window back rather than leave it stuck replaying
+      this.finish("Replay failed");
+      throw e;
+    }
+    this.updateButton();
+    this.app.drawingCanvas.updateStatus("Replaying session");
+
+    this.playStartedAt = performance.now();
+    this.step();
   }
 
-  stop() {
-    if (this.intervalId) {
-      clearInterval(this.intervalId);
-      this.intervalId = null;
+  step() {
+    const { events } = this.session;
+    const elapsed =
+      this.speed === Infinity
+        ? Infinity
+        : (performance.now() - this.playStartedAt) * this.speed;
+
+    // Dispatch everything that is due, in batches so the page stays responsive
+    let dispatched = 0;
+    while (
+      this.isPlaying &&
+      this.index < events.length &&
+      events[this.index].t <= elapsed &&
+      dispatched < REPLAY_BATCH_SIZE
+    ) {
+      this.dispatch(events[this.index]);
+      this.index += 1;
+      dispatched += 1;
     }
-    this.isRunning = false;
-    if (this.startButton) {
-      this.startButton.disabled = false;
+
+    if (!this.isPlaying) {
+      return;
+    }
+    if (this.index >= events.length) {
+      this.finish("Replay finished");
+      return;
     }
+    const wait =
+      this.speed === Infinity || dispatched === REPLAY_BATCH_SIZE
+        ? 0
+        : (events[this.index].t - elapsed) / this.speed;
+    this.timeoutId = setTimeout(() => this.step(), Math.max(0, wait));
   }
 
-  reset(totalSeconds = 60) {
-    this.stop();
-    this.remainingSeconds = totalSeconds;
-    this.isTimeUp = false;
-    this.updateDisplay(this.remainingSeconds);
-    this.hidePensAway();
+  /**
+   * Feed one recorded event through the same entry points live input uses.
+   * @param {object} event
+   */
+  dispatch(event) {
+    const {
+      drawingCanvas,
+      brushControls,
+      shapeAssist,
+      faceTracker,
+      pointerSettings,
+      filterTuning,
+      dwellClicker,
+      inputManager,
+      settingsPanel,
+      headsetController,
+      facialExpressions,
+      analogControl,
+      keybindManager,
+      templateManager,
+    } = this.app;
+    this.clock = this.session.startedAt + event.t;
+
+    switch (event.type) {
+      case "face":
+        faceTracker.onResults({
+          multiFaceLandmarks: event.faces.map((flat) =>
+            this.expandLandmarks(flat),
+          ),
+        });
+        break;
+      case "pointer":
+        pointerSettings.apply(event.settings);
+        break;
+      case "recentre":
+        faceTracker.recentreHeadPose();
+        break;
+      case "filters":
+        filterTuning.apply(event.stages);
+        break;
+      case "dwell":
+        dwellClicker.apply(event.settings);
+        break;
+      case "inputSource":
+        inputManager.apply(event.source);
+        break;
+      case "settings":
+        settingsPanel.apply(event.settings);
+        break;
+      case "analog":
+        analogControl.apply(event.settings);
+        break;
+      case "mapping":
+        // As in restoreState, without saving it
+        headsetController.commandMapping.mapping = { ...event.mapping };
+        break;
+      case "expressions":
+        facialExpressions.apply(event.bindings);
+        break;
+      case "brush":
+        drawingCanvas.setBrush(event.brush, "changed");
+        break;
+      case "fillBoundary":
+        drawingCanvas.fillStopsAtTemplate = event.stopsAtTemplate;
+        brushControls.updateControls();
+        break;
+      case "shapeAssist":
+        shapeAssist.apply(event.mode);
+        break;
+      case "input":
+        inputManager.handle(event.action, event.x, event.y);
+        break;
+      case "com":
+        headsetController.handleHeadsetCommand(event.command, event.intensity);
+        break;
+      case "fac":
+        facialExpressions.handleExpression(event);
+        break;
+      case "key":
+        keybindManager.runKeybind(event.key);
+        break;
+      case "template":
+        templateManager.setCurrentTemplate(event.template);
+        break;
+      case "countdown":
+        this.dispatchCountdown(event);
+        break;
+    }
   }
-  
-  showPensAway() {
-    if (this.pensAwayOverlay) {
-      this.pensAwayOverlay.classList.remove("hidden");
-      this.isTimeUp = true;
+
+  /**
+   * @param {object} event
+   */
+  dispatchCountdown(event) {
+    const { countdownController } = this.app;
+    switch (event.event) {
+      case "start":
+        countdownController.start(event.totalSeconds);
+        break;
+      case "tick":
+        countdownController.tick();
+        break;
+      case "reset":
+        countdownController.reset(event.totalSeconds);
+        break;
+      case "dismiss":
+        countdownController.hidePensAway();
+        break;
+      case "pause":
+        countdownController.pause();
+        break;
+      case "resume":
+        countdownController.resume();
+        break;
+      // "warning" and "timeUp" follow from the ticks
     }
   }
-  
-  hidePensAway() {
-    if (this.pensAwayOverlay) {
-      this.pensAwayOverlay.classList.add("hidden");
-      this.isTimeUp = false;
+
+  /**
+   * @param {number[]} flat - x, y, z triples in landmarkIndices order
+   * @returns {{x: number, y: number, z: number}[]}
+   */
+  expandLandmarks(flat) {
+    const indices = this.session.landmarkIndices || TRACKED_LANDMARKS;
+    const landmarks = [];
+    indices.forEach((landmarkIndex, i) => {
+      landmarks[landmarkIndex] = {
+        x: flat[i * 3],
+        y: flat[i * 3 + 1],
+        z: flat[i * 3 + 2],
+      };
+    });
+    return landmarks;
+  }
+
+  /**
+   * Set this window's drawing and history aside so the replay can use the
+   * canvas, leaving the canvas empty.
+   */
+  saveDrawing() {
+    const { drawingCanvas, templateManager } = this.app;
+    // Keep what has been drawn of a stroke in progress
+    drawingCanvas.endStroke();
+    this.savedDrawing = {
+      strokes: drawingCanvas.strokes,
+      undoStack: drawingCanvas.undoStack,
+      redoStack: drawingCanvas.redoStack,
+      width: drawingCanvas.canvas.width,
+      height: drawingCanvas.canvas.height,
+      template: templateManager.currentTemplate,
+      lastX: drawingCanvas.lastX,
+      lastY: drawingCanvas.lastY,
+    };
+    drawingCanvas.strokes = [];
+    drawingCanvas.currentStroke = null;
+    drawingCanvas.undoStack = [];
+    drawingCanvas.redoStack = [];
+  }
+
+  /**
+   * Note what the replay will change and is not kept per participant, so
+   * finish can put it back.
+   */
+  saveLiveState() {
+    const { drawingCanvas, menuNavigator, countdownController } = this.app;
+    this.savedState = {
+      isDrawing: drawingCanvas.isDrawing,
+      isErasing: drawingCanvas.isErasing,
+      isHovering: drawingCanvas.isHovering,
+      currentColor: drawingCanvas.currentColor,
+      brush: drawingCanvas.getBrush(),
+      eraserSize: drawingCanvas.eraserSize,
+      fillStopsAtTemplate: drawingCanvas.fillStopsAtTemplate,
+      menu: menuNavigator.getState(),
+      countdown: {
+        remainingSeconds: countdownController.remainingSeconds,
+        isRunning: countdownController.isRunning,
+        isPaused: countdownController.isPaused,
+        isTimeUp: countdownController.isTimeUp,
+        tickMs: countdownController.isPaused
+          ? countdownController.pausedTickMs
+          : Math.max(countdownController.nextTickAt - performance.now(), 0),
+      },
+    };
+  }
+
+  /**
+   * Put back what saveLiveState noted. The timer carries on from where it
+   * was when the replay started.
+   */
+  restoreLiveState() {
+    const {
+      drawingCanvas,
+      brushControls,
+      menuNavigator,
+      countdownController,
+      keybindManager,
+    } = this.app;
+    const saved = this.savedState;
+    this.savedState = null;
+    drawingCanvas.isErasing = saved.isErasing;
+    drawingCanvas.isHovering = saved.isHovering;
+    drawingCanvas.currentColor = saved.currentColor;
+    drawingCanvas.applyBrush(saved.brush);
+    drawingCanvas.eraserSize = saved.eraserSize;
+    drawingCanvas.fillStopsAtTemplate = saved.fillStopsAtTemplate;
+    brushControls.updateControls();
+    keybindManager.updateColorButton(saved.currentColor);
+    // The stroke in progress was kept by saveDrawing, so start a new one
+    drawingCanvas.isDrawing = saved.isDrawing;
+    if (saved.isDrawing) {
+      drawingCanvas.beginStroke();
+    }
+    drawingCanvas.updateCursor(drawingCanvas.lastX, drawingCanvas.lastY);
+
+    menuNavigator.setState(saved.menu);
+
+    const { countdown } = saved;
+    countdownController.stop();
+    countdownController.remainingSeconds = countdown.remainingSeconds;
+    countdownController.isRunning = countdown.isRunning;
+    countdownController.isPaused = countdown.isPaused;
+    countdownController.pausedTickMs = countdown.tickMs;
+    if (countdown.isRunning && !countdown.isPaused) {
+      countdownController.startClock(countdown.tickMs);
+    }
+    countdownController.clearWarning();
+    countdownController.updateDisplay(countdown.remainingSeconds);
+    countdownController.updateControls();
+    if (countdown.isTimeUp) {
+      countdownController.showPensAway();
+    } else {
+      countdownController.hidePensAway();
     }
   }
 
-  setupDismissListeners() {
-    // Dismiss on space key
-    document.addEventListener("keydown", (e) => {
-      if (e.code === "Space" && this.isTimeUp) {
-        e.preventDefault();
-        this.hidePensAway();
-      }
+  /**
+   * Put back the drawing set aside by saveDrawing, at the size it was drawn.
+   */
+  restoreDrawing() {
+    const { drawingCanvas, templateManager } = this.app;
+    const saved = this.savedDrawing;
+    this.savedDrawing = null;
+    drawingCanvas.strokes = [];
+    drawingCanvas.currentStroke = null;
+    drawingCanvas.undoStack = [];
+    drawingCanvas.redoStack = [];
+    drawingCanvas.isDrawing = false;
+    drawingCanvas.setCanvasSize(saved.width, saved.height);
+    drawingCanvas.lastX = saved.lastX;
+    drawingCanvas.lastY = saved.lastY;
+    drawingCanvas.strokes = saved.strokes;
+    drawingCanvas.undoStack = saved.undoStack;
+    drawingCanvas.redoStack = saved.redoStack;
+    templateManager.setCurrentTemplate(saved.template);
+  }
+
+  /**
+   * @param {object} state - From SessionRecorder.captureState
+   */
+  restoreState(state) {
+    const {
+      drawingCanvas,
+      brushControls,
+      shapeAssist,
+      faceTracker,
+      pointerSettings,
+      filterTuning,
+      dwellClicker,
+      inputManager,
+      settingsPanel,
+      templateManager,
+      menuNavigator,
+      headsetController,
+      facialExpressions,
+      analogControl,
+      countdownController,
+      keybindManager,
+    } = this.app;
+
+    // The drawing and pointer state below override what they also hold
+    settingsPanel.apply(state.settings);
+
+    // Pointer positions depend on the canvas size, so use the recorded one
+    drawingCanvas.setCanvasSize(state.canvas.width, state.canvas.height);
+    templateManager.canvas.width = state.canvas.width;
+    templateManager.canvas.height = state.canvas.height;
+    templateManager.setCurrentTemplate(state.template);
+    templateManager.drawCurrentTemplate();
+
+    const { drawing } = state;
+    drawingCanvas.strokes = drawing.strokes;
+    drawingCanvas.currentStroke = drawing.currentStroke;
+    drawingCanvas.undoStack = [];
+    drawingCanvas.redoStack = [];
+    drawingCanvas.isDrawing = drawing.isDrawing;
+    drawingCanvas.isErasing = drawing.isErasing;
+    drawingCanvas.isHovering = drawing.isHovering;
+    drawingCanvas.currentColor = drawing.currentColor;
+    drawingCanvas.applyBrush(drawing.brush);
+    drawingCanvas.eraserSize = drawing.eraserSize;
+    drawingCanvas.fillStopsAtTemplate = drawing.fillStopsAtTemplate;
+    brushControls.updateControls();
+    shapeAssist.apply(drawing.shapeAssist);
+    drawingCanvas.lastX = drawing.lastX;
+    drawingCanvas.lastY = drawing.lastY;
+    drawingCanvas.render();
+    drawingCanvas.updateCursor(drawing.lastX, drawing.lastY);
+    keybindManager.updateColorButton(drawing.currentColor);
+
+    pointerSettings.apply({
+      mode: state.pointer.mode,
+      gazeModel: state.pointer.gazeModel,
     });
+    faceTracker.setScalingFactor(state.pointer.scalingFactor);
+    faceTracker.calibrationData = state.pointer.calibrationData || undefined;
+    filterTuning.apply(state.pointer.filters);
+    faceTracker.setFilterState(state.pointer.filterState);
+    dwellClicker.apply(state.pointer.dwell);
+    inputManager.apply(state.pointer.source);
+
+    menuNavigator.setState(state.menu);
+    headsetController.lastActionTime = state.headset.lastActionTime;
+    facialExpressions.lastFired = { ...state.headset.expressionsFired };
+    facialExpressions.apply(state.headset.expressionBindings);
+    // Replay with the mapping that was live, without saving it
+    headsetController.commandMapping.mapping = {
+      ...state.headset.commandMapping,
+    };
+    analogControl.apply(state.headset.analog);
+    analogControl.level = state.headset.analogLevel;
+    faceTracker.setSpeedMultiplier(state.pointer.speedMultiplier);
+
+    countdownController.stop();
+    countdownController.remainingSeconds = state.countdown.remainingSeconds;
+    countdownController.isRunning = state.countdown.isRunning;
+    countdownController.isPaused = Boolean(state.countdown.isPaused);
+    countdownController.updateDisplay(countdownController.remainingSeconds);
+    countdownController.updateControls();
+    if (state.countdown.isTimeUp) {
+      countdownController.showPensAway();
+    } else {
+      countdownController.hidePensAway();
+    }
+  }
 
-    // Dismiss on click anywhere on the overlay
-    if (this.pensAwayOverlay) {
-      this.pensAwayOverlay.addEventListener("click", () => {
-        if (this.isTimeUp) {
-          this.hidePensAway();
-        }
-      });
+  stop() {
+    this.finish("Replay stopped");
+  }
+
+  /**
+   * @param {string} message
+   */
+  finish(message) {
+    if (!this.isPlaying) {
+      return;
     }
+    if (this.timeoutId) {
+      clearTimeout(this.timeoutId);
+      this.timeoutId = null;
+    }
+    this.isPlaying = false;
+    const {
+      countdownController,
+      drawingCanvas,
+      pointerSettings,
+      filterTuning,
+      dwellClicker,
+      inputManager,
+      settingsPanel,
+      headsetController,
+      analogControl,
+      facialExpressions,
+      shapeAssist,
+      headCalibration,
+    } = this.app;
+    countdownController.externalClock = false;
+    countdownController.stop();
+    headCalibration.loadCalibrationData();
+    const { commandMapping } = headsetController;
+    commandMapping.mapping = commandMapping.loadMapping();
+    analogControl.apply(analogControl.load());
+    facialExpressions.apply(facialExpressions.loadBindings());
+    shapeAssist.apply(shapeAssist.load());
+    pointerSettings.apply(pointerSettings.load());
+    filterTuning.apply(filterTuning.load());
+    dwellClicker.apply(dwellClicker.loadSettings());
+    inputManager.apply(inputManager.load());
+    settingsPanel.apply(settingsPanel.load());
+    this.restoreDrawing();
+    // Back to this window's size after replaying at the recorded one
+    drawingCanvas.resizeCanvas();
+    // After the settings, whose brush size is the saved one anyway
+    this.restoreLiveState();
+    this.updateButton();
+    drawingCanvas.updateStatus(message);
   }
 
-  // Method to check if inputs should be blocked
-  shouldBlockInputs() {
-    return this.isTimeUp;
+  updateButton() {
+    if (this.replayButton) {
+      this.replayButton.textContent = this.isPlaying ? "Stop Replay" : "Replay";
+    }
   }
 }
 
@@ -1713,18 +9851,80 @@ window.onload = (_) => {
     drawingCanvas,
   );
   window.faceTracker = faceTracker; // Make globally accessible
+  const participants = new ParticipantStore();
+  window.participants = participants;
   
   // Initialize calibration system
-  const headCalibration = new HeadCalibration(faceTracker);
+  const headCalibration = new HeadCalibration(faceTracker, participants);
   window.headCalibration = headCalibration;
   
-  new KeybindManager(drawingCanvas, faceTracker);
-  const menuNavigator = new MenuNavigator(drawingCanvas);
+  const keybindManager = new KeybindManager(drawingCanvas, faceTracker);
+  window.keybindManager = keybindManager;
+  const brushControls = new BrushControls(drawingCanvas);
+  const shapeAssist = new ShapeAssist(drawingCanvas, participants);
+  window.shapeAssist = shapeAssist;
+  const participantInput = document.getElementById("participantId");
+  const participantList = document.getElementById("participant-list");
+  if (participantInput) {
+    const showParticipant = () => {
+      participantInput.value = participants.id;
+      participantList.replaceChildren(
+        ...participants.list().map((id) => new Option(id)),
+      );
+    };
+    showParticipant();
+    participants.onChange(showParticipant);
+    participantInput.addEventListener("change", () => {
+      participants.setParticipant(participantInput.value.trim());
+      drawingCanvas.updateStatus(`Participant: ${participants.id}`);
+    });
+  }
+  const pointerSettings = new PointerSettings(
+    faceTracker,
+    participants,
+    drawingCanvas,
+  );
+  window.pointerSettings = pointerSettings;
+  const filterTuning = new FilterTuningPanel(
+    faceTracker,
+    participants,
+    drawingCanvas,
+  );
+  window.filterTuning = filterTuning;
+  window.gazeCalibration = new GazeCalibration(
+    faceTracker,
+    pointerSettings,
+    keybindManager,
+  );
+  window.dwellClicker = new DwellClicker(drawingCanvas, participants);
+  const inputManager = new InputManager(
+    drawingCanvas,
+    faceTracker,
+    participants,
+    window.dwellClicker,
+  );
+  const commandMapping = new CommandMapping(participants, drawingCanvas);
+  const menuNavigator = new MenuNavigator(drawingCanvas, commandMapping);
   window.menuNavigator = menuNavigator;
+  const facialExpressions = new FacialExpressionController(
+    drawingCanvas,
+    keybindManager,
+    participants,
+  );
+  window.facialExpressions = facialExpressions;
+  const analogControl = new AnalogControl(
+    drawingCanvas,
+    faceTracker,
+    participants,
+  );
   const headsetController = new HeadsetController(
     drawingCanvas,
     credentialManager,
     menuNavigator,
+    facialExpressions,
+    commandMapping,
+    keybindManager,
+    analogControl,
   );
   new LoginManager(credentialManager, () => {
     headsetController.initialize();
@@ -1752,30 +9952,19 @@ window.onload = (_) => {
   );
   window.templateManager = templateManager;
 
+  window.drawingExporter = new DrawingExporter(
+    drawingCanvas,
+    templateManager,
+    faceTracker,
+  );
+
   drawingCanvas.resizeCanvas = () => {
     const width = window.innerWidth - 320;
     const height = window.innerHeight;
-    // When the canvas size changes, content is cleared. Capture state first.
-    let currentState = null;
-    try {
-      currentState = drawingCanvas.ctx.getImageData(0, 0, drawingCanvas.canvas.width, drawingCanvas.canvas.height);
-    } catch { /* ignore */ }
-
-    drawingCanvas.canvas.width = width;
-    drawingCanvas.canvas.height = height;
+    drawingCanvas.setCanvasSize(width, height);
     templateCanvas.width = width;
     templateCanvas.height = height;
     templateManager.onResize();
-
-    if (currentState) {
-      // Restore previous drawing scaled to new size
-      const off = document.createElement("canvas");
-      off.width = currentState.width;
-      off.height = currentState.height;
-      const offCtx = off.getContext("2d");
-      offCtx.putImageData(currentState, 0, 0);
-      drawingCanvas.ctx.drawImage(off, 0, 0, width, height);
-    }
   };
 
   // Ensure both canvases are sized correctly on load
@@ -1783,4 +9972,67 @@ window.onload = (_) => {
 
   // Countdown controller
   window.countdownController = new CountdownController();
+  window.eventLogger = new EventLogger(
+    drawingCanvas,
+    window.countdownController,
+    participants,
+  );
+  const settingsPanel = new SettingsPanel(
+    faceTracker,
+    drawingCanvas,
+    headsetController,
+    window.countdownController,
+    participants,
+    headCalibration,
+  );
+
+  const sessionApp = {
+    drawingCanvas,
+    brushControls,
+    shapeAssist,
+    faceTracker,
+    pointerSettings,
+    filterTuning,
+    dwellClicker: window.dwellClicker,
+    inputManager,
+    settingsPanel,
+    templateManager,
+    menuNavigator,
+    headsetController,
+    facialExpressions,
+    analogControl,
+    countdownController: window.countdownController,
+    keybindManager,
+    headCalibration,
+  };
+  window.sessionRecorder = new SessionRecorder(sessionApp);
+  window.sessionPlayer = new SessionPlayer(sessionApp);
+
+  window.drawingScorer = new DrawingScorer(
+    drawingCanvas,
+    templateManager,
+    window.countdownController,
+  );
+  // After the scorer, so snapshots and finished trials have the score
+  window.pensAwaySnapshots = new PensAwaySnapshots(
+    window.drawingExporter,
+    window.countdownController,
+    drawingCanvas,
+  );
+  window.drawingGallery = new DrawingGallery(
+    new DrawingStore(),
+    drawingCanvas,
+    window.drawingExporter,
+    window.pensAwaySnapshots,
+    participants,
+  );
+  window.studyRunner = new StudyRunner(
+    drawingCanvas,
+    templateManager,
+    window.countdownController,
+    keybindManager,
+    window.drawingExporter,
+    participants,
+    shapeAssist,
+  );
 };